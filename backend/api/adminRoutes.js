@@ -0,0 +1,102 @@
+import express from 'express';
+import { getCollectorStatus } from '../collectors/collectorScheduler.js';
+import { listCollectorRuns, getCollectorRun } from '../utils/collectorRunLog.js';
+import { listSnapshots, rollbackSnapshot } from '../utils/weatherRepository.js';
+import { validate } from '../utils/validation.js';
+import { sendError } from '../utils/apiErrors.js';
+import { adminSchemas as schemas } from './schemas.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/collectors
+ * Get the in-process collector scheduler status (next run, last result)
+ */
+router.get('/collectors', validate(schemas.noParams), (req, res) => {
+  try {
+    res.json(getCollectorStatus());
+  } catch (error) {
+    logger.error('Error fetching collector status', { error });
+    sendError(res, 500, 'Failed to fetch collector status');
+  }
+});
+
+/**
+ * GET /api/admin/collectors/runs
+ * List recorded collector runs, newest first
+ * Query params: dataset, status, since, until, limit (default: 50)
+ */
+router.get('/collectors/runs', validate(schemas.collectorRuns), async (req, res) => {
+  const { dataset, status, since = null, until = null, limit } = req.valid.query;
+
+  try {
+    const runs = await listCollectorRuns({ dataset, status, since, until, limit });
+
+    res.json({
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    logger.error('Error fetching collector runs', { error });
+    sendError(res, 500, 'Failed to fetch collector runs');
+  }
+});
+
+/**
+ * GET /api/admin/collectors/runs/:id
+ * Get one collector run with all recorded failures
+ */
+router.get('/collectors/runs/:id', validate(schemas.collectorRun), async (req, res) => {
+  try {
+    const run = await getCollectorRun(req.valid.params.id);
+
+    if (!run) {
+      return sendError(res, 404, 'Collector run not found');
+    }
+
+    res.json(run);
+  } catch (error) {
+    logger.error('Error fetching collector run', { error });
+    sendError(res, 500, 'Failed to fetch collector run');
+  }
+});
+
+/**
+ * GET /api/admin/snapshots
+ * List the active and previous versions of snapshot collections (grid weather, grid metadata)
+ */
+router.get('/snapshots', validate(schemas.noParams), async (req, res) => {
+  try {
+    const snapshots = await listSnapshots();
+
+    res.json({
+      count: snapshots.length,
+      snapshots
+    });
+  } catch (error) {
+    logger.error('Error fetching snapshots', { error });
+    sendError(res, 500, 'Failed to fetch snapshots');
+  }
+});
+
+/**
+ * POST /api/admin/snapshots/:name/rollback
+ * Make the previous snapshot active again; the replaced one becomes previous
+ */
+router.post('/snapshots/:name/rollback', validate(schemas.snapshotRollback), async (req, res) => {
+  try {
+    const snapshot = await rollbackSnapshot(req.valid.params.name);
+
+    if (!snapshot) {
+      return sendError(res, 409, 'No previous snapshot to roll back to');
+    }
+
+    res.json(snapshot);
+  } catch (error) {
+    logger.error('Error rolling back snapshot', { error });
+    sendError(res, 500, 'Failed to roll back snapshot');
+  }
+});
+
+export default router;
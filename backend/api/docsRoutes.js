@@ -0,0 +1,53 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildOpenApiDocument } from './openapi.js';
+import { validate } from '../utils/validation.js';
+import { sendError } from '../utils/apiErrors.js';
+import { weatherSchemas as schemas } from './schemas.js';
+import logger from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const EXPLORER_PATH = path.join(__dirname, '..', '..', 'frontend', 'api-docs.html');
+const PACKAGE_PATH = path.join(__dirname, '..', '..', 'package.json');
+
+const router = express.Router();
+
+let openApiDocument = null;
+
+/**
+ * Build the OpenAPI document once, versioned like the package
+ * @returns {Object} OpenAPI document
+ */
+function getOpenApiDocument() {
+  if (!openApiDocument) {
+    const { version } = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8'));
+    openApiDocument = buildOpenApiDocument({ version });
+  }
+  return openApiDocument;
+}
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3 description of the API
+ */
+router.get('/openapi.json', validate(schemas.noParams), (req, res) => {
+  try {
+    res.json(getOpenApiDocument());
+  } catch (error) {
+    logger.error('Error building OpenAPI document', { error });
+    sendError(res, 500, 'Failed to build OpenAPI document');
+  }
+});
+
+/**
+ * GET /api/docs
+ * Interactive API explorer (self-contained page, no external assets)
+ */
+router.get('/docs', (req, res) => {
+  res.sendFile(EXPLORER_PATH);
+});
+
+export default router;
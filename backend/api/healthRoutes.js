@@ -0,0 +1,45 @@
+import express from 'express';
+import { getLiveness, getReadiness } from '../utils/healthCheck.js';
+import { sendError } from '../utils/apiErrors.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Probes must always see the current state
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+/**
+ * GET /api/health/live
+ * Liveness probe: the process is up and answering requests
+ */
+router.get('/live', (req, res) => {
+  res.json(getLiveness());
+});
+
+/**
+ * GET /api/health/ready
+ * Readiness probe: MongoDB ping, data age per dataset, last collector runs
+ * Responds 503 when the database is unreachable or a dataset is too old
+ */
+router.get('/ready', async (req, res) => {
+  try {
+    const { ready, report } = await getReadiness();
+    res.status(ready ? 200 : 503).json(report);
+  } catch (error) {
+    logger.error('Error checking readiness', { error });
+    sendError(res, 503, 'Readiness check failed');
+  }
+});
+
+/**
+ * GET /api/health
+ * Kept for existing monitors; same as /api/health/live
+ */
+router.get('/', (req, res) => {
+  res.json(getLiveness());
+});
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import config from '../config/config.js';
+import { authenticate, requireRole } from '../utils/auth.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from '../utils/metrics.js';
+import { sendError } from '../utils/apiErrors.js';
+import '../utils/dataMetrics.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Scraping is open by default, like the health probes; lock it down with METRICS_REQUIRE_KEY
+if (config.metrics.requireKey) {
+  router.use(authenticate, requireRole('admin'));
+}
+
+/**
+ * GET /metrics
+ * Prometheus text exposition format
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.type(METRICS_CONTENT_TYPE).send(await renderMetrics());
+  } catch (error) {
+    logger.error('Error rendering metrics', { error });
+    sendError(res, 500, 'Failed to render metrics');
+  }
+});
+
+export default router;
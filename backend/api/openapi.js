@@ -0,0 +1,1090 @@
+import { weatherSchemas, adminSchemas } from './schemas.js';
+import { EXPORT_FORMATS } from '../utils/historyExport.js';
+import { GEOJSON_CONTENT_TYPE } from '../utils/geojson.js';
+import { UPSTREAM_ERROR_KINDS } from '../utils/upstreamErrors.js';
+import { PROVIDERS } from '../providers/index.js';
+import { WEATHER_VARIABLES, REQUIRED_WEATHER_VARIABLES, MARINE_VARIABLES } from '../utils/weatherVariables.js';
+
+/**
+ * OpenAPI - machine-readable description of the HTTP API
+ *
+ * Parameters are generated from the request schemas in schemas.js, so the
+ * document cannot drift from what validate() accepts. Every route must have
+ * an entry in OPERATIONS; `npm run check:openapi` fails otherwise.
+ */
+
+const OPENAPI_VERSION = '3.0.3';
+
+// Validation keywords that map 1:1 onto OpenAPI schema keywords
+const COPIED_KEYWORDS = ['enum', 'minimum', 'maximum', 'minLength', 'maxLength', 'default', 'description'];
+
+const READ_SECURITY = [{}, { ApiKeyHeader: [] }, { BearerAuth: [] }, { ApiKeyQuery: [] }];
+const ADMIN_SECURITY = [{ ApiKeyHeader: [] }, { BearerAuth: [] }, { ApiKeyQuery: [] }];
+
+// ---------- Helpers ----------
+
+/**
+ * Reference a component schema
+ * @param {string} name - Component name
+ * @returns {Object} $ref object
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * JSON response content
+ * @param {string} description - Response description
+ * @param {Object} schema - Response schema
+ * @returns {Object} Response object
+ */
+function json(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Current-weather response content, JSON or GeoJSON
+ * @param {string} description - Response description
+ * @param {Object} schema - JSON response schema
+ * @returns {Object} Response object
+ */
+function jsonOrGeoJSON(description, schema) {
+  return {
+    description,
+    content: {
+      'application/json': { schema },
+      [GEOJSON_CONTENT_TYPE]: { schema: ref('FeatureCollection') }
+    }
+  };
+}
+
+/**
+ * Convert a validation rule into an OpenAPI schema
+ * @param {Object} rule - Field rule from schemas.js
+ * @returns {Object} OpenAPI schema
+ */
+export function ruleToSchema(rule) {
+  const schema = {};
+
+  if (rule.type === 'array') {
+    schema.type = 'array';
+    schema.items = ruleToSchema(rule.items || { type: 'string' });
+  } else if (rule.parse) {
+    // Custom parsers take structured strings (e.g. a bbox)
+    schema.type = 'string';
+  } else {
+    schema.type = rule.type || 'string';
+  }
+
+  if (rule.format === 'date-time') {
+    schema.format = 'date-time';
+  }
+  for (const keyword of COPIED_KEYWORDS) {
+    if (rule[keyword] !== undefined) schema[keyword] = rule[keyword];
+  }
+  return schema;
+}
+
+/**
+ * Build the OpenAPI parameters of a request schema
+ * @param {Object} schema - Request schema ({ params, query })
+ * @returns {Array<Object>} Parameter objects
+ */
+function buildParameters(schema) {
+  const parameters = [];
+
+  for (const [name, rule] of Object.entries(schema.params || {})) {
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      description: rule.description,
+      schema: ruleToSchema({ ...rule, description: undefined })
+    });
+  }
+
+  for (const [name, rule] of Object.entries(schema.query || {})) {
+    const parameter = {
+      name,
+      in: 'query',
+      required: Boolean(rule.required),
+      description: rule.description,
+      schema: ruleToSchema({ ...rule, description: undefined })
+    };
+    if (rule.type === 'array') {
+      // Lists are sent comma-separated: ?datasets=city,port
+      parameter.style = 'form';
+      parameter.explode = false;
+    }
+    parameters.push(parameter);
+  }
+
+  return parameters;
+}
+
+/**
+ * Build the JSON request body of a request schema
+ * @param {Object} schema - Request schema ({ body })
+ * @returns {Object|undefined} Request body object
+ */
+function buildRequestBody(schema) {
+  if (!schema.body) return undefined;
+
+  const properties = {};
+  const required = [];
+  for (const [name, rule] of Object.entries(schema.body)) {
+    properties[name] = ruleToSchema(rule);
+    if (rule.required) required.push(name);
+  }
+
+  return {
+    required: required.length > 0,
+    content: {
+      'application/json': {
+        schema: { type: 'object', properties, ...(required.length > 0 ? { required } : {}), additionalProperties: false }
+      }
+    }
+  };
+}
+
+/**
+ * Convert an Express path into an OpenAPI path
+ * @param {string} path - Express path (/city/history/:cityName)
+ * @returns {string} OpenAPI path (/city/history/{cityName})
+ */
+export function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Derive a stable operationId from method and path
+ * @param {string} method - HTTP method
+ * @param {string} path - Express path (/api/weather/city/history/:cityName)
+ * @returns {string} operationId (getWeatherCityHistoryCityName)
+ */
+function operationIdOf(method, path) {
+  const words = path
+    .replace(/^\/api\//, '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1));
+  return method + words.join('');
+}
+
+// ---------- Operations ----------
+
+/**
+ * Every documented route. `schema` is the request schema passed to validate(),
+ * `auth` is 'admin' for routes that always need an admin key and 'none' for
+ * routes mounted before authentication, `limited` marks rate-limited routes
+ * and `conditional` routes that answer 304.
+ */
+export const OPERATIONS = [
+  // Current weather
+  {
+    method: 'get',
+    path: '/api/weather/city',
+    tag: 'Current weather',
+    summary: 'Latest weather for every city',
+    schema: weatherSchemas.currentWeather,
+    limited: true,
+    conditional: true,
+    responses: { 200: jsonOrGeoJSON('City weather documents', { type: 'array', items: ref('CityWeather') }) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/grid',
+    tag: 'Current weather',
+    summary: 'Latest weather for the grid, optionally limited to a viewport and thinned by zoom',
+    schema: weatherSchemas.grid,
+    limited: true,
+    conditional: true,
+    responses: {
+      200: {
+        ...jsonOrGeoJSON('Grid weather documents', { type: 'array', items: ref('GridWeather') }),
+        headers: { 'X-Grid-Step': { description: 'Cell size in degrees', schema: { type: 'number' } } }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/point',
+    tag: 'Current weather',
+    summary: 'Weather at arbitrary coordinates, interpolated from the surrounding grid cells',
+    schema: weatherSchemas.point,
+    limited: true,
+    conditional: true,
+    responses: {
+      200: json('Interpolated weather', ref('PointWeather')),
+      404: json('No grid cell within 1.5° of the point', ref('Error'))
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/port',
+    tag: 'Current weather',
+    summary: 'Latest BMKG forecast for every port',
+    schema: weatherSchemas.currentWeather,
+    limited: true,
+    conditional: true,
+    responses: { 200: jsonOrGeoJSON('Port weather documents', { type: 'array', items: ref('PortWeather') }) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/port/metadata',
+    tag: 'Current weather',
+    summary: 'Port names, slugs and coordinates',
+    schema: weatherSchemas.noParams,
+    limited: true,
+    responses: { 200: json('Port metadata', { type: 'array', items: ref('PortMetadata') }) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/marine',
+    tag: 'Current weather',
+    summary: 'Latest waves, swell and sea surface temperature of the grid cells over water',
+    schema: weatherSchemas.marine,
+    limited: true,
+    conditional: true,
+    responses: { 200: jsonOrGeoJSON('Marine weather documents (sea cells only)', { type: 'array', items: ref('MarineWeather') }) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/variables',
+    tag: 'Current weather',
+    summary: 'Variables stored in the weather_data of city and grid documents, with units',
+    schema: weatherSchemas.noParams,
+    limited: true,
+    responses: { 200: json('Configured weather variables', { type: 'array', items: ref('WeatherVariable') }) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/all',
+    tag: 'Current weather',
+    summary: 'City, grid, port and marine weather in one response',
+    schema: weatherSchemas.currentWeather,
+    limited: true,
+    conditional: true,
+    responses: {
+      200: jsonOrGeoJSON('All weather documents', {
+        type: 'object',
+        properties: {
+          city: { type: 'array', items: ref('CityWeather') },
+          grid: { type: 'array', items: ref('GridWeather') },
+          port: { type: 'array', items: ref('PortWeather') },
+          marine: { type: 'array', items: ref('MarineWeather') }
+        }
+      })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/summary',
+    tag: 'Current weather',
+    summary: 'Latest fetch time and document count per dataset',
+    schema: weatherSchemas.noParams,
+    limited: true,
+    conditional: true,
+    responses: { 200: json('Dataset summary', ref('Summary')) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/stream',
+    tag: 'Current weather',
+    summary: 'Server-Sent Events announcing every committed save',
+    schema: weatherSchemas.stream,
+    limited: true,
+    responses: {
+      200: {
+        description: '`ready` event, then one `saved` event per save: {"dataset","count","fetched_at"}',
+        content: { 'text/event-stream': { schema: { type: 'string' } } }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/cache/stats',
+    tag: 'Service',
+    summary: 'Response cache hit/miss counters',
+    schema: weatherSchemas.noParams,
+    limited: true,
+    responses: { 200: json('Cache statistics', ref('CacheStats')) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/health',
+    tag: 'Service',
+    summary: 'Health check of the weather router',
+    responses: { 200: json('Service is up', ref('Health')) }
+  },
+
+  // Forecasts
+  {
+    method: 'get',
+    path: '/api/weather/city/:name/forecast',
+    tag: 'Forecast',
+    summary: 'Hourly and daily forecast of a city',
+    schema: weatherSchemas.cityForecast,
+    limited: true,
+    conditional: true,
+    responses: {
+      200: json('City forecast', ref('Forecast')),
+      404: json('No forecast for this city', ref('Error'))
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/grid/forecast',
+    tag: 'Forecast',
+    summary: 'Hourly and daily forecast of the grid point nearest to the coordinates',
+    schema: weatherSchemas.gridForecast,
+    limited: true,
+    conditional: true,
+    responses: {
+      200: json('Grid point forecast, with distance_km to the requested coordinates', ref('Forecast')),
+      404: json('No grid forecast within 1.5° of the point', ref('Error'))
+    }
+  },
+
+  // History
+  {
+    method: 'get',
+    path: '/api/weather/city/history',
+    tag: 'History',
+    summary: 'Bucketed min/avg/max statistics for a city',
+    schema: weatherSchemas.aggregatedHistory,
+    limited: true,
+    responses: { 200: json('History statistics', ref('HistoryAggregate')) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/city/history/:cityName',
+    tag: 'History',
+    summary: 'Archived weather documents for a city, newest first',
+    schema: weatherSchemas.cityHistory,
+    limited: true,
+    responses: { 200: json('Archived city documents', { type: 'array', items: ref('CityWeather') }) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/grid/history',
+    tag: 'History',
+    summary: 'Archived documents for a grid point, or bucketed statistics when days or interval is given',
+    schema: weatherSchemas.gridHistory,
+    limited: true,
+    responses: {
+      200: json('Archived grid documents or history statistics', {
+        oneOf: [{ type: 'array', items: ref('GridWeather') }, ref('HistoryAggregate')]
+      })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/port/history',
+    tag: 'History',
+    summary: 'Bucketed min/avg/max statistics for a port',
+    schema: weatherSchemas.aggregatedHistory,
+    limited: true,
+    responses: { 200: json('History statistics', ref('HistoryAggregate')) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/port/history/:portSlug',
+    tag: 'History',
+    summary: 'Archived weather documents for a port, newest first',
+    schema: weatherSchemas.portHistory,
+    limited: true,
+    responses: { 200: json('Archived port documents', { type: 'array', items: ref('PortWeather') }) }
+  },
+  {
+    method: 'get',
+    path: '/api/weather/export',
+    tag: 'History',
+    summary: 'Stream archived records as a CSV, GeoJSON or NDJSON download',
+    schema: weatherSchemas.exportHistory,
+    limited: true,
+    responses: {
+      200: {
+        description: 'File download',
+        content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(exportFormat => [
+          exportFormat.contentType.split(';')[0],
+          { schema: { type: 'string', format: 'binary' } }
+        ]))
+      }
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/weather/history/cleanup',
+    tag: 'History',
+    summary: 'Delete archived records older than daysToKeep',
+    schema: weatherSchemas.historyCleanup,
+    auth: 'admin',
+    responses: {
+      200: json('Deleted record counts', {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          deleted: {
+            type: 'object',
+            properties: {
+              city: { type: 'integer' },
+              grid: { type: 'integer' },
+              port: { type: 'integer' },
+              total: { type: 'integer' }
+            }
+          }
+        }
+      })
+    }
+  },
+
+  // Administration
+  {
+    method: 'get',
+    path: '/api/admin/collectors',
+    tag: 'Administration',
+    summary: 'In-process collector scheduler status',
+    schema: adminSchemas.noParams,
+    auth: 'admin',
+    responses: {
+      200: json('Scheduler status', {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          running: { type: 'boolean' },
+          collectors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                dataset: { type: 'string' },
+                interval_ms: { type: 'integer' },
+                running: { type: 'boolean' },
+                next_run_at: { type: 'string', format: 'date-time', nullable: true },
+                last_run: { type: 'object', nullable: true, additionalProperties: true },
+                run_count: { type: 'integer' },
+                skipped_count: { type: 'integer' }
+              }
+            }
+          }
+        }
+      })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/collectors/runs',
+    tag: 'Administration',
+    summary: 'Recorded collector runs, newest first',
+    schema: adminSchemas.collectorRuns,
+    auth: 'admin',
+    responses: {
+      200: json('Collector runs', {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          runs: { type: 'array', items: ref('CollectorRun') }
+        }
+      })
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/collectors/runs/:id',
+    tag: 'Administration',
+    summary: 'One collector run with all recorded failures',
+    schema: adminSchemas.collectorRun,
+    auth: 'admin',
+    responses: {
+      200: json('Collector run', ref('CollectorRun')),
+      404: json('Unknown run id', ref('Error'))
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/snapshots',
+    tag: 'Administration',
+    summary: 'Active and previous versions of the grid snapshot collections',
+    schema: adminSchemas.noParams,
+    auth: 'admin',
+    responses: {
+      200: json('Snapshot pointers', {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          snapshots: { type: 'array', items: ref('Snapshot') }
+        }
+      })
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/admin/snapshots/:name/rollback',
+    tag: 'Administration',
+    summary: 'Swap the active snapshot with the previous one',
+    schema: adminSchemas.snapshotRollback,
+    auth: 'admin',
+    responses: {
+      200: json('Pointer after the rollback', ref('Snapshot')),
+      409: json('No previous snapshot to roll back to', ref('Error'))
+    }
+  },
+
+  // Service
+  {
+    method: 'get',
+    path: '/api/health',
+    tag: 'Service',
+    auth: 'none',
+    summary: 'Liveness check (alias of /api/health/live)',
+    responses: { 200: json('Service is up', ref('Health')) }
+  },
+  {
+    method: 'get',
+    path: '/api/health/live',
+    tag: 'Service',
+    auth: 'none',
+    summary: 'Liveness probe: the process answers, dependencies are not checked',
+    responses: { 200: json('Service is up', ref('Health')) }
+  },
+  {
+    method: 'get',
+    path: '/api/health/ready',
+    tag: 'Service',
+    auth: 'none',
+    summary: 'Readiness probe: MongoDB ping, data age per dataset and last collector runs',
+    responses: {
+      200: json('Ready to serve', ref('Readiness')),
+      503: json('Database unreachable, or a dataset is missing or older than freshness x HEALTH_STALE_MULTIPLIER', ref('Readiness'))
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/openapi.json',
+    tag: 'Service',
+    summary: 'This OpenAPI document',
+    responses: { 200: json('OpenAPI document', { type: 'object' }) }
+  },
+  {
+    method: 'get',
+    path: '/api/docs',
+    tag: 'Service',
+    summary: 'Interactive API explorer',
+    responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+  },
+  {
+    method: 'get',
+    path: '/metrics',
+    tag: 'Service',
+    auth: 'none',
+    summary: 'Prometheus metrics (admin key required when METRICS_REQUIRE_KEY=true)',
+    responses: {
+      200: {
+        description: 'Metrics in the Prometheus text exposition format',
+        content: { 'text/plain': { schema: { type: 'string' } } }
+      }
+    }
+  }
+];
+
+// ---------- Components ----------
+
+// Every variable WEATHER_VARIABLES can name; only the required ones are always present
+const weatherVariableProperties = Object.fromEntries(
+  Object.entries(WEATHER_VARIABLES).map(([name, variable]) => [name, {
+    type: variable.kind === 'category' ? 'integer' : 'number',
+    nullable: true,
+    description: [variable.description, variable.unit, REQUIRED_WEATHER_VARIABLES.includes(name) ? null : 'when configured']
+      .filter(Boolean)
+      .join(', ')
+  }])
+);
+
+const weatherData = {
+  type: 'object',
+  properties: {
+    ...weatherVariableProperties,
+    timestamp: { oneOf: [{ type: 'string' }, { type: 'number' }] },
+    fetched_at: { type: 'string', format: 'date-time' }
+  },
+  additionalProperties: true
+};
+
+const marineData = {
+  type: 'object',
+  properties: {
+    ...Object.fromEntries(Object.entries(MARINE_VARIABLES).map(([name, variable]) => [name, {
+      type: 'number',
+      nullable: true,
+      description: `${variable.description}, ${variable.unit}`
+    }])),
+    timestamp: { type: 'string' },
+    fetched_at: { type: 'string', format: 'date-time' }
+  },
+  additionalProperties: true
+};
+
+const nullableNumber = description => ({ type: 'number', nullable: true, description });
+
+const portForecastSlot = {
+  type: 'object',
+  properties: {
+    time: { type: 'string', format: 'date-time', nullable: true },
+    weather: { type: 'string', nullable: true },
+    temperature_c: nullableNumber('Average temperature, °C'),
+    humidity_pct: nullableNumber('Average relative humidity, %'),
+    wind_from: { type: 'string', nullable: true, description: 'BMKG compass point the wind comes from' },
+    wind_to: { type: 'string', nullable: true },
+    wind_direction_deg: nullableNumber('Direction the wind comes from, °'),
+    wind_speed_min_knots: nullableNumber('Lower bound of the wind speed, kn'),
+    wind_speed_max_knots: nullableNumber('Upper bound of the wind speed, kn; null when open-ended'),
+    wind_speed_knots: nullableNumber('Wind speed, kn; the upper bound when BMKG gives a range'),
+    wind_speed_kmh: nullableNumber('Wind speed, km/h'),
+    wave_category: { type: 'string', nullable: true, description: 'BMKG wave category' },
+    wave_height_min_m: nullableNumber('Lower bound of the wave height, m'),
+    wave_height_max_m: nullableNumber('Upper bound of the wave height, m; null when open-ended'),
+    visibility_km: nullableNumber('Visibility, km'),
+    tides: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          time: { type: 'string', description: 'Local time as given by BMKG, e.g. "05:00 WIB"' },
+          height_m: nullableNumber('Tide height, m')
+        }
+      }
+    },
+    tides_text: { type: 'string', nullable: true, description: 'Tide information BMKG gives as text instead of a list' }
+  }
+};
+
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: {
+            type: 'string',
+            enum: ['VALIDATION_ERROR', 'UNAUTHORIZED', 'FORBIDDEN', 'NOT_FOUND', 'PAYLOAD_TOO_LARGE', 'RATE_LIMITED', 'INTERNAL_ERROR', 'SERVICE_UNAVAILABLE']
+          },
+          message: { type: 'string' },
+          details: {
+            nullable: true,
+            oneOf: [
+              {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    location: { type: 'string', enum: ['params', 'query', 'body'] },
+                    field: { type: 'string' },
+                    message: { type: 'string' }
+                  }
+                }
+              },
+              { type: 'string' }
+            ]
+          },
+          request_id: { type: 'string', nullable: true, description: 'Same as the X-Request-Id response header' }
+        }
+      }
+    }
+  },
+  WeatherData: weatherData,
+  CityWeather: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      lat: { type: 'number' },
+      lon: { type: 'number' },
+      coordinates: { type: 'object', additionalProperties: true },
+      weather_data: ref('WeatherData'),
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  GridWeather: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      lat: { type: 'number' },
+      lon: { type: 'number' },
+      step: { type: 'number', description: 'Cell size in degrees when cells were reduced' },
+      cell_count: { type: 'integer', description: 'Number of merged cells when cells were reduced' },
+      centroid: {
+        type: 'object',
+        description: 'Mean position of the merged cells when cells were reduced; lat/lon are the block centre',
+        properties: { lat: { type: 'number' }, lon: { type: 'number' } }
+      },
+      sampled_from: {
+        type: 'object',
+        description: 'Grid point whose weather a thinned cell shows (reduce=thin)',
+        properties: { name: { type: 'string' }, lat: { type: 'number' }, lon: { type: 'number' } }
+      },
+      weather_data: ref('WeatherData'),
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  MarineWeather: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      lat: { type: 'number' },
+      lon: { type: 'number' },
+      weather_data: marineData,
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  PortWeather: {
+    type: 'object',
+    properties: {
+      port_name: { type: 'string' },
+      slug: { type: 'string' },
+      coordinates: {
+        type: 'object',
+        properties: { lat: { type: 'number' }, lon: { type: 'number' } }
+      },
+      weather_data: {
+        type: 'object',
+        nullable: true,
+        description: 'BMKG maritime forecast, typed',
+        properties: {
+          issued: { type: 'string', format: 'date-time', nullable: true },
+          valid_from: { type: 'string', format: 'date-time', nullable: true },
+          valid_to: { type: 'string', format: 'date-time', nullable: true },
+          forecast: { type: 'array', items: portForecastSlot }
+        }
+      },
+      fetched_at: { type: 'string', format: 'date-time' },
+      status: { type: 'string' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  PortMetadata: {
+    type: 'object',
+    properties: {
+      slug: { type: 'string' },
+      port_name: { type: 'string' },
+      lat: { type: 'number' },
+      lon: { type: 'number' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  PointWeather: {
+    type: 'object',
+    properties: {
+      lat: { type: 'number' },
+      lon: { type: 'number' },
+      method: { type: 'string', enum: ['bilinear', 'idw', 'nearest'] },
+      weather_data: ref('WeatherData'),
+      sources: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            lat: { type: 'number' },
+            lon: { type: 'number' },
+            distance_km: { type: 'number' },
+            weight: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+  WeatherVariable: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', example: 'surface_pressure' },
+      unit: { type: 'string', example: 'hPa' },
+      kind: { type: 'string', enum: ['continuous', 'direction', 'category'], description: 'continuous values fit a colour scale' },
+      description: { type: 'string' }
+    }
+  },
+  Forecast: {
+    type: 'object',
+    description: 'Times and dates are local to `timezone`',
+    properties: {
+      name: { type: 'string' },
+      lat: { type: 'number' },
+      lon: { type: 'number' },
+      distance_km: { type: 'number', description: 'Grid forecasts: distance from the requested coordinates' },
+      coordinates: { type: 'object', additionalProperties: true },
+      timezone: { type: 'string' },
+      utc_offset_seconds: { type: 'integer' },
+      hourly: {
+        type: 'array',
+        items: {
+          type: 'object',
+          description: 'time plus temperature_2m, relative_humidity_2m, precipitation_probability, precipitation, weather_code, wind_speed_10m, wind_direction_10m, ...',
+          properties: { time: { type: 'string', example: '2024-01-01T13:00' } },
+          additionalProperties: true
+        }
+      },
+      daily: {
+        type: 'array',
+        items: {
+          type: 'object',
+          description: 'date plus weather_code, temperature_2m_max/min, precipitation_sum, precipitation_probability_max, wind_speed_10m_max, wind_direction_10m_dominant',
+          properties: { date: { type: 'string', format: 'date' } },
+          additionalProperties: true
+        }
+      },
+      fetched_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  FeatureCollection: {
+    type: 'object',
+    description: 'RFC 7946 FeatureCollection; weather values are flattened into feature properties',
+    properties: {
+      type: { type: 'string', enum: ['FeatureCollection'] },
+      features: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }
+  },
+  Summary: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        latest: { type: 'string', format: 'date-time', nullable: true },
+        count: { type: 'integer' }
+      }
+    }
+  },
+  CacheStats: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      keys: { type: 'integer' },
+      hits: { type: 'integer' },
+      misses: { type: 'integer' },
+      hitRate: { type: 'number', nullable: true },
+      datasets: { type: 'object', additionalProperties: true }
+    }
+  },
+  HistoryAggregate: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['city', 'grid', 'port'] },
+      location: { type: 'string' },
+      interval: { type: 'string' },
+      startDate: { type: 'string', format: 'date-time', nullable: true },
+      endDate: { type: 'string', format: 'date-time', nullable: true },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          description: 'One bucket: date, count and <variable>_min/_avg/_max',
+          properties: {
+            date: { type: 'string', format: 'date-time' },
+            count: { type: 'integer' }
+          },
+          additionalProperties: { type: 'number', nullable: true }
+        }
+      }
+    }
+  },
+  CollectorRun: {
+    type: 'object',
+    properties: {
+      _id: { type: 'string' },
+      dataset: { type: 'string', enum: adminSchemas.collectorRuns.query.dataset.enum },
+      status: { type: 'string', enum: adminSchemas.collectorRuns.query.status.enum },
+      provider: { type: 'string', enum: Object.keys(PROVIDERS), nullable: true },
+      exit_code: { type: 'integer', nullable: true },
+      started_at: { type: 'string', format: 'date-time' },
+      finished_at: { type: 'string', format: 'date-time', nullable: true },
+      duration_ms: { type: 'integer', nullable: true },
+      items_requested: { type: 'integer' },
+      items_succeeded: { type: 'integer' },
+      items_failed: { type: 'integer' },
+      batches_total: { type: 'integer' },
+      batches_failed: { type: 'integer' },
+      batches_resumed: { type: 'integer', description: 'Batches taken from checkpoints of an earlier run' },
+      avg_batch_seconds: { type: 'number', nullable: true },
+      retries: { type: 'integer' },
+      upstream_errors: { type: 'integer' },
+      failures: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            item: { type: 'string' },
+            error: { type: 'string' },
+            attempts: { type: 'integer' },
+            kind: { type: 'string', enum: UPSTREAM_ERROR_KINDS }
+          }
+        }
+      },
+      error: { type: 'string', nullable: true },
+      host: { type: 'string' }
+    }
+  },
+  Snapshot: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', enum: adminSchemas.snapshotRollback.params.name.enum },
+      active: { type: 'string', description: 'Version served to readers' },
+      count: { type: 'integer' },
+      activated_at: { type: 'string', format: 'date-time' },
+      previous: { type: 'string', nullable: true, description: 'Version kept for rollback' },
+      previous_count: { type: 'integer', nullable: true },
+      previous_activated_at: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  Readiness: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ready', 'not_ready'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      problems: { type: 'array', items: { type: 'string' } },
+      warnings: { type: 'array', items: { type: 'string' }, description: 'Issues that do not make the server unready' },
+      checks: {
+        type: 'object',
+        properties: {
+          database: {
+            type: 'object',
+            properties: {
+              connected: { type: 'boolean' },
+              latency_ms: { type: 'number', nullable: true },
+              error: { type: 'string', nullable: true }
+            }
+          },
+          datasets: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                latest: { type: 'string', format: 'date-time', nullable: true },
+                age_hours: { type: 'number', nullable: true },
+                freshness_hours: { type: 'number' },
+                max_age_hours: { type: 'number' },
+                status: { type: 'string', enum: ['fresh', 'stale', 'expired', 'missing', 'error'] }
+              }
+            }
+          },
+          collectors: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                status: { type: 'string' },
+                started_at: { type: 'string', format: 'date-time' },
+                finished_at: { type: 'string', format: 'date-time', nullable: true },
+                items_failed: { type: 'integer' },
+                error: { type: 'string', nullable: true }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  Health: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      uptime: { type: 'number', description: 'Seconds' },
+      environment: { type: 'string' }
+    }
+  }
+};
+
+const errorResponse = (description) => json(description, ref('Error'));
+
+/**
+ * Build the OpenAPI operation object of one route
+ * @param {Object} operation - Entry of OPERATIONS
+ * @returns {Object} Operation object
+ */
+function buildOperation(operation) {
+  const schema = operation.schema || {};
+  const hasInput = Boolean(schema.params || schema.query || schema.body);
+  const responses = { ...operation.responses };
+
+  if (operation.conditional) {
+    responses[304] = { description: 'Not modified since the ETag / Last-Modified sent by the client' };
+  }
+  if (hasInput) {
+    responses[400] = errorResponse('Invalid params, query or body');
+  }
+  const isAdmin = operation.auth === 'admin';
+  if (operation.auth !== 'none') {
+    responses[401] = errorResponse(isAdmin
+      ? 'Missing, unknown or revoked API key'
+      : 'Unknown or revoked API key, or no key while AUTH_REQUIRE_READ_KEY is set');
+  }
+  if (isAdmin) {
+    responses[403] = errorResponse('API key role not allowed');
+  }
+  if (operation.limited) {
+    responses[429] = {
+      ...errorResponse('Rate limit exceeded'),
+      headers: { 'Retry-After': { description: 'Seconds until enough tokens are available', schema: { type: 'integer' } } }
+    };
+  }
+  responses[500] = errorResponse('Internal server error');
+
+  const built = {
+    tags: [operation.tag],
+    summary: operation.summary,
+    operationId: operationIdOf(operation.method, operation.path),
+    parameters: buildParameters(schema),
+    responses,
+    security: isAdmin ? ADMIN_SECURITY : operation.auth === 'none' ? [] : READ_SECURITY
+  };
+
+  const requestBody = buildRequestBody(schema);
+  if (requestBody) built.requestBody = requestBody;
+
+  return built;
+}
+
+/**
+ * Build the complete OpenAPI document
+ * @param {Object} info - { version } overrides for the info block
+ * @returns {Object} OpenAPI 3 document
+ */
+export function buildOpenApiDocument(info = {}) {
+  const paths = {};
+  for (const operation of OPERATIONS) {
+    const path = toOpenApiPath(operation.path);
+    paths[path] = paths[path] || {};
+    paths[path][operation.method] = buildOperation(operation);
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'Weather Map API',
+      description: 'Current, interpolated and historical weather for Indonesian cities, a 1° grid and BMKG ports.',
+      version: info.version || '1.0.0'
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer' },
+        ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+      }
+    }
+  };
+}
+
+export default {
+  OPERATIONS,
+  ruleToSchema,
+  toOpenApiPath,
+  buildOpenApiDocument
+};
@@ -0,0 +1,243 @@
+import { EXPORT_FORMATS } from '../utils/historyExport.js';
+import { GRID_REDUCE_MODES, parseBoundingBox } from '../utils/gridSampling.js';
+import { HISTORY_INTERVALS, SNAPSHOT_MODELS } from '../utils/weatherRepository.js';
+import { COLLECTOR_RUN_STATUSES } from '../utils/collectorRunLog.js';
+
+/**
+ * Request Schemas - params, query and body rules for every API route,
+ * checked by the validate() middleware (see utils/validation.js)
+ */
+
+export const DATASETS = ['city', 'grid', 'port', 'marine'];
+// Datasets whose replaced records are archived (marine data is not)
+export const HISTORY_DATASETS = ['city', 'grid', 'port'];
+export const RESPONSE_FORMATS = ['json', 'geojson'];
+export const CELL_GEOMETRIES = ['point', 'polygon'];
+
+export const MAX_HISTORY_LIMIT = 1000;
+export const MAX_HISTORY_DAYS = 3650;
+export const MAX_FORECAST_DAYS = 16;
+
+// ---------- Shared fields ----------
+
+const latitude = { type: 'number', minimum: -90, maximum: 90, description: 'Latitude in degrees' };
+const longitude = { type: 'number', minimum: -180, maximum: 180, description: 'Longitude in degrees' };
+
+const format = { type: 'string', enum: RESPONSE_FORMATS, description: 'Response format (default: json, or GeoJSON via Accept: application/geo+json)' };
+const geometry = { type: 'string', enum: CELL_GEOMETRIES, description: 'Grid cell geometry in GeoJSON output' };
+
+const startDate = { type: 'string', format: 'date-time', description: 'Start of the range (ISO 8601)' };
+const endDate = { type: 'string', format: 'date-time', description: 'End of the range (ISO 8601)' };
+const days = { type: 'integer', minimum: 1, maximum: MAX_HISTORY_DAYS, description: 'Relative window in days, ignored when startDate is given' };
+const interval = { type: 'string', enum: HISTORY_INTERVALS, description: 'Bucket size' };
+const limit = { type: 'integer', minimum: 1, maximum: MAX_HISTORY_LIMIT, default: 100, description: 'Maximum number of records' };
+const locationName = { type: 'string', minLength: 1, maxLength: 100 };
+const forecastDays = { type: 'integer', minimum: 1, maximum: MAX_FORECAST_DAYS, description: 'Limit the forecast to the first N days (default: every stored day)' };
+
+/**
+ * Reject ranges whose start lies after their end
+ * @param {Object} values - Validated { params, query, body }
+ * @returns {Array} Error details
+ */
+function checkDateRange({ query }) {
+  if (query.startDate && query.endDate && query.startDate > query.endDate) {
+    return [{ location: 'query', field: 'endDate', message: 'must not be before startDate' }];
+  }
+  return [];
+}
+
+/**
+ * Parse a "lat,lon" grid location
+ * @param {string} value - Location string
+ * @returns {string} Normalised "lat,lon"
+ */
+function parseGridLocation(value) {
+  const parts = String(value).split(',').map(part => Number(part.trim()));
+  const [lat, lon] = parts;
+
+  if (parts.length !== 2 || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error('must be "lat,lon" for grid history');
+  }
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    throw new Error('must be within lat -90..90 and lon -180..180');
+  }
+  return `${lat},${lon}`;
+}
+
+// ---------- Weather routes ----------
+
+const noParams = {};
+
+const currentWeather = {
+  query: { format, geometry }
+};
+
+const grid = {
+  query: {
+    bbox: { type: 'string', parse: parseBoundingBox, description: 'Viewport as minLon,minLat,maxLon,maxLat' },
+    zoom: { type: 'number', minimum: 0, maximum: 22, description: 'Map zoom level used to pick the cell size' },
+    reduce: { type: 'string', enum: GRID_REDUCE_MODES, default: 'none', description: 'How cells are merged at low zoom' },
+    format,
+    geometry
+  }
+};
+
+const marine = {
+  query: {
+    bbox: grid.query.bbox,
+    format,
+    geometry
+  }
+};
+
+const point = {
+  query: {
+    lat: { ...latitude, required: true },
+    lon: { ...longitude, required: true }
+  }
+};
+
+const cityForecast = {
+  params: { name: { ...locationName, description: 'City name' } },
+  query: { days: forecastDays }
+};
+
+const gridForecast = {
+  query: {
+    lat: { ...latitude, required: true },
+    lon: { ...longitude, required: true },
+    days: forecastDays
+  }
+};
+
+const stream = {
+  query: {
+    datasets: {
+      type: 'array',
+      items: { type: 'string', enum: DATASETS },
+      default: DATASETS,
+      description: 'Comma-separated datasets to announce'
+    }
+  }
+};
+
+const aggregatedHistory = {
+  query: {
+    name: { ...locationName, required: true, description: 'City name, or port slug or name' },
+    days: { ...days, default: 30 },
+    startDate,
+    endDate,
+    interval: { ...interval, default: 'day' }
+  },
+  check: checkDateRange
+};
+
+const cityHistory = {
+  params: { cityName: { ...locationName, description: 'City name' } },
+  query: { startDate, endDate, limit },
+  check: checkDateRange
+};
+
+const portHistory = {
+  params: { portSlug: { ...locationName, description: 'Port slug' } },
+  query: { startDate, endDate, limit },
+  check: checkDateRange
+};
+
+const gridHistory = {
+  query: {
+    lat: { ...latitude, required: true },
+    lon: { ...longitude, required: true },
+    startDate,
+    endDate,
+    limit,
+    days: { ...days, description: 'Return bucketed statistics for the last N days' },
+    interval: { ...interval, description: 'Return bucketed statistics per interval' }
+  },
+  check: checkDateRange
+};
+
+const exportHistory = {
+  query: {
+    type: { type: 'string', enum: HISTORY_DATASETS, required: true, description: 'Dataset to export' },
+    location: { ...locationName, description: 'City name, "lat,lon" grid point, or port slug or name' },
+    days,
+    startDate,
+    endDate,
+    format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv', description: 'File format' }
+  },
+  check(values) {
+    const details = checkDateRange(values);
+    const { type, location } = values.query;
+
+    if (type === 'grid' && location) {
+      try {
+        values.query.location = parseGridLocation(location);
+      } catch (error) {
+        details.push({ location: 'query', field: 'location', message: error.message });
+      }
+    }
+    return details;
+  }
+};
+
+const historyCleanup = {
+  body: {
+    daysToKeep: { type: 'integer', minimum: 1, maximum: MAX_HISTORY_DAYS, default: 90, description: 'Days of history to keep' }
+  }
+};
+
+export const weatherSchemas = {
+  noParams,
+  currentWeather,
+  grid,
+  marine,
+  point,
+  cityForecast,
+  gridForecast,
+  stream,
+  aggregatedHistory,
+  cityHistory,
+  portHistory,
+  gridHistory,
+  exportHistory,
+  historyCleanup
+};
+
+// ---------- Admin routes ----------
+
+export const MAX_RUN_LIMIT = 500;
+
+const collectorRuns = {
+  query: {
+    dataset: { type: 'string', enum: DATASETS, description: 'Collector dataset' },
+    status: { type: 'string', enum: COLLECTOR_RUN_STATUSES, description: 'Run status' },
+    since: { type: 'string', format: 'date-time', description: 'Runs started at or after' },
+    until: { type: 'string', format: 'date-time', description: 'Runs started at or before' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_RUN_LIMIT, default: 50, description: 'Maximum number of runs' }
+  }
+};
+
+const collectorRun = {
+  params: {
+    id: { type: 'string', minLength: 24, maxLength: 24, description: 'Run id' }
+  }
+};
+
+const snapshotRollback = {
+  params: {
+    name: { type: 'string', enum: Object.keys(SNAPSHOT_MODELS), description: 'Snapshot name' }
+  }
+};
+
+export const adminSchemas = {
+  noParams,
+  collectorRuns,
+  collectorRun,
+  snapshotRollback
+};
+
+export default {
+  weatherSchemas,
+  adminSchemas
+};
@@ -1,59 +1,228 @@
 import express from 'express';
+import { getExportFormat } from '../utils/historyExport.js';
+import config from '../config/config.js';
+import { cacheResponse, getCacheStats } from '../utils/responseCache.js';
+import { conditionalGet } from '../utils/conditionalGet.js';
+import { GEOJSON_CONTENT_TYPE, wantsGeoJSON, toFeature, toFeatureCollection } from '../utils/geojson.js';
+import { interpolatePoint } from '../utils/gridInterpolation.js';
+import { openDataEventStream } from '../utils/eventStream.js';
+import { requireRole } from '../utils/auth.js';
+import { rateLimit } from '../utils/rateLimiter.js';
+import { getLiveness } from '../utils/healthCheck.js';
+import { validate } from '../utils/validation.js';
+import { sendError } from '../utils/apiErrors.js';
+import { weatherSchemas as schemas, DATASETS } from './schemas.js';
+import { BASE_GRID_STEP, getGridStepForZoom, reduceGridCells } from '../utils/gridSampling.js';
+import { describeWeatherVariables } from '../utils/weatherVariables.js';
 import {
   getCityWeatherDocuments,
   getGridWeatherDocuments,
   getPortWeatherDocuments,
+  getMarineWeatherDocuments,
+  countWeatherDocuments,
+  getCityForecast,
+  getNearestGridForecast,
   getPortMetadata,
   getLatestCityFetchTime,
   getLatestGridFetchTime,
   getLatestPortTime,
+  getLatestMarineFetchTime,
   getCityWeatherHistory,
   getGridWeatherHistory,
   getPortWeatherHistory,
+  getWeatherHistoryCursor,
+  aggregateWeatherHistory,
   cleanupOldHistory
 } from '../utils/weatherRepository.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+const COMBINED_CACHE_TTL = Math.min(...Object.values(config.cache.ttl));
+const RATE_COSTS = config.rateLimit.costs;
+
+/**
+ * Middleware chain for current-weather routes: 304 revalidation, then response cache
+ * @param {Array<string>} datasets - Datasets the response is derived from
+ * @param {number} ttl - Response cache TTL in seconds
+ * @returns {Array<Function>} Express middleware
+ */
+function cachedFor(datasets, ttl) {
+  return [conditionalGet(datasets), cacheResponse(datasets, ttl)];
+}
+
+/**
+ * Send current weather documents as JSON or as a GeoJSON FeatureCollection
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - Dataset type (city, grid, port, marine)
+ * @param {Array<Object>} data - Weather documents
+ */
+function sendWeatherData(req, res, type, data) {
+  res.vary('Accept');
+
+  if (!wantsGeoJSON(req)) {
+    return res.json(data);
+  }
+
+  const collection = toFeatureCollection(type, data, { cellGeometry: req.valid.query.geometry });
+  res.type(GEOJSON_CONTENT_TYPE).send(JSON.stringify(collection));
+}
+
+const DEFAULT_HISTORY_DAYS = 30;
+
+/**
+ * Resolve a history date range from validated query values
+ * An explicit startDate wins over a relative "days" window
+ * @param {Object} query - Validated query ({ days, startDate, endDate })
+ * @param {number|null} defaultDays - Window used when neither days nor startDate is given
+ * @returns {{ startDate: Date|null, endDate: Date|null }} Date range
+ */
+function resolveHistoryRange(query, defaultDays = null) {
+  const { days = defaultDays, startDate = null, endDate = null } = query;
+
+  if (startDate || !days) {
+    return { startDate, endDate };
+  }
+
+  return {
+    startDate: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+    endDate
+  };
+}
+
+/**
+ * Respond with bucketed history statistics for one location
+ * @param {Object} req - Express request (validated)
+ * @param {Object} res - Express response
+ * @param {string} type - Dataset type (city, grid, port)
+ * @param {string} location - Location identifier
+ */
+async function sendAggregatedHistory(req, res, type, location) {
+  const { interval = 'day' } = req.valid.query;
+  const range = resolveHistoryRange(req.valid.query, DEFAULT_HISTORY_DAYS);
+
+  const data = await aggregateWeatherHistory(type, location, { interval, ...range });
+
+  res.json({
+    type,
+    location,
+    interval,
+    startDate: range.startDate ? range.startDate.toISOString() : null,
+    endDate: range.endDate ? range.endDate.toISOString() : null,
+    data
+  });
+}
+
+/**
+ * Keep only the first days of a forecast
+ * @param {Object} forecast - Forecast document
+ * @param {number|undefined} days - Days to keep (all when undefined)
+ * @returns {Object} Forecast limited to `days` daily rows and `days * 24` hourly rows
+ */
+function limitForecastDays(forecast, days) {
+  if (!days) return forecast;
+
+  return {
+    ...forecast,
+    hourly: forecast.hourly.slice(0, days * 24),
+    daily: forecast.daily.slice(0, days)
+  };
+}
+
+/**
+ * Wait until a response can accept more data or the client goes away
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
 /**
  * GET /api/weather/city
  * Get all city weather data
+ * Query params: format (json|geojson), or Accept: application/geo+json
  */
-router.get('/city', async (req, res) => {
+router.get('/city', rateLimit(RATE_COSTS.default), validate(schemas.currentWeather), ...cachedFor(['city'], config.cache.ttl.city), async (req, res) => {
   try {
     const data = await getCityWeatherDocuments();
-    res.json(data);
+    sendWeatherData(req, res, 'city', data);
   } catch (error) {
-    console.error('Error fetching city weather:', error);
-    res.status(500).json({ error: 'Failed to fetch city weather data' });
+    logger.error('Error fetching city weather', { error });
+    sendError(res, 500, 'Failed to fetch city weather data');
   }
 });
 
 /**
  * GET /api/weather/grid
- * Get all grid weather data
+ * Get grid weather data, optionally limited to a viewport
+ * Query params: bbox (minLon,minLat,maxLon,maxLat), zoom, reduce (none|thin|mean),
+ *               format (json|geojson), geometry (point|polygon, GeoJSON only)
  */
-router.get('/grid', async (req, res) => {
+router.get('/grid', rateLimit(RATE_COSTS.default), validate(schemas.grid), ...cachedFor(['grid'], config.cache.ttl.grid), async (req, res) => {
   try {
-    const data = await getGridWeatherDocuments();
-    res.json(data);
+    const { bbox = null, zoom = NaN, reduce } = req.valid.query;
+
+    const step = getGridStepForZoom(zoom);
+    const data = reduceGridCells(await getGridWeatherDocuments({ bbox }), step, reduce);
+
+    res.set('X-Grid-Step', String(reduce === 'none' ? 1 : step));
+    sendWeatherData(req, res, 'grid', data);
+  } catch (error) {
+    logger.error('Error fetching grid weather', { error });
+    sendError(res, 500, 'Failed to fetch grid weather data');
+  }
+});
+
+/**
+ * GET /api/weather/point
+ * Interpolate the weather at arbitrary coordinates from the surrounding grid cells
+ * Query params: lat, lon
+ */
+router.get('/point', rateLimit(RATE_COSTS.default), validate(schemas.point), ...cachedFor(['grid'], config.cache.ttl.grid), async (req, res) => {
+  try {
+    const { lat, lon } = req.valid.query;
+
+    // Search 1.5 cells around the point: the enclosing square plus neighbours for edge fallback
+    const radius = BASE_GRID_STEP * 1.5;
+    const cells = await getGridWeatherDocuments({
+      bbox: { minLon: lon - radius, minLat: lat - radius, maxLon: lon + radius, maxLat: lat + radius },
+      padding: 0
+    });
+
+    const result = interpolatePoint(lat, lon, cells);
+    if (!result) {
+      return sendError(res, 404, 'No grid weather data near this location');
+    }
+
+    res.json(result);
   } catch (error) {
-    console.error('Error fetching grid weather:', error);
-    res.status(500).json({ error: 'Failed to fetch grid weather data' });
+    logger.error('Error interpolating point weather', { error });
+    sendError(res, 500, 'Failed to interpolate point weather');
   }
 });
 
 /**
  * GET /api/weather/port
  * Get all port weather data
+ * Query params: format (json|geojson), or Accept: application/geo+json
  */
-router.get('/port', async (req, res) => {
+router.get('/port', rateLimit(RATE_COSTS.default), validate(schemas.currentWeather), ...cachedFor(['port'], config.cache.ttl.port), async (req, res) => {
   try {
     const data = await getPortWeatherDocuments();
-    res.json(data);
+    sendWeatherData(req, res, 'port', data);
   } catch (error) {
-    console.error('Error fetching port weather:', error);
-    res.status(500).json({ error: 'Failed to fetch port weather data' });
+    logger.error('Error fetching port weather', { error });
+    sendError(res, 500, 'Failed to fetch port weather data');
   }
 });
 
@@ -61,36 +230,84 @@ router.get('/port', async (req, res) => {
  * GET /api/weather/port/metadata
  * Get port metadata
  */
-router.get('/port/metadata', async (req, res) => {
+router.get('/port/metadata', rateLimit(RATE_COSTS.default), validate(schemas.noParams), cacheResponse(['port'], config.cache.ttl.port), async (req, res) => {
   try {
     const data = await getPortMetadata();
     res.json(data);
   } catch (error) {
-    console.error('Error fetching port metadata:', error);
-    res.status(500).json({ error: 'Failed to fetch port metadata' });
+    logger.error('Error fetching port metadata', { error });
+    sendError(res, 500, 'Failed to fetch port metadata');
+  }
+});
+
+/**
+ * GET /api/weather/marine
+ * Get waves, swell and sea surface temperature of the sea cells, optionally limited to a viewport
+ * Query params: bbox (minLon,minLat,maxLon,maxLat), format (json|geojson),
+ *               geometry (point|polygon, GeoJSON only)
+ */
+router.get('/marine', rateLimit(RATE_COSTS.default), validate(schemas.marine), ...cachedFor(['marine'], config.cache.ttl.marine), async (req, res) => {
+  try {
+    const data = await getMarineWeatherDocuments({ bbox: req.valid.query.bbox ?? null });
+    sendWeatherData(req, res, 'marine', data);
+  } catch (error) {
+    logger.error('Error fetching marine weather', { error });
+    sendError(res, 500, 'Failed to fetch marine weather data');
+  }
+});
+
+/**
+ * GET /api/weather/variables
+ * List the variables stored in city and grid weather_data (WEATHER_VARIABLES), with units
+ */
+router.get('/variables', rateLimit(RATE_COSTS.default), validate(schemas.noParams), (req, res) => {
+  try {
+    res.json(describeWeatherVariables());
+  } catch (error) {
+    logger.error('Error listing weather variables', { error });
+    sendError(res, 500, 'Failed to list weather variables');
   }
 });
 
 /**
  * GET /api/weather/all
- * Get all weather data (city, grid, port)
+ * Get all weather data (city, grid, port, marine)
+ * As GeoJSON, a single FeatureCollection with a "dataset" property per feature
  */
-router.get('/all', async (req, res) => {
+router.get('/all', rateLimit(RATE_COSTS.all), validate(schemas.currentWeather), ...cachedFor(DATASETS, COMBINED_CACHE_TTL), async (req, res) => {
   try {
-    const [cityData, gridData, portData] = await Promise.all([
+    const [cityData, gridData, portData, marineData] = await Promise.all([
       getCityWeatherDocuments(),
       getGridWeatherDocuments(),
-      getPortWeatherDocuments()
+      getPortWeatherDocuments(),
+      getMarineWeatherDocuments()
     ]);
 
+    res.vary('Accept');
+
+    if (wantsGeoJSON(req)) {
+      const options = { cellGeometry: req.valid.query.geometry, dataset: true };
+      const collection = {
+        type: 'FeatureCollection',
+        features: [
+          ...cityData.map(doc => toFeature('city', doc, options)),
+          ...gridData.map(doc => toFeature('grid', doc, options)),
+          ...portData.map(doc => toFeature('port', doc, options)),
+          ...marineData.map(doc => toFeature('marine', doc, options))
+        ]
+      };
+      return res.type(GEOJSON_CONTENT_TYPE).send(JSON.stringify(collection));
+    }
+
     res.json({
       city: cityData,
       grid: gridData,
-      port: portData
+      port: portData,
+      marine: marineData
     });
   } catch (error) {
-    console.error('Error fetching all weather data:', error);
-    res.status(500).json({ error: 'Failed to fetch all weather data' });
+    logger.error('Error fetching all weather data', { error });
+    sendError(res, 500, 'Failed to fetch all weather data');
   }
 });
 
@@ -98,72 +315,138 @@ router.get('/all', async (req, res) => {
  * GET /api/weather/summary
  * Get weather data summary
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', rateLimit(RATE_COSTS.default), validate(schemas.noParams), ...cachedFor(DATASETS, COMBINED_CACHE_TTL), async (req, res) => {
   try {
-    const [cityLatest, gridLatest, portLatest, cityData, gridData, portData] = await Promise.all([
+    const [cityLatest, gridLatest, portLatest, marineLatest, counts] = await Promise.all([
       getLatestCityFetchTime(),
       getLatestGridFetchTime(),
       getLatestPortTime(),
-      getCityWeatherDocuments(),
-      getGridWeatherDocuments(),
-      getPortWeatherDocuments()
+      getLatestMarineFetchTime(),
+      countWeatherDocuments()
     ]);
 
     res.json({
       city: {
         latest: cityLatest ? cityLatest.toISOString() : null,
-        count: cityData.length
+        count: counts.city
       },
       grid: {
         latest: gridLatest ? gridLatest.toISOString() : null,
-        count: gridData.length
+        count: counts.grid
       },
       port: {
         latest: portLatest ? portLatest.toISOString() : null,
-        count: portData.length
+        count: counts.port
+      },
+      marine: {
+        latest: marineLatest ? marineLatest.toISOString() : null,
+        count: counts.marine
       }
     });
   } catch (error) {
-    console.error('Error fetching weather summary:', error);
-    res.status(500).json({ error: 'Failed to fetch weather summary' });
+    logger.error('Error fetching weather summary', { error });
+    sendError(res, 500, 'Failed to fetch weather summary');
   }
 });
 
 /**
- * GET /api/health
- * Health check endpoint
+ * GET /api/weather/stream
+ * Server-Sent Events announcing fresh data ('saved' events)
+ * Query params: datasets (comma-separated, default: city,grid,port,marine)
+ */
+router.get('/stream', rateLimit(RATE_COSTS.default), validate(schemas.stream), (req, res) => {
+  openDataEventStream(req, res, req.valid.query.datasets);
+});
+
+/**
+ * GET /api/weather/cache/stats
+ * Get server-side response cache hit/miss counters
+ */
+router.get('/cache/stats', rateLimit(RATE_COSTS.default), validate(schemas.noParams), (req, res) => {
+  res.json(getCacheStats());
+});
+
+/**
+ * GET /api/weather/health
+ * Liveness check (see /api/health/ready for dependencies)
  */
 router.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
+  res.json(getLiveness());
+});
+
+// ===================== FORECAST ENDPOINTS =====================
+
+/**
+ * GET /api/weather/city/:name/forecast
+ * Get the hourly and daily forecast of a city
+ * Query params: days (1-16, default: every stored day)
+ */
+router.get('/city/:name/forecast', rateLimit(RATE_COSTS.default), validate(schemas.cityForecast), ...cachedFor(['city'], config.cache.ttl.city), async (req, res) => {
+  try {
+    const forecast = await getCityForecast(req.valid.params.name);
+    if (!forecast) {
+      return sendError(res, 404, 'No forecast for this city');
+    }
+
+    res.json(limitForecastDays(forecast, req.valid.query.days));
+  } catch (error) {
+    logger.error('Error fetching city forecast', { error });
+    sendError(res, 500, 'Failed to fetch city forecast');
+  }
+});
+
+/**
+ * GET /api/weather/grid/forecast
+ * Get the hourly and daily forecast of the grid point nearest to a location
+ * Query params: lat, lon, days (1-16, default: every stored day)
+ */
+router.get('/grid/forecast', rateLimit(RATE_COSTS.default), validate(schemas.gridForecast), ...cachedFor(['grid'], config.cache.ttl.grid), async (req, res) => {
+  try {
+    const { lat, lon, days } = req.valid.query;
+
+    const forecast = await getNearestGridForecast(lat, lon, BASE_GRID_STEP * 1.5);
+    if (!forecast) {
+      return sendError(res, 404, 'No grid forecast near this location');
+    }
+
+    res.json(limitForecastDays(forecast, days));
+  } catch (error) {
+    logger.error('Error fetching grid forecast', { error });
+    sendError(res, 500, 'Failed to fetch grid forecast');
+  }
 });
 
 // ===================== HISTORICAL DATA ENDPOINTS =====================
 
+/**
+ * GET /api/weather/city/history
+ * Get bucketed historical statistics for a city
+ * Query params: name, days (default: 30), startDate, endDate, interval (hour|day|week)
+ */
+router.get('/city/history', rateLimit(RATE_COSTS.history), validate(schemas.aggregatedHistory), async (req, res) => {
+  try {
+    await sendAggregatedHistory(req, res, 'city', req.valid.query.name);
+  } catch (error) {
+    logger.error('Error aggregating city weather history', { error });
+    sendError(res, 500, 'Failed to aggregate city weather history');
+  }
+});
+
 /**
  * GET /api/weather/city/history/:cityName
  * Get historical weather data for a specific city
  * Query params: startDate, endDate, limit
  */
-router.get('/city/history/:cityName', async (req, res) => {
+router.get('/city/history/:cityName', rateLimit(RATE_COSTS.history), validate(schemas.cityHistory), async (req, res) => {
   try {
-    const { cityName } = req.params;
-    const { startDate, endDate, limit } = req.query;
-    
-    const options = {
-      startDate: startDate || null,
-      endDate: endDate || null,
-      limit: limit ? parseInt(limit) : 100
-    };
-    
-    const data = await getCityWeatherHistory(cityName, options);
+    const { cityName } = req.valid.params;
+    const { startDate = null, endDate = null, limit } = req.valid.query;
+
+    const data = await getCityWeatherHistory(cityName, { startDate, endDate, limit });
     res.json(data);
   } catch (error) {
-    console.error('Error fetching city weather history:', error);
-    res.status(500).json({ error: 'Failed to fetch city weather history' });
+    logger.error('Error fetching city weather history', { error });
+    sendError(res, 500, 'Failed to fetch city weather history');
   }
 });
 
@@ -171,26 +454,36 @@ router.get('/city/history/:cityName', async (req, res) => {
  * GET /api/weather/grid/history
  * Get historical weather data for a specific grid point
  * Query params: lat, lon, startDate, endDate, limit
+ * With days or interval: bucketed statistics instead of raw documents
  */
-router.get('/grid/history', async (req, res) => {
+router.get('/grid/history', rateLimit(RATE_COSTS.history), validate(schemas.gridHistory), async (req, res) => {
   try {
-    const { lat, lon, startDate, endDate, limit } = req.query;
-    
-    if (!lat || !lon) {
-      return res.status(400).json({ error: 'lat and lon query parameters are required' });
+    const { lat, lon, startDate = null, endDate = null, limit, days, interval } = req.valid.query;
+
+    if (days || interval) {
+      return await sendAggregatedHistory(req, res, 'grid', `${lat},${lon}`);
     }
-    
-    const options = {
-      startDate: startDate || null,
-      endDate: endDate || null,
-      limit: limit ? parseInt(limit) : 100
-    };
-    
-    const data = await getGridWeatherHistory(parseFloat(lat), parseFloat(lon), options);
+
+    const data = await getGridWeatherHistory(lat, lon, { startDate, endDate, limit });
     res.json(data);
   } catch (error) {
-    console.error('Error fetching grid weather history:', error);
-    res.status(500).json({ error: 'Failed to fetch grid weather history' });
+    logger.error('Error fetching grid weather history', { error });
+    sendError(res, 500, 'Failed to fetch grid weather history');
+  }
+});
+
+/**
+ * GET /api/weather/port/history
+ * Get bucketed historical statistics for a port
+ * Query params: name (slug or port name), days (default: 30), startDate, endDate,
+ *               interval (hour|day|week)
+ */
+router.get('/port/history', rateLimit(RATE_COSTS.history), validate(schemas.aggregatedHistory), async (req, res) => {
+  try {
+    await sendAggregatedHistory(req, res, 'port', req.valid.query.name);
+  } catch (error) {
+    logger.error('Error aggregating port weather history', { error });
+    sendError(res, 500, 'Failed to aggregate port weather history');
   }
 });
 
@@ -199,41 +492,91 @@ router.get('/grid/history', async (req, res) => {
  * Get historical weather data for a specific port
  * Query params: startDate, endDate, limit
  */
-router.get('/port/history/:portSlug', async (req, res) => {
+router.get('/port/history/:portSlug', rateLimit(RATE_COSTS.history), validate(schemas.portHistory), async (req, res) => {
   try {
-    const { portSlug } = req.params;
-    const { startDate, endDate, limit } = req.query;
-    
-    const options = {
-      startDate: startDate || null,
-      endDate: endDate || null,
-      limit: limit ? parseInt(limit) : 100
-    };
-    
-    const data = await getPortWeatherHistory(portSlug, options);
+    const { portSlug } = req.valid.params;
+    const { startDate = null, endDate = null, limit } = req.valid.query;
+
+    const data = await getPortWeatherHistory(portSlug, { startDate, endDate, limit });
     res.json(data);
   } catch (error) {
-    console.error('Error fetching port weather history:', error);
-    res.status(500).json({ error: 'Failed to fetch port weather history' });
+    logger.error('Error fetching port weather history', { error });
+    sendError(res, 500, 'Failed to fetch port weather history');
+  }
+});
+
+/**
+ * GET /api/weather/export
+ * Stream historical weather data as a file download
+ * Query params: type (city|grid|port), location, days, startDate, endDate,
+ *               format (csv|geojson|ndjson, default: csv)
+ */
+router.get('/export', rateLimit(RATE_COSTS.export), validate(schemas.exportHistory), async (req, res) => {
+  const { type, location = null, format } = req.valid.query;
+
+  const exportFormat = getExportFormat(format);
+  const cursor = getWeatherHistoryCursor(type, {
+    location,
+    ...resolveHistoryRange(req.valid.query)
+  });
+
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      clientGone = true;
+      cursor.close().catch(() => {});
+    }
+  });
+
+  const fileDate = new Date().toISOString().split('T')[0];
+  res.setHeader('Content-Type', exportFormat.contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${type}_history_${fileDate}.${exportFormat.extension}"`
+  );
+
+  try {
+    res.write(exportFormat.open(type));
+
+    let index = 0;
+    for await (const doc of cursor) {
+      if (clientGone) break;
+      if (!res.write(exportFormat.record(type, doc, index++))) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (!clientGone) {
+      res.end(exportFormat.close(type));
+    }
+  } catch (error) {
+    logger.error('Error exporting weather history', { error });
+    if (!res.headersSent) {
+      sendError(res, 500, 'Failed to export weather history');
+    } else {
+      res.destroy(error);
+    }
   }
 });
 
 /**
  * POST /api/weather/history/cleanup
  * Clean up old historical data
- * Body: { daysToKeep: number } (default: 90)
+ * Body: { daysToKeep: number } (1-3650, default: 90)
+ * Requires an admin API key
  */
-router.post('/history/cleanup', async (req, res) => {
+router.post('/history/cleanup', requireRole('admin'), validate(schemas.historyCleanup), async (req, res) => {
+  const { daysToKeep } = req.valid.body;
+
   try {
-    const { daysToKeep = 90 } = req.body;
     const result = await cleanupOldHistory(daysToKeep);
     res.json({
       message: 'Historical data cleanup completed',
       deleted: result
     });
   } catch (error) {
-    console.error('Error cleaning up historical data:', error);
-    res.status(500).json({ error: 'Failed to cleanup historical data' });
+    logger.error('Error cleaning up historical data', { error });
+    sendError(res, 500, 'Failed to cleanup historical data');
   }
 });
 
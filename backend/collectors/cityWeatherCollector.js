@@ -1,12 +1,15 @@
-import axios from 'axios';
 import { connectDatabase } from '../utils/database.js';
 import {
   getCityMetadata,
   saveCityMetadata,
   saveCityWeatherData,
+  saveCityForecasts,
   isCityWeatherFresh
 } from '../utils/weatherRepository.js';
-import { sleep, logWithTimestamp } from '../utils/helpers.js';
+import { sleep, splitForecasts, logWithTimestamp } from '../utils/helpers.js';
+import { withLogContext } from '../utils/logger.js';
+import { startCollectorRun } from '../utils/collectorRunLog.js';
+import { getProvider } from '../providers/index.js';
 import config from '../config/config.js';
 import fs from 'fs/promises';
 import path from 'path';
@@ -17,7 +20,7 @@ const __dirname = path.dirname(__filename);
 
 /**
  * City Weather Collector
- * Fetches weather data for Indonesian cities using OpenMeteo API
+ * Fetches weather data for Indonesian cities (OpenMeteo by default, see CITY_PROVIDER)
  */
 
 /**
@@ -100,78 +103,70 @@ async function loadCityCoordinates() {
 }
 
 /**
- * Fetch weather data for cities using OpenMeteo API
+ * Fetch weather data for cities from the configured provider
+ * With FORECAST_DAYS > 0 each record also carries its forecast
+ * @param {Array} cities - Cities to fetch
+ * @param {Object} provider - Weather provider (see backend/providers)
+ * @param {Object} run - Optional collector run tracker
  */
-async function fetchCityWeatherData(cities) {
+async function fetchCityWeatherData(cities, provider, run = null) {
   if (!cities || cities.length === 0) {
     return [];
   }
 
-  const lats = cities.map(city => city.lat);
-  const lons = cities.map(city => city.lon);
-
-  const params = {
-    latitude: lats,
-    longitude: lons,
-    current: [
-      'temperature_2m',
-      'relative_humidity_2m',
-      'weather_code',
-      'wind_speed_10m',
-      'wind_direction_10m'
-    ],
-    timezone: 'Asia/Jakarta'
-  };
-
   try {
-    logWithTimestamp(`Fetching weather data for ${cities.length} cities...`, 'info');
-    
-    const response = await axios.get(config.api.openMeteoUrl, { params });
+    logWithTimestamp(`Fetching weather data for ${cities.length} cities...`, 'info', { provider: provider.name });
+
+    const results = await provider.fetchBatch(cities, { forecastDays: config.forecast.days });
     const processedData = [];
 
-    // OpenMeteo returns an array of responses, one per location
-    if (response.data && Array.isArray(response.data)) {
-      for (let i = 0; i < response.data.length && i < cities.length; i++) {
-        const locationData = response.data[i];
-        const city = cities[i];
-        
-        if (locationData.current) {
-          const current = locationData.current;
-          
-          processedData.push({
-            name: city.name,
-            lat: city.lat,
-            lon: city.lon,
-            coordinates: {
-              latitude: locationData.latitude || city.lat,
-              longitude: locationData.longitude || city.lon,
-              elevation: locationData.elevation || 0
-            },
-            weather_data: {
-              temperature_2m: current.temperature_2m,
-              relative_humidity_2m: current.relative_humidity_2m,
-              weather_code: current.weather_code,
-              wind_speed_10m: current.wind_speed_10m,
-              wind_direction_10m: current.wind_direction_10m,
-              timestamp: current.time,
-              timezone: locationData.timezone,
-              utc_offset_seconds: locationData.utc_offset_seconds,
-              fetched_at: new Date()
-            }
-          });
-        }
+    // One result per city, in request order
+    cities.forEach((city, index) => {
+      const result = results[index];
+
+      if (!result) {
+        run?.recordFailure(city.name, 'No current weather in response');
+        return;
       }
-    }
+
+      processedData.push({
+        name: city.name,
+        lat: city.lat,
+        lon: city.lon,
+        coordinates: result.coordinates,
+        weather_data: result.weather_data,
+        forecast: result.forecast
+      });
+    });
 
     logWithTimestamp(`Successfully processed ${processedData.length} cities`, 'info');
     return processedData;
 
   } catch (error) {
     logWithTimestamp(`Error fetching city weather data: ${error.message}`, 'error');
+    run?.recordUpstreamError();
+    run?.recordFailure(`${cities.length} cities`, error.message);
     return [];
   }
 }
 
+/**
+ * Save city forecasts
+ * A failed forecast save marks the run partial but keeps the current weather
+ * @param {Array} forecasts - Forecast records
+ * @param {Object} run - Collector run tracker
+ */
+async function saveForecasts(forecasts, run) {
+  if (forecasts.length === 0) return;
+
+  try {
+    await saveCityForecasts(forecasts);
+  } catch (error) {
+    logWithTimestamp(`Failed to save city forecasts: ${error.message}`, 'warn');
+    run.recordFailure('forecasts', error.message);
+  }
+}
+
 /**
  * Check if city weather data needs updating
  */
@@ -191,20 +186,25 @@ async function checkDataFreshness() {
 }
 
 /**
- * Main function
+ * Collect city weather data once
+ * @returns {Promise<number>} Exit code
  */
-async function main() {
+async function collectCityWeather() {
   logWithTimestamp('Starting city weather data update', 'info');
-  logWithTimestamp('='.repeat(60), 'info');
+
+  let run = null;
 
   try {
     // Connect to database
     await connectDatabase();
+    run = await startCollectorRun('city');
+    const provider = getProvider('city');
+    run.setProvider(provider.name);
 
     // Check if update is needed
     if (await checkDataFreshness()) {
       logWithTimestamp('City weather data is still fresh. No update needed.', 'info');
-      return 0;
+      return await run.finish(0, { skipped: true });
     }
 
     // Load city coordinates
@@ -213,31 +213,45 @@ async function main() {
 
     if (!cities || cities.length === 0) {
       logWithTimestamp('No cities loaded. Cannot proceed with update.', 'error');
-      return 1;
+      return await run.finish(1, { error: 'No cities loaded' });
     }
 
     // Fetch city weather data
     logWithTimestamp(`Fetching weather data for ${cities.length} cities...`, 'info');
-    const cityWeatherData = await fetchCityWeatherData(cities);
+    run.setRequested(cities.length);
+    const cityWeatherData = await fetchCityWeatherData(cities, provider, run);
+    run.addSucceeded(cityWeatherData.length);
 
     if (cityWeatherData && cityWeatherData.length > 0) {
+      // Forecasts first: saving the current weather announces the update (and clears cached responses)
+      const { current, forecasts } = splitForecasts(cityWeatherData);
+      await saveForecasts(forecasts, run);
+
       // Save the updated data to MongoDB
-      await saveCityWeatherData(cityWeatherData);
+      await saveCityWeatherData(current);
       logWithTimestamp('City weather data update completed successfully!', 'info');
       logWithTimestamp(`Updated ${cityWeatherData.length} cities`, 'info');
-      return 0;
+      return await run.finish(0);
     } else {
       logWithTimestamp('Failed to fetch city weather data', 'error');
-      return 1;
+      return await run.finish(1);
     }
 
   } catch (error) {
-    logWithTimestamp(`Error during city weather data update: ${error.message}`, 'error');
-    console.error(error);
-    return 1;
+    logWithTimestamp('Error during city weather data update', 'error', { error });
+    return run ? await run.finish(1, { error: error.message }) : 1;
   }
 }
 
+/**
+ * Main function
+ * Entries logged during the run carry the dataset and the run id
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  return await withLogContext({ dataset: 'city' }, collectCityWeather);
+}
+
 // Run if called directly
 const isMainModule = process.argv[1] && (
   fileURLToPath(import.meta.url) === process.argv[1] ||
@@ -250,7 +264,7 @@ if (isMainModule) {
       process.exit(exitCode);
     })
     .catch(error => {
-      console.error('Fatal error:', error);
+      logWithTimestamp('Fatal error', 'error', { error });
       process.exit(1);
     });
 }
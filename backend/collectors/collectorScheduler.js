@@ -0,0 +1,182 @@
+import config from '../config/config.js';
+import { logWithTimestamp } from '../utils/helpers.js';
+import cityWeatherCollector from './cityWeatherCollector.js';
+import gridWeatherCollector from './gridWeatherCollector.js';
+import portWeatherCollector from './portWeatherCollector.js';
+import marineWeatherCollector from './marineWeatherCollector.js';
+
+/**
+ * Collector Scheduler - runs the collectors inside the API server process
+ * instead of an external cron. Each collector runs on an interval equal to
+ * its freshness threshold plus random jitter; a run is skipped while the
+ * previous one is still in progress. Collectors keep their own freshness
+ * checks, so an early run simply exits without fetching.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const COLLECTORS = [
+  { name: 'City Weather', dataset: 'city', fn: cityWeatherCollector },
+  { name: 'Grid Weather', dataset: 'grid', fn: gridWeatherCollector },
+  { name: 'Port Weather', dataset: 'port', fn: portWeatherCollector },
+  { name: 'Marine Weather', dataset: 'marine', fn: marineWeatherCollector }
+];
+
+// Runtime state per dataset
+const states = new Map();
+
+let started = false;
+
+/**
+ * Get the run interval of a collector
+ * @param {string} dataset - Dataset name
+ * @returns {number} Interval in milliseconds
+ */
+function getIntervalMs(dataset) {
+  return config.freshness[dataset] * HOUR_MS;
+}
+
+/**
+ * Random delay added to every scheduled run so collectors do not fire together
+ * @returns {number} Jitter in milliseconds
+ */
+function randomJitterMs() {
+  return Math.floor(Math.random() * config.scheduler.maxJitterMs);
+}
+
+/**
+ * Schedule the next run of a collector
+ * @param {Object} state - Collector state
+ * @param {number} delayMs - Delay before the run (jitter is added)
+ */
+function scheduleNext(state, delayMs) {
+  const totalDelay = delayMs + randomJitterMs();
+
+  state.nextRunAt = new Date(Date.now() + totalDelay);
+  state.timer = setTimeout(() => runCollector(state), totalDelay);
+  state.timer.unref();
+}
+
+/**
+ * Run a collector once and schedule its next run
+ * @param {Object} state - Collector state
+ */
+async function runCollector(state) {
+  const intervalMs = getIntervalMs(state.dataset);
+
+  if (state.running) {
+    state.skippedCount++;
+    logWithTimestamp(`[Scheduler] ${state.name} still running, skipping this run`, 'warn', { dataset: state.dataset });
+    scheduleNext(state, intervalMs);
+    return;
+  }
+
+  state.running = true;
+  state.nextRunAt = null;
+  const startedAt = new Date();
+  logWithTimestamp(`[Scheduler] ${state.name} started`, 'info', { dataset: state.dataset });
+
+  let result;
+  let error = null;
+  try {
+    const exitCode = await state.fn();
+    result = exitCode === 0 ? 'success' : 'failed';
+  } catch (runError) {
+    result = 'error';
+    error = runError.message;
+  }
+
+  const finishedAt = new Date();
+  state.running = false;
+  state.runCount++;
+  state.lastRun = {
+    started_at: startedAt,
+    finished_at: finishedAt,
+    duration_ms: finishedAt - startedAt,
+    result,
+    error
+  };
+
+  const level = result === 'success' ? 'info' : 'error';
+  logWithTimestamp(`[Scheduler] ${state.name} finished: ${result}`, level, {
+    dataset: state.dataset,
+    duration_ms: state.lastRun.duration_ms,
+    error: error || undefined
+  });
+
+  if (started) {
+    scheduleNext(state, intervalMs);
+  }
+}
+
+/**
+ * Start the collector scheduler
+ * The first run of every collector happens shortly after startup
+ */
+export function startCollectorScheduler() {
+  if (started) return;
+  started = true;
+
+  for (const collector of COLLECTORS) {
+    const state = {
+      ...collector,
+      running: false,
+      timer: null,
+      nextRunAt: null,
+      lastRun: null,
+      runCount: 0,
+      skippedCount: 0
+    };
+    states.set(collector.dataset, state);
+    scheduleNext(state, config.scheduler.initialDelayMs);
+  }
+
+  logWithTimestamp('[Scheduler] Collector scheduler started', 'info');
+}
+
+/**
+ * Stop scheduling further runs; runs in progress are left to finish
+ */
+export function stopCollectorScheduler() {
+  if (!started) return;
+  started = false;
+
+  for (const state of states.values()) {
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.nextRunAt = null;
+  }
+
+  logWithTimestamp('[Scheduler] Collector scheduler stopped', 'info');
+}
+
+/**
+ * Get the scheduler status of every collector
+ * @returns {Object} Scheduler status
+ */
+export function getCollectorStatus() {
+  return {
+    enabled: config.scheduler.enabled,
+    running: started,
+    collectors: COLLECTORS.map(({ name, dataset }) => {
+      const state = states.get(dataset);
+
+      return {
+        name,
+        dataset,
+        interval_ms: getIntervalMs(dataset),
+        running: state?.running || false,
+        next_run_at: state?.nextRunAt || null,
+        last_run: state?.lastRun || null,
+        run_count: state?.runCount || 0,
+        skipped_count: state?.skippedCount || 0
+      };
+    })
+  };
+}
+
+export default {
+  start: startCollectorScheduler,
+  stop: stopCollectorScheduler,
+  getStatus: getCollectorStatus
+};
@@ -1,24 +1,32 @@
-import axios from 'axios';
 import { fileURLToPath } from 'url';
 import { connectDatabase } from '../utils/database.js';
 import {
   getGridMetadata,
   saveGridMetadata,
   saveGridWeatherData,
+  saveGridForecasts,
   isGridWeatherFresh
 } from '../utils/weatherRepository.js';
-import { sleep, batchArray, logWithTimestamp } from '../utils/helpers.js';
+import { sleep, batchArray, splitForecasts, logWithTimestamp } from '../utils/helpers.js';
+import { withLogContext } from '../utils/logger.js';
+import { startCollectorRun } from '../utils/collectorRunLog.js';
+import { getProvider } from '../providers/index.js';
+import { createBatchPlan, loadCheckpoints, saveCheckpoint, clearCheckpoints } from '../utils/collectorCheckpoint.js';
+import { classifyUpstreamError, InvalidResponseError } from '../utils/upstreamErrors.js';
+import { getWeatherVariables } from '../utils/weatherVariables.js';
 import config from '../config/config.js';
 
 /**
  * Grid Weather Collector
- * Fetches weather data for 1-degree grid points using OpenMeteo API
+ * Fetches weather data for 1-degree grid points (OpenMeteo by default, see GRID_PROVIDER)
  */
 
 /**
  * Load grid coordinates from MongoDB or generate default grid
+ * Shared with the marine collector, which covers the same cells
+ * @returns {Promise<Array>} Grid points with name, lat and lon
  */
-async function loadGridCoordinates() {
+export async function loadGridCoordinates() {
   try {
     const metadata = await getGridMetadata();
     
@@ -66,162 +74,243 @@ async function loadGridCoordinates() {
 
 /**
  * Fetch weather data for a batch of grid points
+ * Errors are thrown for the batch queue to classify and retry
+ * With FORECAST_DAYS > 0 each record also carries its forecast
+ * @param {Array} locations - Grid points of the batch
+ * @param {Object} provider - Weather provider (see backend/providers)
+ * @returns {Promise<Array>} Grid weather records
  */
-async function fetchWeatherDataBatch(locations) {
+async function fetchWeatherDataBatch(locations, provider) {
   if (!locations || locations.length === 0) {
     return [];
   }
 
-  const lats = locations.map(loc => loc.lat);
-  const lons = locations.map(loc => loc.lon);
-
-  const params = {
-    latitude: lats,
-    longitude: lons,
-    current: [
-      'temperature_2m',
-      'relative_humidity_2m',
-      'weather_code',
-      'wind_speed_10m',
-      'wind_direction_10m'
-    ],
-    timezone: 'Asia/Jakarta'
-  };
+  const results = await provider.fetchBatch(locations, { forecastDays: config.forecast.days });
+  const processedData = [];
 
-  try {
-    const response = await axios.get(config.api.openMeteoUrl, { params });
-    const processedData = [];
-
-    // Process response data
-    if (response.data && Array.isArray(response.data)) {
-      for (let i = 0; i < response.data.length && i < locations.length; i++) {
-        const locationData = response.data[i];
-        const location = locations[i];
-        
-        if (locationData.current) {
-          const current = locationData.current;
-          
-          processedData.push({
-            name: location.name,
-            lat: location.lat,
-            lon: location.lon,
-            coordinates: {
-              latitude: locationData.latitude || location.lat,
-              longitude: locationData.longitude || location.lon,
-              elevation: locationData.elevation || 0
-            },
-            weather_data: {
-              temperature_2m: current.temperature_2m,
-              relative_humidity_2m: current.relative_humidity_2m,
-              weather_code: current.weather_code,
-              wind_speed_10m: current.wind_speed_10m,
-              wind_direction_10m: current.wind_direction_10m,
-              timestamp: current.time,
-              timezone: locationData.timezone,
-              utc_offset_seconds: locationData.utc_offset_seconds,
-              fetched_at: new Date()
-            }
-          });
-        }
-      }
-    }
+  locations.forEach((location, index) => {
+    const result = results[index];
+    if (!result) return;
 
-    return processedData;
+    processedData.push({
+      name: location.name,
+      lat: location.lat,
+      lon: location.lon,
+      coordinates: result.coordinates,
+      weather_data: result.weather_data,
+      forecast: result.forecast
+    });
+  });
 
-  } catch (error) {
-    logWithTimestamp(`Error fetching batch: ${error.message}`, 'error');
-    return [];
+  if (processedData.length === 0) {
+    throw new InvalidResponseError('Empty response');
   }
+
+  return processedData;
 }
 
+// First wait after a 429 without Retry-After; doubles while the API keeps refusing
+const RATE_LIMIT_BACKOFF_MS = 60000;
+
 /**
- * Fetch weather data in batches with retry logic
+ * Describe a batch for logs and the run's failure list
+ * @param {number} index - Batch index
+ * @param {Array} batchLocations - Locations in the batch
+ * @returns {string} e.g. "batch 12 (-3.0, 110.0 .. -3.0, 159.0)"
  */
-async function fetchWeatherDataBatched(locations, batchSize = config.collector.batchSize) {
+function describeBatch(index, batchLocations) {
+  const first = batchLocations[0].name;
+  const last = batchLocations[batchLocations.length - 1].name;
+  return `batch ${index + 1} (${first} .. ${last})`;
+}
+
+/**
+ * Fetch weather data in batches, re-queueing failed batches
+ *
+ * Finished batches are checkpointed, so a run that is interrupted or ends
+ * with too few grid points is resumed by the next run, which only fetches the
+ * missing batches. A failed batch goes to the back of the queue and is tried
+ * again (up to MAX_RETRIES attempts) after the others; errors that repeat
+ * themselves (HTTP 4xx other than 408/429) are not retried. A 429 waits for
+ * its Retry-After, or stops the run when that is longer than MAX_RETRY_AFTER_MS.
+ * @param {Array} locations - Grid points to fetch
+ * @param {Object} provider - Weather provider (see backend/providers)
+ * @param {number} batchSize - Grid points per request
+ * @param {Object} run - Optional collector run tracker
+ * @returns {Promise<Array>} Grid weather records of every finished batch, in grid order
+ */
+async function fetchWeatherDataBatched(locations, provider, batchSize = config.collector.batchSize, run = null) {
   if (!locations || locations.length === 0) {
     return [];
   }
 
   const batches = batchArray(locations, batchSize);
   const totalBatches = batches.length;
+  // Batches fetched with another forecast length or variable set are not reused
+  const plan = createBatchPlan(locations, batchSize, `${provider.name}:${config.forecast.days}:${getWeatherVariables().join(',')}`);
+
+  // Batch index -> processed records
+  const results = await loadCheckpoints('grid', plan);
+  if (results.size > 0) {
+    let resumedItems = 0;
+    for (const items of results.values()) {
+      run?.recordResumedBatch(items.length);
+      resumedItems += items.length;
+    }
+    logWithTimestamp('Resuming grid run from checkpoints', 'info', {
+      batches: results.size,
+      locations: resumedItems
+    });
+  }
 
-  logWithTimestamp(`Processing ${locations.length} locations in batches of ${batchSize}...`, 'info');
-  logWithTimestamp(`Total batches: ${totalBatches}`, 'info');
-  logWithTimestamp(`Estimated time: ${totalBatches * 10} seconds (with delays)`, 'info');
-  logWithTimestamp('='.repeat(60), 'info');
+  const queue = batches
+    .map((_, index) => ({ index, attempts: 0 }))
+    .filter(task => !results.has(task.index));
 
-  const allProcessedData = [];
+  logWithTimestamp('Processing grid locations in batches', 'info', {
+    locations: locations.length,
+    batch_size: batchSize,
+    batches: totalBatches,
+    pending: queue.length,
+    estimated_seconds: queue.length * 10
+  });
+
+  const maxAttempts = config.collector.maxRetries;
   const startTime = Date.now();
+  let rateLimitDelay = RATE_LIMIT_BACKOFF_MS;
+  let finishedBatches = 0;
+  let haltReason = null;
 
-  for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
+  while (queue.length > 0) {
+    const task = queue.shift();
+    const batchLocations = batches[task.index];
     const batchStartTime = Date.now();
-    const batchLocations = batches[batchNum];
-
-    logWithTimestamp(`\nBatch ${batchNum + 1}/${totalBatches} (${batchLocations.length} locations)...`, 'info');
-
-    // Retry logic for failed batches
-    const maxRetries = config.collector.maxRetries;
-    let retryDelay = 60000; // Start with 60 seconds delay
-    let batchData = null;
-
-    for (let retry = 0; retry < maxRetries; retry++) {
-      try {
-        batchData = await fetchWeatherDataBatch(batchLocations);
-        
-        if (batchData && batchData.length > 0) {
-          allProcessedData.push(...batchData);
-          
-          const batchTime = (Date.now() - batchStartTime) / 1000;
-          const totalTime = (Date.now() - startTime) / 1000;
-          const avgTimePerBatch = totalTime / (batchNum + 1);
-          const remainingBatches = totalBatches - (batchNum + 1);
-          const eta = remainingBatches * avgTimePerBatch;
-
-          logWithTimestamp(
-            `✅ Batch ${batchNum + 1} completed: ${batchData.length} locations processed`,
-            'info'
-          );
-          logWithTimestamp(
-            `   Batch time: ${batchTime.toFixed(1)}s | Total time: ${totalTime.toFixed(1)}s | ETA: ${eta.toFixed(1)}s`,
-            'info'
-          );
-          break;
-        } else {
-          logWithTimestamp(`❌ Batch ${batchNum + 1} failed (attempt ${retry + 1}/${maxRetries})`, 'warn');
-        }
-      } catch (error) {
-        const errorMsg = error.message.toLowerCase();
-        if (errorMsg.includes('rate limit') || errorMsg.includes('minutely')) {
-          logWithTimestamp(`⏳ Rate limit hit for batch ${batchNum + 1}. Waiting ${retryDelay / 1000} seconds...`, 'warn');
-          await sleep(retryDelay);
-          retryDelay *= 2; // Exponential backoff
-        } else {
-          logWithTimestamp(`❌ Error in batch ${batchNum + 1}: ${error.message}`, 'error');
-        }
+    let waitTime = config.collector.requestDelayMs * 10; // 5 seconds default
+
+    task.attempts++;
+    if (task.attempts > 1) run?.recordRetry();
 
-        if (retry === maxRetries - 1) {
-          logWithTimestamp(`❌ Batch ${batchNum + 1} failed after ${maxRetries} attempts`, 'error');
+    logWithTimestamp(`Batch ${task.index + 1}/${totalBatches} started`, 'debug', {
+      batch: task.index + 1,
+      attempt: task.attempts,
+      locations: batchLocations.length
+    });
+
+    try {
+      const batchData = await fetchWeatherDataBatch(batchLocations, provider);
+
+      results.set(task.index, batchData);
+      await saveCheckpoint('grid', plan, task.index, batchData, run?.id ?? null);
+      rateLimitDelay = RATE_LIMIT_BACKOFF_MS;
+
+      const batchTime = (Date.now() - batchStartTime) / 1000;
+      run?.recordBatch(batchTime);
+      run?.addSucceeded(batchData.length);
+      finishedBatches++;
+
+      const totalTime = (Date.now() - startTime) / 1000;
+      const eta = queue.length * (totalTime / finishedBatches);
+
+      logWithTimestamp(`Batch ${task.index + 1}/${totalBatches} completed`, 'info', {
+        batch: task.index + 1,
+        locations: batchData.length,
+        batch_seconds: Number(batchTime.toFixed(1)),
+        total_seconds: Number(totalTime.toFixed(1)),
+        eta_seconds: Number(eta.toFixed(1))
+      });
+    } catch (error) {
+      const failure = classifyUpstreamError(error);
+      if (failure.kind !== 'invalid_response' && failure.kind !== 'unknown') {
+        run?.recordUpstreamError();
+      }
+
+      if (failure.kind === 'rate_limited') {
+        waitTime = failure.retryAfterMs ?? rateLimitDelay;
+        if (failure.retryAfterMs === null) rateLimitDelay *= 2; // Exponential backoff
+        if (waitTime > config.collector.maxRetryAfterMs) {
+          haltReason = `Rate limited for ${Math.ceil(waitTime / 1000)}s`;
         }
+      } else if (failure.retryAfterMs !== null) {
+        waitTime = Math.min(Math.max(waitTime, failure.retryAfterMs), config.collector.maxRetryAfterMs);
+      }
+
+      const retry = failure.retryable && task.attempts < maxAttempts && !haltReason;
+      logWithTimestamp(`Error in batch ${task.index + 1}`, retry ? 'warn' : 'error', {
+        batch: task.index + 1,
+        attempt: task.attempts,
+        max_attempts: maxAttempts,
+        kind: failure.kind,
+        status: failure.status,
+        error: failure.message,
+        wait_ms: waitTime,
+        requeued: retry
+      });
+
+      if (retry || (haltReason && failure.retryable)) {
+        task.lastFailure = failure;
+        queue.push(task);
+      } else {
+        run?.recordBatch((Date.now() - batchStartTime) / 1000, true);
+        run?.recordFailure(describeBatch(task.index, batchLocations), failure.message, task.attempts, failure.kind);
       }
     }
 
+    if (haltReason) break;
+
     // Wait between batches to be respectful to the API
-    if (batchNum < totalBatches - 1) {
-      const waitTime = config.collector.requestDelayMs * 10; // 5 seconds default
-      logWithTimestamp(`⏸️  Waiting ${waitTime / 1000} seconds before next batch...`, 'info');
+    if (queue.length > 0) {
+      logWithTimestamp(`Waiting ${waitTime / 1000} seconds before next batch`, 'debug');
       await sleep(waitTime);
     }
   }
 
+  if (haltReason) {
+    logWithTimestamp('Stopped grid run early; the next run resumes from checkpoints', 'warn', {
+      reason: haltReason,
+      pending_batches: queue.length
+    });
+    for (const task of queue) {
+      run?.recordFailure(
+        describeBatch(task.index, batches[task.index]),
+        `Not fetched: ${haltReason}`,
+        task.attempts,
+        task.lastFailure?.kind ?? 'rate_limited'
+      );
+    }
+  }
+
+  const allProcessedData = [...results.keys()]
+    .sort((a, b) => a - b)
+    .flatMap(index => results.get(index));
+
   const totalTime = (Date.now() - startTime) / 1000;
-  logWithTimestamp('\n' + '='.repeat(60), 'info');
-  logWithTimestamp(`🎉 Completed all batches in ${totalTime.toFixed(1)} seconds!`, 'info');
-  logWithTimestamp(`📊 Total locations processed: ${allProcessedData.length}/${locations.length}`, 'info');
-  logWithTimestamp(`📈 Success rate: ${((allProcessedData.length / locations.length) * 100).toFixed(1)}%`, 'info');
+  logWithTimestamp('Completed all batches', 'info', {
+    total_seconds: Number(totalTime.toFixed(1)),
+    processed: allProcessedData.length,
+    requested: locations.length,
+    success_rate: Number(((allProcessedData.length / locations.length) * 100).toFixed(1))
+  });
 
   return allProcessedData;
 }
 
+/**
+ * Save grid forecasts
+ * A failed forecast save marks the run partial but keeps the current weather
+ * @param {Array} forecasts - Forecast records
+ * @param {Object} run - Collector run tracker
+ */
+async function saveForecasts(forecasts, run) {
+  if (forecasts.length === 0) return;
+
+  try {
+    await saveGridForecasts(forecasts);
+  } catch (error) {
+    logWithTimestamp(`Failed to save grid forecasts: ${error.message}`, 'warn');
+    run.recordFailure('forecasts', error.message);
+  }
+}
+
 /**
  * Check if grid weather data needs updating
  */
@@ -241,60 +330,84 @@ async function checkDataFreshness() {
 }
 
 /**
- * Main function
+ * Collect grid weather data once
+ * @returns {Promise<number>} Exit code
  */
-async function main() {
-  // Force immediate console output
-  process.stdout.write('Starting grid weather collector...\n');
-  
-  logWithTimestamp('OpenMeteo Grid Weather Data Fetcher', 'info');
-  logWithTimestamp('='.repeat(60), 'info');
+async function collectGridWeather() {
+  logWithTimestamp('Starting grid weather collector', 'info');
+  logWithTimestamp('Grid Weather Data Fetcher', 'info');
   logWithTimestamp('Using 1-degree grid resolution for higher detail', 'info');
-  logWithTimestamp('='.repeat(60), 'info');
+
+  let run = null;
 
   try {
     // Connect to database
     logWithTimestamp('Connecting to MongoDB...', 'info');
     await connectDatabase();
     logWithTimestamp('Connected to MongoDB', 'info');
+    run = await startCollectorRun('grid');
+    const provider = getProvider('grid');
+    run.setProvider(provider.name);
 
     // Check if update is needed
     logWithTimestamp('Checking data freshness...', 'info');
     if (await checkDataFreshness()) {
       logWithTimestamp('Grid weather data is still fresh. No update needed.', 'info');
-      process.stdout.write('✅ Grid data is fresh. Exiting.\n');
-      return 0;
+      return await run.finish(0, { skipped: true });
     }
 
     // Load grid coordinates
-    logWithTimestamp('\nFetching 1-degree grid weather data...', 'info');
+    logWithTimestamp('Fetching 1-degree grid weather data...', 'info');
     const gridPoints = await loadGridCoordinates();
 
     if (!gridPoints || gridPoints.length === 0) {
       logWithTimestamp('No grid points loaded. Cannot proceed with update.', 'error');
-      return 1;
+      return await run.finish(1, { error: 'No grid points loaded' });
     }
 
     // Fetch grid weather data in batches
-    const gridWeatherData = await fetchWeatherDataBatched(gridPoints);
-
-    if (gridWeatherData && gridWeatherData.length > 0) {
-      await saveGridWeatherData(gridWeatherData);
-      logWithTimestamp(`\nSaved ${gridWeatherData.length} grid points to MongoDB grid_weather collection`, 'info');
-      logWithTimestamp('\nGrid weather data collection complete!', 'info');
-      return 0;
-    } else {
-      logWithTimestamp('Failed to fetch grid weather data', 'error');
-      return 1;
+    run.setRequested(gridPoints.length);
+    const gridWeatherData = await fetchWeatherDataBatched(gridPoints, provider, config.collector.batchSize, run);
+
+    // Too few points would replace a complete grid with a patchy one; keep the
+    // current grid and the checkpoints, so the next run fetches only the rest
+    const coverage = gridWeatherData.length / gridPoints.length;
+    if (gridWeatherData.length === 0 || coverage < config.collector.gridMinCoverage) {
+      logWithTimestamp('Too few grid points fetched; keeping the current grid', 'error', {
+        fetched: gridWeatherData.length,
+        requested: gridPoints.length,
+        min_coverage: config.collector.gridMinCoverage
+      });
+      return await run.finish(1, {
+        error: `Fetched ${gridWeatherData.length} of ${gridPoints.length} grid points`
+      });
     }
 
+    // Forecasts first: saving the current weather announces the update (and clears cached responses)
+    const { current, forecasts } = splitForecasts(gridWeatherData);
+    await saveForecasts(forecasts, run);
+
+    await saveGridWeatherData(current);
+    await clearCheckpoints('grid');
+    logWithTimestamp(`Saved ${gridWeatherData.length} grid points to MongoDB grid_weather collection`, 'info');
+    logWithTimestamp('Grid weather data collection complete!', 'info');
+    return await run.finish(0);
+
   } catch (error) {
-    logWithTimestamp(`Error during grid weather data update: ${error.message}`, 'error');
-    console.error(error);
-    return 1;
+    logWithTimestamp('Error during grid weather data update', 'error', { error });
+    return run ? await run.finish(1, { error: error.message }) : 1;
   }
 }
 
+/**
+ * Main function
+ * Entries logged during the run carry the dataset and the run id
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  return await withLogContext({ dataset: 'grid' }, collectGridWeather);
+}
+
 // Run if called directly
 const isMainModule = process.argv[1] && (
   fileURLToPath(import.meta.url) === process.argv[1] ||
@@ -307,7 +420,7 @@ if (isMainModule) {
       process.exit(exitCode);
     })
     .catch(error => {
-      console.error('Fatal error:', error);
+      logWithTimestamp('Fatal error', 'error', { error });
       process.exit(1);
     });
 }
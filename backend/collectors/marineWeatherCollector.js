@@ -0,0 +1,230 @@
+import { fileURLToPath } from 'url';
+import { connectDatabase } from '../utils/database.js';
+import { saveMarineWeatherData, isMarineWeatherFresh } from '../utils/weatherRepository.js';
+import { sleep, batchArray, logWithTimestamp } from '../utils/helpers.js';
+import { withLogContext } from '../utils/logger.js';
+import { startCollectorRun } from '../utils/collectorRunLog.js';
+import { getProvider } from '../providers/index.js';
+import { classifyUpstreamError } from '../utils/upstreamErrors.js';
+import { MARINE_VARIABLES } from '../utils/weatherVariables.js';
+import { loadGridCoordinates } from './gridWeatherCollector.js';
+import config from '../config/config.js';
+
+/**
+ * Marine Weather Collector
+ * Fetches waves, swell and sea surface temperature for the 1-degree grid
+ * (Open-Meteo Marine by default, see MARINE_PROVIDER). Every grid point is
+ * requested; cells over land come back without values and are not stored.
+ */
+
+/**
+ * Check whether a result has any marine value, i.e. lies over water
+ * @param {Object} weatherData - Marine weather data
+ * @returns {boolean} True for sea cells
+ */
+function isSeaCell(weatherData) {
+  return Object.keys(MARINE_VARIABLES).some(variable => typeof weatherData?.[variable] === 'number');
+}
+
+/**
+ * Fetch one batch, retrying errors worth another try
+ * @param {Array} batchLocations - Grid points of the batch
+ * @param {Object} provider - Marine provider (see backend/providers)
+ * @param {string} label - Batch description for logs and the run's failure list
+ * @param {Object} run - Collector run tracker
+ * @returns {Promise<Array|null>} Provider results, or null once the batch is given up
+ */
+async function fetchBatchWithRetry(batchLocations, provider, label, run) {
+  const maxAttempts = config.collector.maxRetries;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) run.recordRetry();
+
+    try {
+      return await provider.fetchBatch(batchLocations);
+    } catch (error) {
+      const failure = classifyUpstreamError(error);
+      if (failure.kind !== 'invalid_response' && failure.kind !== 'unknown') {
+        run.recordUpstreamError();
+      }
+
+      const retry = failure.retryable && attempt < maxAttempts;
+      logWithTimestamp(`Error in ${label}`, retry ? 'warn' : 'error', {
+        attempt,
+        max_attempts: maxAttempts,
+        kind: failure.kind,
+        status: failure.status,
+        error: failure.message
+      });
+
+      if (!retry) {
+        run.recordFailure(label, failure.message, attempt, failure.kind);
+        return null;
+      }
+
+      const backoff = config.collector.requestDelayMs * 10 * 2 ** (attempt - 1);
+      await sleep(Math.min(failure.retryAfterMs ?? backoff, config.collector.maxRetryAfterMs));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fetch marine weather for grid points in batches
+ * @param {Array} locations - Grid points
+ * @param {Object} provider - Marine provider
+ * @param {Object} run - Collector run tracker
+ * @returns {Promise<{cells: Array, answered: number}>} Sea cell records, and how many
+ *   grid points (sea or land) the provider answered
+ */
+async function fetchMarineDataBatched(locations, provider, run) {
+  const batches = batchArray(locations, config.collector.batchSize);
+  const cells = [];
+  let answered = 0;
+
+  logWithTimestamp('Processing marine grid locations in batches', 'info', {
+    locations: locations.length,
+    batch_size: config.collector.batchSize,
+    batches: batches.length
+  });
+
+  for (const [index, batchLocations] of batches.entries()) {
+    const label = `batch ${index + 1} (${batchLocations[0].name} .. ${batchLocations[batchLocations.length - 1].name})`;
+    const batchStartTime = Date.now();
+    const results = await fetchBatchWithRetry(batchLocations, provider, label, run);
+
+    if (results) {
+      batchLocations.forEach((location, position) => {
+        const result = results[position];
+        if (!result) return;
+
+        answered++;
+        if (!isSeaCell(result.weather_data)) return;
+
+        cells.push({
+          name: location.name,
+          lat: location.lat,
+          lon: location.lon,
+          coordinates: result.coordinates,
+          weather_data: result.weather_data
+        });
+      });
+    }
+    run.recordBatch((Date.now() - batchStartTime) / 1000, !results);
+
+    logWithTimestamp(`Batch ${index + 1}/${batches.length} ${results ? 'completed' : 'failed'}`, 'debug', {
+      sea_cells: cells.length
+    });
+
+    // Wait between batches to be respectful to the API
+    if (index < batches.length - 1) {
+      await sleep(config.collector.requestDelayMs * 10);
+    }
+  }
+
+  return { cells, answered };
+}
+
+/**
+ * Check if marine weather data needs updating
+ */
+async function checkDataFreshness() {
+  try {
+    const fresh = await isMarineWeatherFresh();
+    if (fresh) {
+      logWithTimestamp(`Marine weather data is still fresh (<= ${config.freshness.marine} hours old)`, 'info');
+    } else {
+      logWithTimestamp('Marine weather data is stale or missing. Update required.', 'info');
+    }
+    return fresh;
+  } catch (error) {
+    logWithTimestamp(`Error checking data freshness: ${error.message}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * Collect marine weather data once
+ * @returns {Promise<number>} Exit code
+ */
+async function collectMarineWeather() {
+  logWithTimestamp('Starting marine weather data update', 'info');
+
+  let run = null;
+
+  try {
+    await connectDatabase();
+    run = await startCollectorRun('marine');
+    const provider = getProvider('marine');
+    run.setProvider(provider.name);
+
+    if (await checkDataFreshness()) {
+      logWithTimestamp('Marine weather data is still fresh. No update needed.', 'info');
+      return await run.finish(0, { skipped: true });
+    }
+
+    const gridPoints = await loadGridCoordinates();
+    if (!gridPoints || gridPoints.length === 0) {
+      logWithTimestamp('No grid points loaded. Cannot proceed with update.', 'error');
+      return await run.finish(1, { error: 'No grid points loaded' });
+    }
+
+    run.setRequested(gridPoints.length);
+    const { cells, answered } = await fetchMarineDataBatched(gridPoints, provider, run);
+    run.addSucceeded(answered);
+
+    // Failed batches would drop their sea cells from the map; keep the current data instead
+    const coverage = answered / gridPoints.length;
+    if (cells.length === 0 || coverage < config.collector.gridMinCoverage) {
+      logWithTimestamp('Too few grid points fetched; keeping the current marine data', 'error', {
+        fetched: answered,
+        requested: gridPoints.length,
+        sea_cells: cells.length,
+        min_coverage: config.collector.gridMinCoverage
+      });
+      return await run.finish(1, {
+        error: `Fetched ${answered} of ${gridPoints.length} grid points (${cells.length} over water)`
+      });
+    }
+
+    await saveMarineWeatherData(cells);
+    logWithTimestamp('Marine weather data update completed successfully!', 'info', {
+      sea_cells: cells.length,
+      land_cells: answered - cells.length
+    });
+    return await run.finish(0);
+
+  } catch (error) {
+    logWithTimestamp('Error during marine weather data update', 'error', { error });
+    return run ? await run.finish(1, { error: error.message }) : 1;
+  }
+}
+
+/**
+ * Main function
+ * Entries logged during the run carry the dataset and the run id
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  return await withLogContext({ dataset: 'marine' }, collectMarineWeather);
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && (
+  fileURLToPath(import.meta.url) === process.argv[1] ||
+  process.argv[1].endsWith('marineWeatherCollector.js')
+);
+
+if (isMainModule) {
+  main()
+    .then(exitCode => {
+      process.exit(exitCode);
+    })
+    .catch(error => {
+      logWithTimestamp('Fatal error', 'error', { error });
+      process.exit(1);
+    });
+}
+
+export default main;
@@ -1,4 +1,3 @@
-import axios from 'axios';
 import { fileURLToPath } from 'url';
 import { connectDatabase } from '../utils/database.js';
 import {
@@ -8,11 +7,15 @@ import {
   isPortWeatherFresh
 } from '../utils/weatherRepository.js';
 import { sleep, createSlug, logWithTimestamp } from '../utils/helpers.js';
+import { withLogContext } from '../utils/logger.js';
+import { startCollectorRun } from '../utils/collectorRunLog.js';
+import { getProvider } from '../providers/index.js';
+import { normalizePortBulletin } from '../utils/portBulletin.js';
 import config from '../config/config.js';
 
 /**
  * Port Weather Collector
- * Fetches weather data for Indonesian ports using BMKG API
+ * Fetches weather data for Indonesian ports (BMKG by default, see PORT_PROVIDER)
  */
 
 /**
@@ -98,36 +101,27 @@ async function loadPortData() {
 }
 
 /**
- * Fetch weather data for a single port
+ * Fetch weather data for a single port from the configured provider
+ * The bulletin is stored as `raw_data` and, typed, as `weather_data`
+ * @param {Object} port - Port with name, slug, lat and lon
+ * @param {Object} provider - Weather provider (see backend/providers)
+ * @returns {Promise<Object>} Port weather record with status success or error
  */
-async function fetchPortWeather(port) {
+async function fetchPortWeather(port, provider) {
   try {
-    const apiUrl = `${config.api.bmkgPortUrl}?slug=${port.slug}`;
-    
     logWithTimestamp(`Fetching: ${port.name} -> ${port.slug}`, 'info');
 
-    const response = await axios.get(apiUrl, { timeout: 30000 });
-
-    if (response.status === 200 && response.data) {
-      return {
-        port_name: port.name,
-        slug: port.slug,
-        coordinates: { lat: port.lat, lon: port.lon },
-        weather_data: response.data,
-        fetched_at: new Date(),
-        status: 'success'
-      };
-    } else {
-      return {
-        port_name: port.name,
-        slug: port.slug,
-        coordinates: { lat: port.lat, lon: port.lon },
-        weather_data: null,
-        fetched_at: new Date(),
-        status: 'failed',
-        error: `HTTP ${response.status}`
-      };
-    }
+    const result = await provider.fetchCurrent(port);
+
+    return {
+      port_name: port.name,
+      slug: port.slug,
+      coordinates: { lat: port.lat, lon: port.lon },
+      weather_data: normalizePortBulletin(result.weather_data),
+      raw_data: result.weather_data,
+      fetched_at: new Date(),
+      status: 'success'
+    };
 
   } catch (error) {
     return {
@@ -135,6 +129,7 @@ async function fetchPortWeather(port) {
       slug: port.slug,
       coordinates: { lat: port.lat, lon: port.lon },
       weather_data: null,
+      raw_data: null,
       fetched_at: new Date(),
       status: 'error',
       error: error.message
@@ -161,20 +156,25 @@ async function checkDataFreshness() {
 }
 
 /**
- * Main function
+ * Collect port weather data once
+ * @returns {Promise<number>} Exit code
  */
-async function main() {
+async function collectPortWeather() {
   logWithTimestamp('Port Weather Data Fetcher', 'info');
-  logWithTimestamp('='.repeat(50), 'info');
+
+  let run = null;
 
   try {
     // Connect to database
     await connectDatabase();
+    run = await startCollectorRun('port');
+    const provider = getProvider('port');
+    run.setProvider(provider.name);
 
     // Check if update is needed
     if (await checkDataFreshness()) {
       logWithTimestamp('Port weather data is still fresh. No update needed.', 'info');
-      return 0;
+      return await run.finish(0, { skipped: true });
     }
 
     // Load port data
@@ -182,12 +182,15 @@ async function main() {
     
     if (!ports || ports.length === 0) {
       logWithTimestamp('No ports found. Exiting.', 'error');
-      return 1;
+      return await run.finish(1, { error: 'No ports found' });
     }
 
-    logWithTimestamp(`Found ${ports.length} ports to process`, 'info');
-    logWithTimestamp(`Estimated time: ~${Math.ceil(ports.length * 0.5 / 60)} minutes (with 500ms delays)`, 'info');
-    logWithTimestamp('Starting data collection...\n', 'info');
+    run.setRequested(ports.length);
+
+    logWithTimestamp(`Found ${ports.length} ports to process`, 'info', {
+      ports: ports.length,
+      estimated_minutes: Math.ceil(ports.length * 0.5 / 60)
+    });
 
     const results = [];
     let successful = 0;
@@ -196,23 +199,25 @@ async function main() {
     // Process all ports
     for (let i = 0; i < ports.length; i++) {
       const port = ports[i];
-      logWithTimestamp(`[${String(i + 1).padStart(3, ' ')}/${ports.length}] Processing: ${port.name}`, 'info');
+      logWithTimestamp(`[${i + 1}/${ports.length}] Processing ${port.name}`, 'debug', { port: port.slug });
 
-      const result = await fetchPortWeather(port);
+      const result = await fetchPortWeather(port, provider);
       results.push(result);
 
       if (result.status === 'success') {
         successful++;
-        logWithTimestamp('    Success', 'info');
+        run.addSucceeded(1);
+        logWithTimestamp(`${port.name} fetched`, 'debug', { port: port.slug });
       } else {
         failed++;
-        logWithTimestamp(`    Failed: ${result.error || 'Unknown error'}`, 'warn');
+        run.recordUpstreamError();
+        run.recordFailure(port.slug, result.error || 'Unknown error');
+        logWithTimestamp(`${port.name} failed`, 'warn', { port: port.slug, error: result.error || 'Unknown error' });
       }
 
       // Progress update every 50 ports
       if ((i + 1) % 50 === 0) {
-        logWithTimestamp(`\nProgress: ${i + 1}/${ports.length} (${((i + 1) / ports.length * 100).toFixed(1)}%)`, 'info');
-        logWithTimestamp(`   Successful: ${successful}, Failed: ${failed}\n`, 'info');
+        logWithTimestamp(`Progress: ${i + 1}/${ports.length}`, 'info', { successful, failed });
       }
 
       // Add delay to avoid overwhelming BMKG API
@@ -220,38 +225,45 @@ async function main() {
     }
 
     // Final summary
-    logWithTimestamp('\n' + '='.repeat(50), 'info');
-    logWithTimestamp('FINAL RESULTS', 'info');
-    logWithTimestamp('='.repeat(50), 'info');
-    logWithTimestamp(`Total ports processed: ${ports.length}`, 'info');
-    logWithTimestamp(`Successful: ${successful}`, 'info');
-    logWithTimestamp(`Failed: ${failed}`, 'info');
-    logWithTimestamp(`Success rate: ${(successful / ports.length * 100).toFixed(1)}%`, 'info');
+    logWithTimestamp('Port collection finished', 'info', {
+      processed: ports.length,
+      successful,
+      failed,
+      success_rate: Number((successful / ports.length * 100).toFixed(1))
+    });
 
     // Save results to MongoDB
     try {
       await savePortWeatherData(results);
-      logWithTimestamp(`\nSaved ${results.length} port entries to MongoDB port_weather collection`, 'info');
+      logWithTimestamp(`Saved ${results.length} port entries to MongoDB port_weather collection`, 'info');
     } catch (error) {
-      logWithTimestamp(`\n❌ Failed to save port data to MongoDB: ${error.message}`, 'error');
-      return 1;
+      logWithTimestamp(`Failed to save port data to MongoDB: ${error.message}`, 'error');
+      return await run.finish(1, { error: `Save failed: ${error.message}` });
     }
 
     if (successful > 0) {
-      logWithTimestamp(`\nReady to integrate ${successful} ports into your weather map!`, 'info');
-      return 0;
+      logWithTimestamp(`Ready to integrate ${successful} ports into your weather map!`, 'info');
+      return await run.finish(0);
     } else {
-      logWithTimestamp('\nNo successful data collected. Check your internet connection and API status.', 'warn');
-      return 1;
+      logWithTimestamp('No successful data collected. Check your internet connection and API status.', 'warn');
+      return await run.finish(1);
     }
 
   } catch (error) {
-    logWithTimestamp(`Error during port weather data update: ${error.message}`, 'error');
-    console.error(error);
-    return 1;
+    logWithTimestamp('Error during port weather data update', 'error', { error });
+    return run ? await run.finish(1, { error: error.message }) : 1;
   }
 }
 
+/**
+ * Main function
+ * Entries logged during the run carry the dataset and the run id
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  return await withLogContext({ dataset: 'port' }, collectPortWeather);
+}
+
 // Run if called directly
 const isMainModule = process.argv[1] && (
   fileURLToPath(import.meta.url) === process.argv[1] ||
@@ -264,7 +276,7 @@ if (isMainModule) {
       process.exit(exitCode);
     })
     .catch(error => {
-      console.error('Fatal error:', error);
+      logWithTimestamp('Fatal error', 'error', { error });
       process.exit(1);
     });
 }
@@ -4,6 +4,7 @@ import { logWithTimestamp, retryWithBackoff } from '../utils/helpers.js';
 import cityWeatherCollector from './cityWeatherCollector.js';
 import gridWeatherCollector from './gridWeatherCollector.js';
 import portWeatherCollector from './portWeatherCollector.js';
+import marineWeatherCollector from './marineWeatherCollector.js';
 
 /**
  * Orchestrator to run all weather data collectors
@@ -12,7 +13,8 @@ import portWeatherCollector from './portWeatherCollector.js';
 const COLLECTORS = [
   { name: 'City Weather', fn: cityWeatherCollector },
   { name: 'Grid Weather', fn: gridWeatherCollector },
-  { name: 'Port Weather', fn: portWeatherCollector }
+  { name: 'Port Weather', fn: portWeatherCollector },
+  { name: 'Marine Weather', fn: marineWeatherCollector }
 ];
 
 /**
@@ -33,10 +35,10 @@ async function runCollectorWithRetry(collector, maxRetries = 3) {
       5000 // 5 second base delay
     );
     
-    logWithTimestamp(`[${collector.name}] ✅ Success`, 'info');
+    logWithTimestamp(`[${collector.name}] Success`, 'info');
     return true;
   } catch (error) {
-    logWithTimestamp(`[${collector.name}] ❌ Failed: ${error.message}`, 'error');
+    logWithTimestamp(`[${collector.name}] Failed: ${error.message}`, 'error');
     return false;
   }
 }
@@ -47,10 +49,7 @@ async function runCollectorWithRetry(collector, maxRetries = 3) {
 async function main() {
   const startTime = Date.now();
   
-  logWithTimestamp('='.repeat(60), 'info');
-  logWithTimestamp('🚀 Weather Data Collection Orchestrator started', 'info');
-  logWithTimestamp(`Started at: ${new Date().toISOString()}`, 'info');
-  logWithTimestamp('='.repeat(60), 'info');
+  logWithTimestamp('Weather Data Collection Orchestrator started', 'info');
 
   try {
     // Connect to database once for all collectors
@@ -60,7 +59,6 @@ async function main() {
 
     // Run each collector sequentially
     for (const collector of COLLECTORS) {
-      logWithTimestamp(`\n--- Running ${collector.name} ---`, 'info');
       const success = await runCollectorWithRetry(collector);
       results.push({ name: collector.name, success });
       
@@ -72,12 +70,8 @@ async function main() {
     }
 
     // Summary
-    logWithTimestamp('\n' + '='.repeat(60), 'info');
-    logWithTimestamp('--- Summary ---', 'info');
-    logWithTimestamp('='.repeat(60), 'info');
-    
     for (const result of results) {
-      const status = result.success ? '✅ Success' : '❌ Failed';
+      const status = result.success ? 'Success' : 'Failed';
       logWithTimestamp(`${result.name}: ${status}`, 'info');
     }
 
@@ -85,10 +79,11 @@ async function main() {
     const successCount = results.filter(r => r.success).length;
     const totalCount = results.length;
 
-    logWithTimestamp('='.repeat(60), 'info');
-    logWithTimestamp(`Orchestrator finished in ${duration.toFixed(1)} seconds`, 'info');
-    logWithTimestamp(`Success rate: ${successCount}/${totalCount} (${(successCount / totalCount * 100).toFixed(1)}%)`, 'info');
-    logWithTimestamp('='.repeat(60), 'info');
+    logWithTimestamp('Orchestrator finished', 'info', {
+      duration_seconds: Number(duration.toFixed(1)),
+      succeeded: successCount,
+      total: totalCount
+    });
 
     // Disconnect from database
     await disconnectDatabase();
@@ -96,8 +91,7 @@ async function main() {
     return successCount === totalCount ? 0 : 1;
 
   } catch (error) {
-    logWithTimestamp(`Fatal error in orchestrator: ${error.message}`, 'error');
-    console.error(error);
+    logWithTimestamp('Fatal error in orchestrator', 'error', { error });
     
     try {
       await disconnectDatabase();
@@ -121,7 +115,7 @@ if (isMainModule) {
       process.exit(exitCode);
     })
     .catch(error => {
-      console.error('Fatal error:', error);
+      logWithTimestamp('Fatal error', 'error', { error });
       process.exit(1);
     });
 }
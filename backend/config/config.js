@@ -2,12 +2,34 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Parse TRUST_PROXY into an Express "trust proxy" value
+ * @param {string} value - "true", a hop count, or addresses/subnets ("loopback, 10.0.0.0/8")
+ * @returns {boolean|number|string} Express setting
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
 const config = {
   // Server Configuration
   server: {
     port: parseInt(process.env.PORT || '8000', 10),
     host: process.env.HOST || '0.0.0.0',
-    nodeEnv: process.env.NODE_ENV || 'development'
+    nodeEnv: process.env.NODE_ENV || 'development',
+    // Express "trust proxy" setting, needed for client IPs behind a reverse proxy
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
+  },
+
+  // Logging
+  logging: {
+    // Minimum level: debug, info, warn, error
+    level: process.env.LOG_LEVEL || 'info',
+    // 'json' (one object per line) or 'pretty'; JSON by default in production
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty')
   },
 
   // MongoDB Configuration
@@ -18,39 +40,143 @@ const config = {
       city: process.env.CITY_COLLECTION || 'city_weather',
       grid: process.env.GRID_COLLECTION || 'grid_weather',
       port: process.env.PORT_COLLECTION || 'port_weather',
+      marine: process.env.MARINE_COLLECTION || 'marine_weather',
+      cityForecast: process.env.CITY_FORECAST_COLLECTION || 'city_forecast',
+      gridForecast: process.env.GRID_FORECAST_COLLECTION || 'grid_forecast',
       cityMetadata: process.env.CITY_METADATA_COLLECTION || 'city_metadata',
       gridMetadata: process.env.GRID_METADATA_COLLECTION || 'grid_metadata',
-      portMetadata: process.env.PORT_METADATA_COLLECTION || 'port_metadata'
+      portMetadata: process.env.PORT_METADATA_COLLECTION || 'port_metadata',
+      dataUpdates: process.env.DATA_UPDATE_COLLECTION || 'data_updates',
+      collectorRuns: process.env.COLLECTOR_RUN_COLLECTION || 'collector_runs',
+      collectorCounters: process.env.COLLECTOR_COUNTER_COLLECTION || 'collector_counters',
+      collectorCheckpoints: process.env.COLLECTOR_CHECKPOINT_COLLECTION || 'collector_checkpoints',
+      snapshots: process.env.SNAPSHOT_COLLECTION || 'snapshots',
+      apiKeys: process.env.API_KEY_COLLECTION || 'api_keys',
+      rateLimitBuckets: process.env.RATE_LIMIT_COLLECTION || 'rate_limit_buckets'
     }
   },
 
   // API Configuration
   api: {
     openMeteoUrl: process.env.OPENMETEO_API_URL || 'https://api.open-meteo.com/v1/forecast',
+    openMeteoMarineUrl: process.env.OPENMETEO_MARINE_API_URL || 'https://marine-api.open-meteo.com/v1/marine',
     bmkgPortUrl: process.env.BMKG_PORT_API_URL || 'https://maritim.bmkg.go.id/api/pelabuhan'
   },
 
+  // Weather provider per dataset (openmeteo, openmeteo-marine, bmkg, mock; see backend/providers)
+  providers: {
+    city: process.env.CITY_PROVIDER || 'openmeteo',
+    grid: process.env.GRID_PROVIDER || 'openmeteo',
+    port: process.env.PORT_PROVIDER || 'bmkg',
+    marine: process.env.MARINE_PROVIDER || 'openmeteo-marine',
+    // Fixture directory of the mock provider (default: backend/providers/fixtures)
+    mockFixturesDir: process.env.MOCK_FIXTURES_DIR || null
+  },
+
+  // Current-weather variables of the city and grid collectors, comma-separated;
+  // unset uses the defaults of utils/weatherVariables.js
+  weather: {
+    variables: process.env.WEATHER_VARIABLES
+      ? process.env.WEATHER_VARIABLES.split(',').map(name => name.trim()).filter(Boolean)
+      : null
+  },
+
+  // Forecasts collected with the city and grid weather (0 days turns them off)
+  forecast: {
+    days: parseInt(process.env.FORECAST_DAYS || '7', 10)
+  },
+
   // Cache Configuration (in seconds)
   cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
     ttl: {
       city: parseInt(process.env.CACHE_TTL_CITY || '21600', 10), // 6 hours
       grid: parseInt(process.env.CACHE_TTL_GRID || '43200', 10), // 12 hours
-      port: parseInt(process.env.CACHE_TTL_PORT || '21600', 10)  // 6 hours
+      port: parseInt(process.env.CACHE_TTL_PORT || '21600', 10),  // 6 hours
+      marine: parseInt(process.env.CACHE_TTL_MARINE || '43200', 10) // 12 hours
+    }
+  },
+
+  // Authentication (API keys are managed with `npm run apikey`)
+  auth: {
+    // Require a reader key for read endpoints; admin endpoints always need an admin key
+    requireReadKey: process.env.AUTH_REQUIRE_READ_KEY === 'true'
+  },
+
+  // Rate Limiting (token bucket per API key, or per IP for anonymous clients)
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // 'memory' for a single instance, 'mongo' to share buckets between instances
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    capacity: parseInt(process.env.RATE_LIMIT_CAPACITY || '120', 10),
+    keyCapacity: parseInt(process.env.RATE_LIMIT_KEY_CAPACITY || '600', 10),
+    // Seconds for an empty bucket to refill completely
+    windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60', 10),
+    // Tokens per request; full-collection reads and exports cost more
+    costs: {
+      default: parseInt(process.env.RATE_LIMIT_COST_DEFAULT || '1', 10),
+      history: parseInt(process.env.RATE_LIMIT_COST_HISTORY || '2', 10),
+      all: parseInt(process.env.RATE_LIMIT_COST_ALL || '5', 10),
+      export: parseInt(process.env.RATE_LIMIT_COST_EXPORT || '10', 10)
     }
   },
 
+  // Live Update Stream Configuration
+  stream: {
+    // Change streams need a replica set; polling is used when unavailable or disabled
+    useChangeStream: process.env.STREAM_CHANGE_STREAM !== 'false',
+    pollIntervalMs: parseInt(process.env.STREAM_POLL_INTERVAL_MS || '15000', 10),
+    heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS || '25000', 10)
+  },
+
   // Data Freshness Thresholds (in hours)
   freshness: {
     city: parseInt(process.env.FRESHNESS_CITY || '6', 10),
     grid: parseInt(process.env.FRESHNESS_GRID || '12', 10),
-    port: parseInt(process.env.FRESHNESS_PORT || '6', 10)
+    port: parseInt(process.env.FRESHNESS_PORT || '6', 10),
+    marine: parseInt(process.env.FRESHNESS_MARINE || '12', 10)
+  },
+
+  // Health / Readiness Checks
+  health: {
+    // Not ready once a dataset is older than this multiple of its freshness threshold
+    staleMultiplier: parseFloat(process.env.HEALTH_STALE_MULTIPLIER || '2'),
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000', 10)
+  },
+
+  // Graceful Shutdown
+  shutdown: {
+    // How long in-flight requests may take to finish after SIGTERM/SIGINT
+    timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10)
+  },
+
+  // Prometheus Metrics (/metrics)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    // Require an admin API key to scrape
+    requireKey: process.env.METRICS_REQUIRE_KEY === 'true'
   },
 
   // Collector Configuration
   collector: {
     batchSize: parseInt(process.env.BATCH_SIZE || '50', 10),
     requestDelayMs: parseInt(process.env.REQUEST_DELAY_MS || '500', 10),
-    maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10)
+    maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
+    // Longest Retry-After the grid collector waits out; longer ones end the run
+    // (finished batches are checkpointed and the next run resumes)
+    maxRetryAfterMs: parseInt(process.env.MAX_RETRY_AFTER_MS || '300000', 10), // 5 minutes
+    // Checkpointed batches older than this are fetched again
+    checkpointMaxAgeHours: parseInt(process.env.CHECKPOINT_MAX_AGE_HOURS || '6', 10),
+    // Share of grid points a run must fetch before its data replaces the grid
+    // (grid and marine collectors)
+    gridMinCoverage: parseFloat(process.env.GRID_MIN_COVERAGE || '0.9')
+  },
+
+  // In-process Collector Scheduler (runs every collector on its freshness interval)
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED === 'true',
+    initialDelayMs: parseInt(process.env.SCHEDULER_INITIAL_DELAY_MS || '10000', 10),
+    maxJitterMs: parseInt(process.env.SCHEDULER_MAX_JITTER_MS || '300000', 10) // 5 minutes
   }
 };
 
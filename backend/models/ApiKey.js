@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * API Keys
+ * Only a SHA-256 hash of each key is stored; the plain key is shown once on creation
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, to tell keys apart in listings
+  prefix: {
+    type: String,
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['reader', 'admin']
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_used_at: Date,
+  revoked_at: Date
+}, {
+  collection: process.env.API_KEY_COLLECTION || 'api_keys',
+  timestamps: false
+});
+
+export default mongoose.model('ApiKey', apiKeySchema);
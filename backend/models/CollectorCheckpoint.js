@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Collector Checkpoints
+ * One document per completed batch of an unfinished collector run, so an
+ * interrupted or failed run resumes with the batches it has not done yet.
+ * Removed once the run's data is saved; expire on their own otherwise.
+ */
+const collectorCheckpointSchema = new mongoose.Schema({
+  dataset: {
+    type: String,
+    required: true,
+    enum: ['city', 'grid', 'port']
+  },
+  // Fingerprint of the batch layout (locations and batch size); a different
+  // layout never reuses another one's batches
+  plan: {
+    type: String,
+    required: true
+  },
+  batch: {
+    type: Number,
+    required: true
+  },
+  // Processed records of the batch, ready to save
+  items: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  completed_at: {
+    type: Date,
+    default: Date.now
+  },
+  run_id: String
+}, {
+  collection: process.env.COLLECTOR_CHECKPOINT_COLLECTION || 'collector_checkpoints',
+  timestamps: false
+});
+
+collectorCheckpointSchema.index({ dataset: 1, plan: 1, batch: 1 }, { unique: true });
+collectorCheckpointSchema.index(
+  { completed_at: 1 },
+  { expireAfterSeconds: parseInt(process.env.CHECKPOINT_MAX_AGE_HOURS || '6', 10) * 60 * 60 }
+);
+
+export default mongoose.model('CollectorCheckpoint', collectorCheckpointSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * Collector Counters
+ * Running totals per dataset across every collector run, whichever process
+ * ran it. Never expire, so /metrics can expose them as Prometheus counters.
+ */
+const collectorCounterSchema = new mongoose.Schema({
+  // Dataset name (city, grid, port, marine)
+  _id: String,
+  // Finished runs per status, e.g. { success: 40, partial: 2 }
+  runs: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  items_succeeded: {
+    type: Number,
+    default: 0
+  },
+  items_failed: {
+    type: Number,
+    default: 0
+  },
+  batches_succeeded: {
+    type: Number,
+    default: 0
+  },
+  batches_failed: {
+    type: Number,
+    default: 0
+  },
+  retries: {
+    type: Number,
+    default: 0
+  },
+  upstream_errors: {
+    type: Number,
+    default: 0
+  },
+  updated_at: Date
+}, {
+  collection: process.env.COLLECTOR_COUNTER_COLLECTION || 'collector_counters',
+  timestamps: false,
+  versionKey: false
+});
+
+export default mongoose.model('CollectorCounter', collectorCounterSchema);
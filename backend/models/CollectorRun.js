@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+/**
+ * Collector Run Log
+ * One document per collector run with its outcome and statistics
+ */
+const collectorRunSchema = new mongoose.Schema({
+  dataset: {
+    type: String,
+    required: true,
+    enum: ['city', 'grid', 'port', 'marine']
+  },
+  // running -> success | partial | failed | skipped
+  status: {
+    type: String,
+    required: true,
+    enum: ['running', 'success', 'partial', 'failed', 'skipped'],
+    default: 'running'
+  },
+  // Weather provider the run fetched from (openmeteo, openmeteo-marine, bmkg, mock)
+  provider: String,
+  exit_code: Number,
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: Date,
+  duration_ms: Number,
+  items_requested: {
+    type: Number,
+    default: 0
+  },
+  items_succeeded: {
+    type: Number,
+    default: 0
+  },
+  items_failed: {
+    type: Number,
+    default: 0
+  },
+  batches_total: {
+    type: Number,
+    default: 0
+  },
+  batches_failed: {
+    type: Number,
+    default: 0
+  },
+  // Batches taken from checkpoints of an earlier, unfinished run
+  batches_resumed: {
+    type: Number,
+    default: 0
+  },
+  avg_batch_seconds: Number,
+  retries: {
+    type: Number,
+    default: 0
+  },
+  // Failed upstream requests (HTTP error status, timeout, network error)
+  upstream_errors: {
+    type: Number,
+    default: 0
+  },
+  // Failed batches, ports or cities with the last error seen
+  failures: [{
+    _id: false,
+    item: String,
+    error: String,
+    attempts: Number,
+    // Error class: rate_limited, server, timeout, network, client, ...
+    kind: String
+  }],
+  // Fatal error that ended the run
+  error: String,
+  host: String
+}, {
+  collection: process.env.COLLECTOR_RUN_COLLECTION || 'collector_runs',
+  timestamps: false
+});
+
+collectorRunSchema.index({ dataset: 1, started_at: -1 });
+collectorRunSchema.index(
+  { started_at: 1 },
+  { expireAfterSeconds: parseInt(process.env.COLLECTOR_RUN_RETENTION_DAYS || '90', 10) * 24 * 60 * 60 }
+);
+collectorRunSchema.index({ status: 1, started_at: -1 });
+
+export default mongoose.model('CollectorRun', collectorRunSchema);
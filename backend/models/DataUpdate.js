@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * Data Update Log
+ * One document per committed save, so processes other than the collector
+ * (e.g. the API server) can learn about fresh data
+ */
+const dataUpdateSchema = new mongoose.Schema({
+  dataset: {
+    type: String,
+    required: true,
+    enum: ['city', 'grid', 'port', 'marine']
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  fetched_at: Date,
+  // Identifies the writing process so it can ignore its own updates
+  origin: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: process.env.DATA_UPDATE_COLLECTION || 'data_updates',
+  timestamps: false
+});
+
+// Only recent updates are of interest to watchers
+dataUpdateSchema.index({ created_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model('DataUpdate', dataUpdateSchema);
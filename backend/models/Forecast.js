@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * Forecasts
+ * Hourly and daily forecasts collected with the current weather, one
+ * document per city or grid point, replaced on every collector run.
+ * Times are local to `timezone` (e.g. "2024-01-01T13:00", dates "2024-01-01").
+ */
+
+// Shared by both collections; rows keep whatever variables the provider returned
+const forecastFields = {
+  lat: {
+    type: Number,
+    required: true
+  },
+  lon: {
+    type: Number,
+    required: true
+  },
+  coordinates: {
+    latitude: Number,
+    longitude: Number,
+    elevation: Number
+  },
+  timezone: String,
+  utc_offset_seconds: Number,
+  // [{ time, temperature_2m, precipitation_probability, weather_code, ... }]
+  hourly: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // [{ date, temperature_2m_max, temperature_2m_min, precipitation_sum, ... }]
+  daily: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  fetched_at: Date,
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+// City Forecast Schema
+const cityForecastSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  ...forecastFields
+}, {
+  collection: process.env.CITY_FORECAST_COLLECTION || 'city_forecast',
+  timestamps: false
+});
+
+// Grid Forecast Schema
+const gridForecastSchema = new mongoose.Schema({
+  name: String,
+  ...forecastFields
+}, {
+  collection: process.env.GRID_FORECAST_COLLECTION || 'grid_forecast',
+  timestamps: false
+});
+
+gridForecastSchema.index({ lat: 1, lon: 1 }, { unique: true });
+
+export const CityForecast = mongoose.model('CityForecast', cityForecastSchema);
+export const GridForecast = mongoose.model('GridForecast', gridForecastSchema);
@@ -27,13 +27,17 @@ const gridWeatherSchema = new mongoose.Schema({
   updated_at: {
     type: Date,
     default: Date.now
-  }
+  },
+  // Snapshot version (see Snapshot model); only the active one is served
+  snapshot: String
 }, {
   collection: process.env.GRID_COLLECTION || 'grid_weather',
   timestamps: false
 });
 
-// Compound index for efficient spatial queries
+// Compound indexes for efficient spatial queries within a snapshot
 gridWeatherSchema.index({ lat: 1, lon: 1, 'weather_data.fetched_at': -1 });
+gridWeatherSchema.index({ snapshot: 1, lat: 1, lon: 1 });
+gridWeatherSchema.index({ snapshot: 1, 'weather_data.fetched_at': -1 });
 
 export default mongoose.model('GridWeather', gridWeatherSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Marine Weather
+ * Waves, swell and sea surface temperature of the grid cells that lie over
+ * water, one document per cell. Land cells are not stored.
+ */
+const marineWeatherSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  lat: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  lon: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  // { wave_height, wave_direction, wave_period, swell_wave_height, ..., sea_surface_temperature, timestamp, fetched_at }
+  weather_data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Snapshot version (see Snapshot model); only the active one is served
+  snapshot: String
+}, {
+  collection: process.env.MARINE_COLLECTION || 'marine_weather',
+  timestamps: false
+});
+
+// Compound indexes for efficient spatial queries within a snapshot
+marineWeatherSchema.index({ snapshot: 1, lat: 1, lon: 1 });
+marineWeatherSchema.index({ snapshot: 1, 'weather_data.fetched_at': -1 });
+
+export default mongoose.model('MarineWeather', marineWeatherSchema);
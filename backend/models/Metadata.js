@@ -45,6 +45,11 @@ const gridMetadataSchema = new mongoose.Schema({
   updated_at: {
     type: Date,
     default: Date.now
+  },
+  // Snapshot version (see Snapshot model); only the active one is read
+  snapshot: {
+    type: String,
+    index: true
   }
 }, {
   collection: process.env.GRID_METADATA_COLLECTION || 'grid_metadata',
@@ -1,5 +1,38 @@
 import mongoose from 'mongoose';
 
+// One BMKG forecast slot, typed by the port collector (see utils/portBulletin.js)
+const portForecastSlotSchema = new mongoose.Schema({
+  time: Date,
+  weather: String,
+  temperature_c: Number,
+  humidity_pct: Number,
+  wind_from: String,
+  wind_to: String,
+  wind_direction_deg: Number,
+  wind_speed_min_knots: Number,
+  wind_speed_max_knots: Number,
+  wind_speed_knots: Number,
+  wind_speed_kmh: Number,
+  wave_category: String,
+  wave_height_min_m: Number,
+  wave_height_max_m: Number,
+  visibility_km: Number,
+  tides: [{
+    _id: false,
+    time: String,
+    height_m: Number
+  }],
+  // Tide information BMKG gives as text instead of a list
+  tides_text: String
+}, { _id: false });
+
+const portWeatherDataSchema = new mongoose.Schema({
+  issued: Date,
+  valid_from: Date,
+  valid_to: Date,
+  forecast: [portForecastSlotSchema]
+}, { _id: false });
+
 const portWeatherSchema = new mongoose.Schema({
   port_name: {
     type: String,
@@ -16,6 +49,11 @@ const portWeatherSchema = new mongoose.Schema({
     lon: Number
   },
   weather_data: {
+    type: portWeatherDataSchema,
+    default: null
+  },
+  // BMKG bulletin as returned
+  raw_data: {
     type: mongoose.Schema.Types.Mixed,
     default: null
   },
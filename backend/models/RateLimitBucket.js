@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+/**
+ * Rate Limit Buckets
+ * Token buckets shared by all server instances when RATE_LIMIT_STORE=mongo
+ */
+const rateLimitBucketSchema = new mongoose.Schema({
+  // Client key, e.g. "ip:203.0.113.7" or "key:wm_Ab3dE5f"
+  _id: String,
+  tokens: Number,
+  updated_at: Date,
+  // Outcome of the last consume
+  allowed: Boolean,
+  // Set to when the bucket would be full again; full buckets need no document
+  expires_at: Date
+}, {
+  collection: process.env.RATE_LIMIT_COLLECTION || 'rate_limit_buckets',
+  timestamps: false,
+  versionKey: false
+});
+
+rateLimitBucketSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimitBucket', rateLimitBucketSchema);
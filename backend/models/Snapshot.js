@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * Snapshot Pointers
+ * Collections replaced as a whole (grid weather, grid metadata, marine weather) are written
+ * as versioned snapshots; this document names the version readers see and
+ * keeps the one before it for rollback.
+ */
+const snapshotSchema = new mongoose.Schema({
+  // Snapshot name (grid_weather, grid_metadata, marine_weather)
+  _id: String,
+  // Version readers see
+  active: {
+    type: String,
+    required: true
+  },
+  count: Number,
+  activated_at: Date,
+  // Version that was active before, kept until the next swap
+  previous: String,
+  previous_count: Number,
+  previous_activated_at: Date
+}, {
+  collection: process.env.SNAPSHOT_COLLECTION || 'snapshots',
+  timestamps: false,
+  versionKey: false
+});
+
+export default mongoose.model('Snapshot', snapshotSchema);
@@ -0,0 +1,81 @@
+import axios from 'axios';
+import { sleep } from '../utils/helpers.js';
+import { InvalidResponseError } from '../utils/upstreamErrors.js';
+import config from '../config/config.js';
+
+/**
+ * BMKG Provider - maritime port bulletins from BMKG, one port per request
+ * (port dataset). A bulletin is BMKG's own forecast document and is stored
+ * as returned.
+ */
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch the bulletin of one port
+ * @param {Object} port - Port with slug
+ * @returns {Promise<Object>} { weather_data: bulletin }; request errors and empty bulletins are thrown
+ */
+export async function fetchCurrent(port) {
+  const response = await axios.get(config.api.bmkgPortUrl, {
+    params: { slug: port.slug },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  if (!response.data) {
+    throw new InvalidResponseError('Empty response');
+  }
+
+  return { weather_data: response.data };
+}
+
+/**
+ * Fetch the bulletins of several ports, one request at a time
+ * @param {Array} ports - Ports with slug
+ * @returns {Promise<Array<Object|null>>} { weather_data } per port, null where the request failed
+ */
+export async function fetchBatch(ports) {
+  const results = [];
+
+  for (const [index, port] of ports.entries()) {
+    try {
+      results.push(await fetchCurrent(port));
+    } catch (error) {
+      results.push(null);
+    }
+
+    // Be gentle with the BMKG API
+    if (index < ports.length - 1) {
+      await sleep(config.collector.requestDelayMs);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * BMKG bulletins have no hourly forecast; use fetchCurrent() for the bulletin
+ */
+export async function fetchForecast() {
+  throw new Error('The bmkg provider has no hourly forecast');
+}
+
+/**
+ * Create the provider
+ * @returns {Object} Provider
+ */
+export function createBmkgProvider() {
+  return {
+    name: 'bmkg',
+    fetchCurrent,
+    fetchBatch,
+    fetchForecast
+  };
+}
+
+export default {
+  fetchCurrent,
+  fetchBatch,
+  fetchForecast,
+  createBmkgProvider
+};
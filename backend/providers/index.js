@@ -0,0 +1,57 @@
+import { createOpenMeteoProvider } from './openMeteoProvider.js';
+import { createOpenMeteoMarineProvider } from './openMeteoMarineProvider.js';
+import { createBmkgProvider } from './bmkgProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { getWeatherVariables } from '../utils/weatherVariables.js';
+import config from '../config/config.js';
+
+/**
+ * Weather Providers - where each dataset's collector gets its data
+ *
+ * Every provider offers the same three calls:
+ * - fetchCurrent(location)            -> { coordinates?, weather_data } | null
+ * - fetchBatch(locations, options)    -> Array<{ coordinates?, weather_data, forecast? } | null>, in location order;
+ *                                        `options.forecastDays` adds the forecast to each result
+ * - fetchForecast(locations, options) -> Array<{ coordinates, timezone, utc_offset_seconds, hourly, daily } | null>
+ *
+ * The provider of a dataset is chosen with CITY_PROVIDER, GRID_PROVIDER,
+ * PORT_PROVIDER and MARINE_PROVIDER; `mock` serves fixtures without network access.
+ */
+
+// Provider name -> factory and the datasets whose data it can produce
+export const PROVIDERS = {
+  openmeteo: { create: createOpenMeteoProvider, datasets: ['city', 'grid'] },
+  'openmeteo-marine': { create: createOpenMeteoMarineProvider, datasets: ['marine'] },
+  bmkg: { create: createBmkgProvider, datasets: ['port'] },
+  mock: { create: createMockProvider, datasets: ['city', 'grid', 'port', 'marine'] }
+};
+
+/**
+ * Get the configured provider of a dataset
+ * @param {string} dataset - Dataset name (city, grid, port, marine)
+ * @returns {Object} Provider with name, fetchCurrent, fetchBatch and fetchForecast
+ * @throws {Error} When the configured provider is unknown or cannot serve the dataset,
+ *   or when WEATHER_VARIABLES names an unknown variable (city and grid)
+ */
+export function getProvider(dataset) {
+  const name = config.providers[dataset];
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown weather provider "${name}" for ${dataset}; expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!provider.datasets.includes(dataset)) {
+    throw new Error(`Weather provider "${name}" cannot serve ${dataset} data`);
+  }
+  if (dataset === 'city' || dataset === 'grid') {
+    // Fail the run up front instead of every request
+    getWeatherVariables();
+  }
+
+  return provider.create(dataset);
+}
+
+export default {
+  PROVIDERS,
+  getProvider
+};
@@ -0,0 +1,283 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import { getWeatherVariables, MARINE_VARIABLES } from '../utils/weatherVariables.js';
+
+/**
+ * Mock Provider - deterministic weather from fixture files, no network
+ *
+ * Each location always gets the same values (picked from the fixtures by its
+ * coordinates or slug), so the whole collect -> save -> serve pipeline runs
+ * on an air-gapped machine with repeatable output. Only times follow the
+ * clock: fetched_at, the current hour and forecast hours start today, so the
+ * data counts as fresh.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const fixtureCache = new Map();
+
+/**
+ * Read a fixture file (cached)
+ * @param {string} file - File name inside the fixtures directory
+ * @returns {Object} Parsed fixture
+ */
+function loadFixture(file) {
+  const fixturePath = path.join(config.providers.mockFixturesDir || DEFAULT_FIXTURES_DIR, file);
+  if (!fixtureCache.has(fixturePath)) {
+    fixtureCache.set(fixturePath, JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+  }
+  return fixtureCache.get(fixturePath);
+}
+
+/**
+ * Stable number derived from a key
+ * @param {string} key - e.g. "-6.2,106.8" or a port slug
+ * @returns {number} Unsigned 32-bit integer
+ */
+function seedOf(key) {
+  return createHash('sha1').update(key).digest().readUInt32BE(0);
+}
+
+/**
+ * Local time of a timezone offset as an OpenMeteo time string
+ * @param {Date} date - Instant
+ * @param {number} offsetSeconds - UTC offset
+ * @returns {string} e.g. "2024-01-01T19:00"
+ */
+function localHour(date, offsetSeconds) {
+  const local = new Date(date.getTime() + offsetSeconds * 1000);
+  return `${local.toISOString().slice(0, 13)}:00`;
+}
+
+/**
+ * Hourly and daily forecast of one location, from local midnight today
+ * @param {Object} fixture - OpenMeteo fixture
+ * @param {Object} location - Location with lat/lon
+ * @param {number} days - Forecast days
+ * @returns {Object} { coordinates, timezone, utc_offset_seconds, hourly, daily }
+ */
+function buildForecast(fixture, location, days) {
+  const seed = seedOf(`${location.lat},${location.lon}`);
+  const temperatureOffset = ((seed >>> 8) % 21 - 10) / 10;
+  const shift = value => Math.round((value + temperatureOffset) * 10) / 10;
+  const localMidnight = Math.floor((Date.now() + fixture.utc_offset_seconds * 1000) / 86400000) * 86400000;
+
+  const hourly = [];
+  for (let hour = 0; hour < days * 24; hour++) {
+    const sample = fixture.hourly[hour % fixture.hourly.length];
+    hourly.push({
+      time: new Date(localMidnight + hour * 3600000).toISOString().slice(0, 16),
+      ...sample,
+      temperature_2m: shift(sample.temperature_2m)
+    });
+  }
+
+  const daily = [];
+  for (let day = 0; day < days; day++) {
+    // Start each location at a different day of the fixture week
+    const sample = fixture.daily[(seed + day) % fixture.daily.length];
+    daily.push({
+      date: new Date(localMidnight + day * 86400000).toISOString().slice(0, 10),
+      ...sample,
+      temperature_2m_max: shift(sample.temperature_2m_max),
+      temperature_2m_min: shift(sample.temperature_2m_min)
+    });
+  }
+
+  return {
+    coordinates: { latitude: location.lat, longitude: location.lon, elevation: 0 },
+    timezone: fixture.timezone,
+    utc_offset_seconds: fixture.utc_offset_seconds,
+    hourly,
+    daily
+  };
+}
+
+/**
+ * Current weather for several locations
+ * @param {Array} locations - Locations with lat/lon
+ * @param {Object} options - { forecastDays: also build this many days of forecast (default 0) }
+ * @returns {Promise<Array<Object>>} { coordinates, weather_data, forecast? } per location
+ */
+export async function fetchBatch(locations, options = {}) {
+  const { forecastDays = 0 } = options;
+  const fixture = loadFixture('openmeteo.json');
+  const variables = getWeatherVariables();
+  const fetchedAt = new Date();
+  const timestamp = localHour(fetchedAt, fixture.utc_offset_seconds);
+
+  return (locations || []).map(location => {
+    const seed = seedOf(`${location.lat},${location.lon}`);
+    const sample = fixture.current[seed % fixture.current.length];
+    // Up to ±1 °C so neighbouring cells with the same sample still differ
+    const temperatureOffset = ((seed >>> 8) % 21 - 10) / 10;
+
+    // Only the configured variables, like a real request for them
+    const values = {};
+    for (const variable of variables) {
+      values[variable] = sample[variable] ?? null;
+    }
+
+    const result = {
+      coordinates: { latitude: location.lat, longitude: location.lon, elevation: 0 },
+      weather_data: {
+        ...values,
+        temperature_2m: Math.round((sample.temperature_2m + temperatureOffset) * 10) / 10,
+        timestamp,
+        timezone: fixture.timezone,
+        utc_offset_seconds: fixture.utc_offset_seconds,
+        fetched_at: fetchedAt
+      }
+    };
+    if (forecastDays > 0) result.forecast = buildForecast(fixture, location, forecastDays);
+    return result;
+  });
+}
+
+/**
+ * Current weather for one location
+ * @param {Object} location - Location with lat/lon
+ * @returns {Promise<Object>} { coordinates, weather_data }
+ */
+export async function fetchCurrent(location) {
+  const [result] = await fetchBatch([location]);
+  return result;
+}
+
+/**
+ * Hourly and daily forecasts for several locations, from local midnight today
+ * @param {Array} locations - Locations with lat/lon
+ * @param {Object} options - { days: forecast days (default 7) }
+ * @returns {Promise<Array<Object>>} { coordinates, timezone, utc_offset_seconds, hourly, daily } per location
+ */
+export async function fetchForecast(locations, options = {}) {
+  const { days = 7 } = options;
+  const fixture = loadFixture('openmeteo.json');
+  return (locations || []).map(location => buildForecast(fixture, location, days));
+}
+
+/**
+ * Check whether a location lies inside one of the fixture's land boxes
+ * @param {Array} land - [{ name, bbox: [minLon, minLat, maxLon, maxLat] }]
+ * @param {Object} location - Location with lat/lon
+ * @returns {boolean} True over land
+ */
+function isOverLand(land, location) {
+  return land.some(({ bbox: [minLon, minLat, maxLon, maxLat] }) =>
+    location.lon >= minLon && location.lon <= maxLon &&
+    location.lat >= minLat && location.lat <= maxLat
+  );
+}
+
+/**
+ * Open-Meteo-Marine-style current conditions for several locations
+ * Locations over land get null values, like the real API
+ * @param {Array} locations - Locations with lat/lon
+ * @returns {Promise<Array<Object>>} { coordinates, weather_data } per location
+ */
+export async function fetchMarineBatch(locations) {
+  const fixture = loadFixture('openmeteo-marine.json');
+  const fetchedAt = new Date();
+  const timestamp = localHour(fetchedAt, fixture.utc_offset_seconds);
+
+  return (locations || []).map(location => {
+    const overLand = isOverLand(fixture.land, location);
+    const sample = fixture.current[seedOf(`${location.lat},${location.lon}`) % fixture.current.length];
+
+    const values = {};
+    for (const variable of Object.keys(MARINE_VARIABLES)) {
+      values[variable] = overLand ? null : sample[variable] ?? null;
+    }
+
+    return {
+      coordinates: { latitude: location.lat, longitude: location.lon },
+      weather_data: {
+        ...values,
+        timestamp,
+        timezone: fixture.timezone,
+        utc_offset_seconds: fixture.utc_offset_seconds,
+        fetched_at: fetchedAt
+      }
+    };
+  });
+}
+
+/**
+ * BMKG-style bulletin for one port
+ * @param {Object} port - Port with name and slug
+ * @returns {Promise<Object>} { weather_data: bulletin }
+ */
+export async function fetchPortBulletin(port) {
+  const fixture = loadFixture('bmkg-port.json');
+  const seed = seedOf(port.slug);
+  const now = new Date();
+  const today = now.toISOString().slice(0, 10);
+
+  return {
+    weather_data: {
+      name: port.name,
+      slug: port.slug,
+      issued: now.toISOString(),
+      valid_from: `${today} 00:00 UTC`,
+      valid_to: `${today} 23:59 UTC`,
+      forecast_day1: fixture.periods.map((period, index) => ({
+        time: `${today} ${period} UTC`,
+        ...fixture.slots[(seed + index) % fixture.slots.length],
+        tides: fixture.tides
+      }))
+    }
+  };
+}
+
+/**
+ * Create the provider for a dataset
+ * Ports get BMKG-style bulletins, marine cells Open-Meteo-Marine-style waves,
+ * cities and grid points OpenMeteo-style weather
+ * @param {string} dataset - Dataset name (city, grid, port, marine)
+ * @returns {Object} Provider
+ */
+export function createMockProvider(dataset) {
+  if (dataset === 'port') {
+    return {
+      name: 'mock',
+      fetchCurrent: fetchPortBulletin,
+      fetchBatch: async ports => Promise.all(ports.map(fetchPortBulletin)),
+      fetchForecast: async () => {
+        throw new Error('The mock provider has no hourly forecast for ports');
+      }
+    };
+  }
+
+  if (dataset === 'marine') {
+    return {
+      name: 'mock',
+      fetchCurrent: async location => (await fetchMarineBatch([location]))[0],
+      fetchBatch: fetchMarineBatch,
+      fetchForecast: async () => {
+        throw new Error('The mock provider has no marine forecast');
+      }
+    };
+  }
+
+  return {
+    name: 'mock',
+    fetchCurrent,
+    fetchBatch,
+    fetchForecast
+  };
+}
+
+export default {
+  DEFAULT_FIXTURES_DIR,
+  fetchCurrent,
+  fetchBatch,
+  fetchForecast,
+  fetchMarineBatch,
+  fetchPortBulletin,
+  createMockProvider
+};
@@ -0,0 +1,101 @@
+import axios from 'axios';
+import config from '../config/config.js';
+import { MARINE_VARIABLES } from '../utils/weatherVariables.js';
+
+/**
+ * OpenMeteo Marine Provider - current waves, swell and sea surface
+ * temperature, many locations per request (marine dataset). Any API that
+ * answers like Open-Meteo Marine works, see OPENMETEO_MARINE_API_URL.
+ *
+ * Locations over land are answered too, with every value null; the marine
+ * collector drops those.
+ */
+
+const TIMEZONE = 'Asia/Jakarta';
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch current marine conditions for several locations in one request
+ * @param {Array} locations - Locations with lat/lon
+ * @returns {Promise<Array<Object|null>>} { coordinates, weather_data } per location,
+ *   null where the response has no current data; request errors are thrown
+ */
+export async function fetchBatch(locations) {
+  if (!locations || locations.length === 0) return [];
+
+  const variables = Object.keys(MARINE_VARIABLES);
+  const response = await axios.get(config.api.openMeteoMarineUrl, {
+    params: {
+      latitude: locations.map(location => location.lat),
+      longitude: locations.map(location => location.lon),
+      timezone: TIMEZONE,
+      current: variables
+    },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  // A single location gives a plain object instead of a list
+  const entries = Array.isArray(response.data) ? response.data : [response.data];
+  const fetchedAt = new Date();
+
+  return locations.map((location, index) => {
+    const entry = entries[index];
+    if (!entry?.current) return null;
+
+    const weatherData = {};
+    for (const variable of variables) {
+      weatherData[variable] = entry.current[variable] ?? null;
+    }
+
+    return {
+      coordinates: {
+        latitude: entry.latitude || location.lat,
+        longitude: entry.longitude || location.lon
+      },
+      weather_data: {
+        ...weatherData,
+        timestamp: entry.current.time,
+        timezone: entry.timezone,
+        utc_offset_seconds: entry.utc_offset_seconds,
+        fetched_at: fetchedAt
+      }
+    };
+  });
+}
+
+/**
+ * Fetch current marine conditions for one location
+ * @param {Object} location - Location with lat/lon
+ * @returns {Promise<Object|null>} { coordinates, weather_data } or null
+ */
+export async function fetchCurrent(location) {
+  const [result] = await fetchBatch([location]);
+  return result ?? null;
+}
+
+/**
+ * Marine forecasts are not collected; use fetchBatch() for current conditions
+ */
+export async function fetchForecast() {
+  throw new Error('The openmeteo-marine provider has no forecast');
+}
+
+/**
+ * Create the provider
+ * @returns {Object} Provider
+ */
+export function createOpenMeteoMarineProvider() {
+  return {
+    name: 'openmeteo-marine',
+    fetchCurrent,
+    fetchBatch,
+    fetchForecast
+  };
+}
+
+export default {
+  fetchCurrent,
+  fetchBatch,
+  fetchForecast,
+  createOpenMeteoMarineProvider
+};
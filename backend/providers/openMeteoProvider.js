@@ -0,0 +1,202 @@
+import axios from 'axios';
+import config from '../config/config.js';
+import { getWeatherVariables } from '../utils/weatherVariables.js';
+
+/**
+ * OpenMeteo Provider - current weather and hourly forecasts for any
+ * coordinates, many locations per request (city and grid datasets)
+ */
+
+export const HOURLY_VARIABLES = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'precipitation_probability',
+  'weather_code',
+  'wind_speed_10m',
+  'wind_direction_10m'
+];
+
+export const DAILY_VARIABLES = [
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_sum',
+  'precipitation_probability_max',
+  'wind_speed_10m_max',
+  'wind_direction_10m_dominant'
+];
+
+const TIMEZONE = 'Asia/Jakarta';
+
+/**
+ * Request data for several locations
+ * OpenMeteo answers a multi-location request with one entry per location
+ * (a single location gives a plain object)
+ * @param {Array} locations - Locations with lat/lon
+ * @param {Object} params - Extra query params
+ * @returns {Promise<Array>} Response entries, in location order
+ */
+async function request(locations, params) {
+  const response = await axios.get(config.api.openMeteoUrl, {
+    params: {
+      latitude: locations.map(location => location.lat),
+      longitude: locations.map(location => location.lon),
+      timezone: TIMEZONE,
+      ...params
+    }
+  });
+
+  if (Array.isArray(response.data)) return response.data;
+  return response.data ? [response.data] : [];
+}
+
+/**
+ * Coordinates the API snapped a location to
+ * @param {Object} entry - Response entry
+ * @param {Object} location - Requested location
+ * @returns {Object} { latitude, longitude, elevation }
+ */
+function coordinatesOf(entry, location) {
+  return {
+    latitude: entry.latitude || location.lat,
+    longitude: entry.longitude || location.lon,
+    elevation: entry.elevation || 0
+  };
+}
+
+/**
+ * Query params requesting hourly and daily forecasts
+ * @param {number} days - Forecast days
+ * @returns {Object} Query params
+ */
+function forecastParams(days) {
+  return { hourly: HOURLY_VARIABLES, daily: DAILY_VARIABLES, forecast_days: days };
+}
+
+/**
+ * Turn column arrays ({ time: [...], temperature_2m: [...] }) into one row per step
+ * @param {Object} columns - Response block (hourly or daily)
+ * @param {Array<string>} variables - Variables to keep
+ * @param {string} timeField - Name of the time field in each row
+ * @returns {Array<Object>} Rows
+ */
+function toRows(columns, variables, timeField) {
+  if (!Array.isArray(columns?.time)) return [];
+
+  return columns.time.map((time, index) => {
+    const row = { [timeField]: time };
+    for (const variable of variables) {
+      row[variable] = columns[variable]?.[index] ?? null;
+    }
+    return row;
+  });
+}
+
+/**
+ * Build the forecast of one response entry
+ * @param {Object} entry - Response entry
+ * @param {Object} location - Requested location
+ * @returns {Object|null} { coordinates, timezone, utc_offset_seconds, hourly, daily }, null without hourly data
+ */
+function toForecast(entry, location) {
+  if (!Array.isArray(entry?.hourly?.time)) return null;
+
+  return {
+    coordinates: coordinatesOf(entry, location),
+    timezone: entry.timezone,
+    utc_offset_seconds: entry.utc_offset_seconds,
+    hourly: toRows(entry.hourly, HOURLY_VARIABLES, 'time'),
+    daily: toRows(entry.daily, DAILY_VARIABLES, 'date')
+  };
+}
+
+/**
+ * Fetch current weather for several locations in one request
+ * @param {Array} locations - Locations with lat/lon
+ * @param {Object} options - { forecastDays: also fetch this many days of forecast (default 0) }
+ * @returns {Promise<Array<Object|null>>} { coordinates, weather_data, forecast? } per location,
+ *   null where the response has no current weather; request errors are thrown
+ */
+export async function fetchBatch(locations, options = {}) {
+  const { forecastDays = 0 } = options;
+  if (!locations || locations.length === 0) return [];
+
+  // Current variables come from WEATHER_VARIABLES (see utils/weatherVariables.js)
+  const variables = getWeatherVariables();
+  const entries = await request(locations, {
+    current: variables,
+    ...(forecastDays > 0 ? forecastParams(forecastDays) : {})
+  });
+  const fetchedAt = new Date();
+
+  return locations.map((location, index) => {
+    const entry = entries[index];
+    if (!entry?.current) return null;
+
+    const weatherData = {};
+    for (const variable of variables) {
+      weatherData[variable] = entry.current[variable] ?? null;
+    }
+
+    const result = {
+      coordinates: coordinatesOf(entry, location),
+      weather_data: {
+        ...weatherData,
+        timestamp: entry.current.time,
+        timezone: entry.timezone,
+        utc_offset_seconds: entry.utc_offset_seconds,
+        fetched_at: fetchedAt
+      }
+    };
+    if (forecastDays > 0) result.forecast = toForecast(entry, location);
+    return result;
+  });
+}
+
+/**
+ * Fetch current weather for one location
+ * @param {Object} location - Location with lat/lon
+ * @returns {Promise<Object|null>} { coordinates, weather_data } or null
+ */
+export async function fetchCurrent(location) {
+  const [result] = await fetchBatch([location]);
+  return result ?? null;
+}
+
+/**
+ * Fetch hourly and daily forecasts for several locations in one request
+ * @param {Array} locations - Locations with lat/lon
+ * @param {Object} options - { days: forecast days (default 7) }
+ * @returns {Promise<Array<Object|null>>} { coordinates, timezone, utc_offset_seconds,
+ *   hourly: [{ time, ...variables }], daily: [{ date, ...variables }] } per location,
+ *   null where the response has no hourly data
+ */
+export async function fetchForecast(locations, options = {}) {
+  const { days = 7 } = options;
+  if (!locations || locations.length === 0) return [];
+
+  const entries = await request(locations, forecastParams(days));
+  return locations.map((location, index) => toForecast(entries[index], location));
+}
+
+/**
+ * Create the provider
+ * @returns {Object} Provider
+ */
+export function createOpenMeteoProvider() {
+  return {
+    name: 'openmeteo',
+    fetchCurrent,
+    fetchBatch,
+    fetchForecast
+  };
+}
+
+export default {
+  HOURLY_VARIABLES,
+  DAILY_VARIABLES,
+  fetchCurrent,
+  fetchBatch,
+  fetchForecast,
+  createOpenMeteoProvider
+};
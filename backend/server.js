@@ -3,39 +3,67 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from './config/config.js';
-import { connectDatabase } from './utils/database.js';
+import { connectDatabase, disconnectDatabase } from './utils/database.js';
+import { authenticate, requireRole, requireReadAccess } from './utils/auth.js';
+import { sendError } from './utils/apiErrors.js';
+import { httpMetrics } from './utils/httpMetrics.js';
+import logger from './utils/logger.js';
+import { requestLogger } from './utils/requestLogger.js';
+import { startDataWatcher, stopDataWatcher } from './utils/dataWatcher.js';
+import { closeDataEventStreams } from './utils/eventStream.js';
+import { closeResponseCache } from './utils/responseCache.js';
+import { stopRateLimiter } from './utils/rateLimiter.js';
+import { markShuttingDown, isShuttingDown, closeHttpServer } from './utils/shutdown.js';
 import weatherRoutes from './api/weatherRoutes.js';
+import adminRoutes from './api/adminRoutes.js';
+import docsRoutes from './api/docsRoutes.js';
+import healthRoutes from './api/healthRoutes.js';
+import metricsRoutes from './api/metricsRoutes.js';
+import { startCollectorScheduler, stopCollectorScheduler } from './collectors/collectorScheduler.js';
 
 // ES module equivalents for __dirname
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+let server = null;
+app.set('trust proxy', config.server.trustProxy);
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Let the browser read validators, cache diagnostics and rate limit state
+  exposedHeaders: [
+    'ETag', 'X-Cache', 'X-Grid-Step', 'X-Request-Id',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'
+  ]
+}));
+
+// Request id and access log (before the body parsers, so their errors carry an id too)
+app.use(requestLogger);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.url}`);
-  next();
-});
+// Request counts and latency for /metrics
+if (config.metrics.enabled) {
+  app.use(httpMetrics);
+}
+
+// Health probes (before authentication so probes never need a key)
+app.use('/api/health', healthRoutes);
+
+// Prometheus scrape endpoint (optionally admin-only, see METRICS_REQUIRE_KEY)
+if (config.metrics.enabled) {
+  app.use('/metrics', metricsRoutes);
+}
+
+// API key authentication (anonymous requests continue without a role)
+app.use('/api', authenticate);
 
 // API Routes
-app.use('/api/weather', weatherRoutes);
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: config.server.nodeEnv
-  });
-});
+app.use('/api/weather', requireReadAccess, weatherRoutes);
+app.use('/api/admin', requireRole('admin'), adminRoutes);
+app.use('/api', docsRoutes);
 
 // Serve static files from frontend directory
 const frontendPath = path.join(__dirname, '..', 'frontend');
@@ -52,16 +80,20 @@ app.get('*', (req, res) => {
   if (!req.url.startsWith('/api')) {
     res.sendFile(path.join(frontendPath, 'index.html'));
   } else {
-    res.status(404).json({ error: 'API endpoint not found' });
+    sendError(res, 404, 'API endpoint not found');
   }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('❌ Server error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: config.server.nodeEnv === 'development' ? err.message : undefined
+  // Body parser failures (malformed JSON, oversized body) carry a 4xx status
+  if (err.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, err.expose ? err.message : 'Bad request');
+  }
+
+  logger.error('Unhandled server error', { error: err });
+  sendError(res, 500, 'Internal server error', {
+    details: config.server.nodeEnv === 'development' ? err.message : null
   });
 });
 
@@ -71,41 +103,117 @@ async function startServer() {
     // Connect to MongoDB
     await connectDatabase();
 
+    // Relay saves from collector processes to the response cache and SSE clients
+    await startDataWatcher();
+
+    if (config.scheduler.enabled) {
+      startCollectorScheduler();
+    }
+
     // Start Express server
-    app.listen(config.server.port, config.server.host, () => {
-      console.log('\n🚀 Weather API Server Running');
-      console.log('================================');
-      console.log(`   Environment: ${config.server.nodeEnv}`);
-      console.log(`   URL: http://${config.server.host}:${config.server.port}`);
-      console.log(`   Database: ${config.mongodb.dbName}`);
-      console.log('================================\n');
-      console.log('📡 Available endpoints:');
-      console.log('   GET  /api/weather/city');
-      console.log('   GET  /api/weather/grid');
-      console.log('   GET  /api/weather/port');
-      console.log('   GET  /api/weather/port/metadata');
-      console.log('   GET  /api/weather/all');
-      console.log('   GET  /api/weather/summary');
-      console.log('   GET  /api/health');
-      console.log('\n✨ Ready to serve weather data!\n');
+    server = app.listen(config.server.port, config.server.host, () => {
+      logger.info('Weather API server running', {
+        environment: config.server.nodeEnv,
+        url: `http://${config.server.host}:${config.server.port}`,
+        database: config.mongodb.dbName
+      });
+      logger.debug('Available endpoints', {
+        endpoints: [
+          '/api/weather/city',
+          '/api/weather/grid',
+          '/api/weather/point',
+          '/api/weather/city/:name/forecast',
+          '/api/weather/grid/forecast',
+          '/api/weather/port',
+          '/api/weather/port/metadata',
+          '/api/weather/marine',
+          '/api/weather/variables',
+          '/api/weather/all',
+          '/api/weather/summary',
+          '/api/weather/export',
+          '/api/weather/stream',
+          '/api/admin/collectors',
+          '/api/admin/collectors/runs',
+          '/api/admin/snapshots',
+          '/api/health/live',
+          '/api/health/ready',
+          '/api/openapi.json',
+          '/api/docs',
+          ...(config.metrics.enabled ? ['/metrics'] : [])
+        ]
+      });
     });
 
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n⏳ Shutting down gracefully...');
-  process.exit(0);
-});
+/**
+ * Run one shutdown step, logging instead of throwing on failure
+ * @param {string} name - Step description
+ * @param {Function} step - Sync or async function
+ * @returns {Promise<boolean>} True when the step succeeded
+ */
+async function runShutdownStep(name, step) {
+  try {
+    await step();
+    return true;
+  } catch (error) {
+    logger.error(`Shutdown step failed: ${name}`, { error });
+    return false;
+  }
+}
 
-process.on('SIGTERM', async () => {
-  console.log('\n⏳ Shutting down gracefully...');
-  process.exit(0);
-});
+/**
+ * Graceful shutdown
+ * Stops accepting connections, ends SSE streams, drains in-flight requests
+ * (up to SHUTDOWN_TIMEOUT_MS), stops background work and closes MongoDB.
+ * Exits 0 when everything closed cleanly and 1 otherwise.
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (isShuttingDown()) {
+    logger.warn('Shutdown already in progress, exiting now', { signal });
+    process.exit(1);
+  }
+  markShuttingDown();
+
+  const timeoutMs = config.shutdown.timeoutMs;
+  logger.info('Shutting down gracefully', { signal, timeout_ms: timeoutMs });
+
+  // Last resort if a step hangs (e.g. MongoDB not answering)
+  setTimeout(() => {
+    logger.error('Shutdown did not finish in time, exiting');
+    process.exit(1);
+  }, timeoutMs + 5000).unref();
+
+  const results = [];
+
+  // No new scheduled collector runs while draining; runs in progress are cut off at exit
+  results.push(await runShutdownStep('stop collector scheduler', stopCollectorScheduler));
+
+  if (server) {
+    const draining = closeHttpServer(server, timeoutMs);
+    // Event streams never finish on their own
+    const streams = closeDataEventStreams();
+    logger.info('Stopped accepting connections', { event_streams_closed: streams });
+    results.push(await draining);
+  }
+
+  results.push(await runShutdownStep('stop data watcher', stopDataWatcher));
+  results.push(await runShutdownStep('close response cache', closeResponseCache));
+  results.push(await runShutdownStep('stop rate limiter', stopRateLimiter));
+  results.push(await runShutdownStep('disconnect database', disconnectDatabase));
+
+  const clean = results.every(Boolean);
+  logger.info('Shutdown complete', { clean });
+  process.exit(clean ? 0 : 1);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the server
 startServer();
@@ -0,0 +1,54 @@
+/**
+ * API Errors - the single error response format used by every endpoint:
+ * { "error": { "code": "VALIDATION_ERROR", "message": "...", "details": [...] | null, "request_id": "..." } }
+ */
+
+export const ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * Build an error response body
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {Array|Object|null} details - Extra information (e.g. invalid fields)
+ * @param {string|null} requestId - Id of the failed request, for matching it in the logs
+ * @returns {Object} Error body
+ */
+export function errorBody(code, message, details = null, requestId = null) {
+  return {
+    error: {
+      code,
+      message,
+      details,
+      request_id: requestId
+    }
+  };
+}
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Human-readable message
+ * @param {Object} options - { code: defaults to the status's code, details }
+ * @returns {Object} Express response
+ */
+export function sendError(res, status, message, options = {}) {
+  const { code = ERROR_CODES[status] || 'ERROR', details = null } = options;
+  return res.status(status).json(errorBody(code, message, details, res.req?.id ?? null));
+}
+
+export default {
+  ERROR_CODES,
+  errorBody,
+  sendError
+};
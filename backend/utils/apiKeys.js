@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import logger from './logger.js';
+
+/**
+ * API Keys - creation, lookup and revocation of hashed API keys
+ */
+
+// Roles in increasing order of privilege; a role includes every role before it
+export const API_KEY_ROLES = ['reader', 'admin'];
+
+const KEY_PREFIX = 'wm_';
+const PREFIX_LENGTH = 10;
+
+// last_used_at is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const lastTouched = new Map();
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} Hex SHA-256 hash
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a role grants the privileges of another role
+ * @param {string} role - Role held
+ * @param {string} required - Role required
+ * @returns {boolean} True if allowed
+ */
+export function roleSatisfies(role, required) {
+  const held = API_KEY_ROLES.indexOf(role);
+  return held !== -1 && held >= API_KEY_ROLES.indexOf(required);
+}
+
+/**
+ * Create a new API key
+ * @param {Object} options - { name, role }
+ * @returns {Promise<Object>} { key, record } - the plain key is not stored and cannot be recovered
+ */
+export async function createApiKey({ name, role }) {
+  if (!API_KEY_ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${API_KEY_ROLES.join(', ')}`);
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const doc = await ApiKey.create({
+    name,
+    role,
+    key_hash: hashApiKey(key),
+    prefix: key.slice(0, PREFIX_LENGTH)
+  });
+
+  return { key, record: doc.toObject() };
+}
+
+/**
+ * Find the active API key record matching a plain key
+ * @param {string} key - Plain API key
+ * @returns {Promise<Object|null>} Key record or null if unknown or revoked
+ */
+export async function findApiKey(key) {
+  if (!key) return null;
+
+  const record = await ApiKey
+    .findOne({ key_hash: hashApiKey(key), revoked_at: null })
+    .select('-key_hash')
+    .lean();
+
+  if (record) {
+    touchApiKey(record._id);
+  }
+  return record;
+}
+
+/**
+ * Update last_used_at in the background, throttled per key
+ * @param {Object} id - Key record id
+ */
+function touchApiKey(id) {
+  const now = Date.now();
+  const previous = lastTouched.get(String(id)) || 0;
+  if (now - previous < TOUCH_INTERVAL_MS) return;
+
+  lastTouched.set(String(id), now);
+  ApiKey.updateOne({ _id: id }, { $set: { last_used_at: new Date(now) } })
+    .catch(error => logger.error('Failed to update API key last_used_at', { error }));
+}
+
+/**
+ * List API keys without their hashes
+ * @param {Object} options - { includeRevoked: false }
+ * @returns {Promise<Array>} Key records
+ */
+export async function listApiKeys(options = {}) {
+  const { includeRevoked = false } = options;
+  const query = includeRevoked ? {} : { revoked_at: null };
+
+  return await ApiKey.find(query).select('-key_hash').sort({ created_at: 1 }).lean();
+}
+
+/**
+ * Revoke an API key by its prefix (as shown in listings)
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Object|null>} Revoked key record or null if no active key matches
+ */
+export async function revokeApiKey(prefix) {
+  const matches = await ApiKey.countDocuments({ prefix, revoked_at: null });
+  if (matches > 1) {
+    throw new Error(`Prefix ${prefix} matches ${matches} active keys`);
+  }
+
+  return await ApiKey.findOneAndUpdate(
+    { prefix, revoked_at: null },
+    { $set: { revoked_at: new Date() } },
+    { new: true }
+  ).select('-key_hash').lean();
+}
+
+export default {
+  API_KEY_ROLES,
+  hashApiKey,
+  roleSatisfies,
+  createApiKey,
+  findApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,99 @@
+import config from '../config/config.js';
+import { findApiKey, roleSatisfies } from './apiKeys.js';
+import { sendError } from './apiErrors.js';
+import logger from './logger.js';
+
+/**
+ * Auth - API key authentication and role checks
+ *
+ * Keys are accepted from the `X-API-Key` header, an `Authorization: Bearer`
+ * header, or the `api_key` query param (for EventSource and download links,
+ * which cannot send headers)
+ */
+
+/**
+ * Read the API key presented with a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Plain API key or null
+ */
+function readApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+
+  if (typeof req.query.api_key === 'string') {
+    return req.query.api_key;
+  }
+  return null;
+}
+
+/**
+ * Express middleware resolving the presented API key into `req.apiKey`
+ * Requests without a key continue anonymously; an unknown or revoked key is rejected
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export async function authenticate(req, res, next) {
+  const key = readApiKey(req);
+  req.apiKey = null;
+
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const record = await findApiKey(key);
+    if (!record) {
+      return sendError(res, 401, 'Invalid or revoked API key');
+    }
+
+    req.apiKey = { id: record._id, name: record.name, role: record.role, prefix: record.prefix };
+    next();
+  } catch (error) {
+    logger.error('Error verifying API key', { error });
+    sendError(res, 500, 'Failed to verify API key');
+  }
+}
+
+/**
+ * Express middleware requiring an API key with at least the given role
+ * Must run after `authenticate`
+ * @param {string} role - Required role (reader, admin)
+ * @returns {Function} Express middleware
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return sendError(res, 401, 'API key required');
+    }
+    if (!roleSatisfies(req.apiKey.role, role)) {
+      return sendError(res, 403, `API key role '${req.apiKey.role}' cannot access this endpoint (requires '${role}')`);
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for read routes: requires a reader key only when
+ * `AUTH_REQUIRE_READ_KEY` is enabled
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireReadAccess(req, res, next) {
+  if (!config.auth.requireReadKey) {
+    return next();
+  }
+  return requireRole('reader')(req, res, next);
+}
+
+export default {
+  authenticate,
+  requireRole,
+  requireReadAccess
+};
@@ -0,0 +1,86 @@
+import weatherRoutes from '../api/weatherRoutes.js';
+import adminRoutes from '../api/adminRoutes.js';
+import docsRoutes from '../api/docsRoutes.js';
+import healthRoutes from '../api/healthRoutes.js';
+import metricsRoutes from '../api/metricsRoutes.js';
+import { OPERATIONS } from '../api/openapi.js';
+
+/**
+ * OpenAPI Coverage Check
+ * Fails when a route has no entry in the OpenAPI document, or when the
+ * document describes a route that no longer exists
+ */
+
+// Routers and where server.js mounts them
+const MOUNTED_ROUTERS = [
+  { prefix: '/api/weather', router: weatherRoutes },
+  { prefix: '/api/admin', router: adminRoutes },
+  { prefix: '/api', router: docsRoutes },
+  { prefix: '/api/health', router: healthRoutes },
+  { prefix: '/metrics', router: metricsRoutes }
+];
+
+/**
+ * List the "METHOD /path" routes registered on a router
+ * @param {string} prefix - Mount path
+ * @param {Object} router - Express router
+ * @returns {Array<string>} Routes
+ */
+export function listRouterRoutes(prefix, router) {
+  const routes = [];
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      const path = layer.route.path === '/' ? prefix : `${prefix}${layer.route.path}`;
+      routes.push(`${method.toUpperCase()} ${path}`);
+    }
+  }
+  return routes;
+}
+
+/**
+ * Compare registered routes with documented operations
+ * @returns {{undocumented: Array<string>, stale: Array<string>}} Differences
+ */
+export function checkOpenApiCoverage() {
+  const routes = new Set(MOUNTED_ROUTERS.flatMap(({ prefix, router }) => listRouterRoutes(prefix, router)));
+  const documented = new Set(OPERATIONS.map(operation => `${operation.method.toUpperCase()} ${operation.path}`));
+
+  return {
+    undocumented: [...routes].filter(route => !documented.has(route)),
+    stale: [...documented].filter(route => !routes.has(route))
+  };
+}
+
+async function main() {
+  const { undocumented, stale } = checkOpenApiCoverage();
+
+  for (const route of undocumented) {
+    console.error(`❌ Route without OpenAPI entry: ${route}`);
+  }
+  for (const route of stale) {
+    console.error(`❌ OpenAPI entry without route: ${route}`);
+  }
+
+  if (undocumented.length > 0 || stale.length > 0) {
+    console.error('Add or remove entries in OPERATIONS (backend/api/openapi.js)');
+    return 1;
+  }
+
+  console.log(`✅ All ${OPERATIONS.length} routes are documented in the OpenAPI spec`);
+  return 0;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(exitCode => {
+      process.exit(exitCode);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+export default main;
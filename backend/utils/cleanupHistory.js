@@ -13,9 +13,7 @@ async function main() {
   const daysToKeep = parseInt(process.argv[2]) || DEFAULT_DAYS_TO_KEEP;
   
   logWithTimestamp('Historical Data Cleanup Utility', 'info');
-  logWithTimestamp('='.repeat(50), 'info');
   logWithTimestamp(`Retention policy: Keep last ${daysToKeep} days`, 'info');
-  logWithTimestamp('', 'info');
 
   try {
     // Connect to database
@@ -26,26 +24,23 @@ async function main() {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
     logWithTimestamp(`Deleting records older than: ${cutoffDate.toISOString()}`, 'info');
-    logWithTimestamp('', 'info');
 
     // Perform cleanup
     logWithTimestamp('Starting cleanup...', 'info');
     const result = await cleanupOldHistory(daysToKeep);
 
     // Display results
-    logWithTimestamp('='.repeat(50), 'info');
-    logWithTimestamp('Cleanup Results:', 'info');
-    logWithTimestamp('='.repeat(50), 'info');
-    logWithTimestamp(`City weather history deleted: ${result.city}`, 'info');
-    logWithTimestamp(`Grid weather history deleted: ${result.grid}`, 'info');
-    logWithTimestamp(`Port weather history deleted: ${result.port}`, 'info');
-    logWithTimestamp(`Total records deleted: ${result.total}`, 'info');
-    logWithTimestamp('='.repeat(50), 'info');
+    logWithTimestamp('Cleanup results', 'info', {
+      city: result.city,
+      grid: result.grid,
+      port: result.port,
+      total: result.total
+    });
 
     if (result.total > 0) {
-      logWithTimestamp(`✅ Successfully cleaned up ${result.total} old records`, 'info');
+      logWithTimestamp(`Successfully cleaned up ${result.total} old records`, 'info');
     } else {
-      logWithTimestamp('ℹ️  No old records found to delete', 'info');
+      logWithTimestamp('No old records found to delete', 'info');
     }
 
     // Disconnect
@@ -53,8 +48,7 @@ async function main() {
     return 0;
 
   } catch (error) {
-    logWithTimestamp(`❌ Error during cleanup: ${error.message}`, 'error');
-    console.error(error);
+    logWithTimestamp('Error during cleanup', 'error', { error });
     
     try {
       await disconnectDatabase();
@@ -73,7 +67,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       process.exit(exitCode);
     })
     .catch(error => {
-      console.error('Fatal error:', error);
+      logWithTimestamp('Fatal error', 'error', { error });
       process.exit(1);
     });
 }
@@ -0,0 +1,94 @@
+import { createHash } from 'crypto';
+import CollectorCheckpoint from '../models/CollectorCheckpoint.js';
+import { logWithTimestamp } from './helpers.js';
+import config from '../config/config.js';
+
+/**
+ * Collector Checkpoints - completed batches of unfinished runs
+ *
+ * A batched collector stores each finished batch as it goes. When the run is
+ * interrupted or ends with too many failed batches, the next run loads these
+ * and only fetches what is missing. Checkpoint problems never fail a run; it
+ * then just cannot resume.
+ */
+
+/**
+ * Fingerprint a batch layout
+ * The same locations split by the same batch size give the same plan, so a
+ * checkpointed batch index always refers to the same locations
+ * @param {Array} locations - Locations with lat/lon
+ * @param {number} batchSize - Locations per batch
+ * @param {string} source - Where the data comes from (provider name), so
+ *   batches of one provider are never mixed into another's run
+ * @returns {string} Plan id
+ */
+export function createBatchPlan(locations, batchSize, source = '') {
+  const hash = createHash('sha1');
+  hash.update(`${source}|${batchSize}|`);
+  for (const location of locations) {
+    hash.update(`${location.lat},${location.lon};`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Load the checkpointed batches of a plan that are still recent enough to reuse
+ * @param {string} dataset - Dataset name
+ * @param {string} plan - Plan id from createBatchPlan()
+ * @returns {Promise<Map<number, Array>>} Items per batch index
+ */
+export async function loadCheckpoints(dataset, plan) {
+  const since = new Date(Date.now() - config.collector.checkpointMaxAgeHours * 60 * 60 * 1000);
+
+  try {
+    const checkpoints = await CollectorCheckpoint
+      .find({ dataset, plan, completed_at: { $gte: since } })
+      .select('batch items')
+      .lean();
+
+    return new Map(checkpoints.map(checkpoint => [checkpoint.batch, checkpoint.items]));
+  } catch (error) {
+    logWithTimestamp(`Failed to load collector checkpoints: ${error.message}`, 'warn');
+    return new Map();
+  }
+}
+
+/**
+ * Store a completed batch
+ * @param {string} dataset - Dataset name
+ * @param {string} plan - Plan id
+ * @param {number} batch - Batch index
+ * @param {Array} items - Processed records of the batch
+ * @param {string|null} runId - Run that fetched the batch
+ */
+export async function saveCheckpoint(dataset, plan, batch, items, runId = null) {
+  try {
+    await CollectorCheckpoint.updateOne(
+      { dataset, plan, batch },
+      { $set: { items, completed_at: new Date(), run_id: runId } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logWithTimestamp(`Failed to save collector checkpoint: ${error.message}`, 'warn', { batch });
+  }
+}
+
+/**
+ * Remove every checkpoint of a dataset, once its data has been saved
+ * Older plans (e.g. from before the grid changed) go too
+ * @param {string} dataset - Dataset name
+ */
+export async function clearCheckpoints(dataset) {
+  try {
+    await CollectorCheckpoint.deleteMany({ dataset });
+  } catch (error) {
+    logWithTimestamp(`Failed to clear collector checkpoints: ${error.message}`, 'warn');
+  }
+}
+
+export default {
+  createBatchPlan,
+  loadCheckpoints,
+  saveCheckpoint,
+  clearCheckpoints
+};
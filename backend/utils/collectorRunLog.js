@@ -0,0 +1,252 @@
+import os from 'os';
+import mongoose from 'mongoose';
+import CollectorRun from '../models/CollectorRun.js';
+import CollectorCounter from '../models/CollectorCounter.js';
+import { logWithTimestamp } from './helpers.js';
+import { addLogContext } from './logger.js';
+
+/**
+ * Collector Run Log - records each collector run (timing, item counts,
+ * failed batches/ports, retries, exit code) in the collector_runs collection
+ * and adds its totals to the never-expiring collector_counters
+ */
+
+export const COLLECTOR_RUN_STATUSES = ['running', 'success', 'partial', 'failed', 'skipped'];
+
+// Keeps a run with thousands of failed grid points from growing the document unbounded
+const MAX_RECORDED_FAILURES = 500;
+
+/**
+ * Start recording a collector run
+ * Logging problems never fail the collector; the run is then only kept in memory.
+ * The run id is added to the current log context, so entries logged during
+ * the run can be matched with its collector_runs document.
+ * @param {string} dataset - Dataset name (city, grid, port, marine)
+ * @returns {Promise<Object>} Run tracker
+ */
+export async function startCollectorRun(dataset) {
+  const runId = new mongoose.Types.ObjectId();
+  const run = {
+    dataset,
+    status: 'running',
+    provider: null,
+    started_at: new Date(),
+    items_requested: 0,
+    items_succeeded: 0,
+    batches_total: 0,
+    batches_failed: 0,
+    batches_resumed: 0,
+    retries: 0,
+    upstream_errors: 0,
+    failures: [],
+    host: `${os.hostname()}:${process.pid}`
+  };
+  const batchSeconds = [];
+
+  addLogContext({ run_id: String(runId) });
+
+  try {
+    await CollectorRun.create({ _id: runId, ...run });
+  } catch (error) {
+    logWithTimestamp(`Failed to record collector run start: ${error.message}`, 'warn');
+  }
+
+  return {
+    // Run id, also the collector_runs document id
+    id: String(runId),
+
+    /**
+     * Set the weather provider the run fetches from
+     * @param {string} name - Provider name (openmeteo, openmeteo-marine, bmkg, mock)
+     */
+    setProvider(name) {
+      run.provider = name;
+    },
+
+    /**
+     * Set the number of items (cities, grid points, ports) the run will request
+     * @param {number} count - Items requested
+     */
+    setRequested(count) {
+      run.items_requested = count;
+    },
+
+    /**
+     * Add items fetched successfully
+     * @param {number} count - Items succeeded
+     */
+    addSucceeded(count) {
+      run.items_succeeded += count;
+    },
+
+    /**
+     * Count a retry of a failed request
+     */
+    recordRetry() {
+      run.retries++;
+    },
+
+    /**
+     * Count a failed upstream request (HTTP error status, timeout, network error)
+     */
+    recordUpstreamError() {
+      run.upstream_errors++;
+    },
+
+    /**
+     * Record a finished batch
+     * @param {number} seconds - Batch duration in seconds
+     * @param {boolean} failed - Whether the batch gave no data
+     */
+    recordBatch(seconds, failed = false) {
+      run.batches_total++;
+      if (failed) run.batches_failed++;
+      batchSeconds.push(seconds);
+    },
+
+    /**
+     * Record a batch taken from the checkpoint of an earlier, unfinished run
+     * @param {number} items - Items in the batch
+     */
+    recordResumedBatch(items) {
+      run.batches_resumed++;
+      run.items_succeeded += items;
+    },
+
+    /**
+     * Record a failed batch, port or city
+     * @param {string} item - What failed (e.g. "batch 3", a port slug)
+     * @param {string} error - Last error message
+     * @param {number} attempts - Attempts made
+     * @param {string|null} kind - Error class (see utils/upstreamErrors.js)
+     */
+    recordFailure(item, error, attempts = 1, kind = null) {
+      if (run.failures.length < MAX_RECORDED_FAILURES) {
+        run.failures.push(kind ? { item, error, attempts, kind } : { item, error, attempts });
+      }
+    },
+
+    /**
+     * Finish the run and persist its outcome
+     * @param {number} exitCode - Collector exit code
+     * @param {Object} options - { skipped: data was still fresh, error: fatal error message }
+     * @returns {Promise<number>} The exit code, so collectors can `return run.finish(code)`
+     */
+    async finish(exitCode, options = {}) {
+      const { skipped = false, error = null } = options;
+      const finishedAt = new Date();
+
+      run.exit_code = exitCode;
+      run.finished_at = finishedAt;
+      run.duration_ms = finishedAt - run.started_at;
+      run.items_failed = Math.max(run.items_requested - run.items_succeeded, 0);
+      if (batchSeconds.length > 0) {
+        const total = batchSeconds.reduce((sum, seconds) => sum + seconds, 0);
+        run.avg_batch_seconds = Math.round((total / batchSeconds.length) * 10) / 10;
+      }
+      if (error) run.error = error;
+
+      if (skipped) {
+        run.status = 'skipped';
+      } else if (exitCode !== 0) {
+        run.status = 'failed';
+      } else {
+        run.status = run.items_failed > 0 || run.failures.length > 0 ? 'partial' : 'success';
+      }
+
+      try {
+        // Upsert in case recording the start failed
+        await CollectorRun.updateOne({ _id: runId }, { $set: run }, { upsert: true });
+      } catch (saveError) {
+        logWithTimestamp(`Failed to record collector run result: ${saveError.message}`, 'warn');
+      }
+
+      await addToCollectorCounters(run);
+
+      return exitCode;
+    }
+  };
+}
+
+/**
+ * Add a finished run to the running totals of its dataset
+ * @param {Object} run - Finished run
+ */
+async function addToCollectorCounters(run) {
+  try {
+    await CollectorCounter.updateOne(
+      { _id: run.dataset },
+      {
+        $inc: {
+          [`runs.${run.status}`]: 1,
+          items_succeeded: run.items_succeeded,
+          items_failed: run.items_failed,
+          batches_succeeded: run.batches_total - run.batches_failed,
+          batches_failed: run.batches_failed,
+          retries: run.retries,
+          upstream_errors: run.upstream_errors
+        },
+        $set: { updated_at: run.finished_at }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logWithTimestamp(`Failed to update collector counters: ${error.message}`, 'warn');
+  }
+}
+
+/**
+ * Get the running totals of every dataset
+ * @returns {Promise<Array>} Collector counters, one document per dataset
+ */
+export async function getCollectorCounters() {
+  return await CollectorCounter.find().lean();
+}
+
+/**
+ * List collector runs, newest first, with the first few failures of each
+ * @param {Object} filters - Query filters
+ * @param {string} filters.dataset - Dataset name
+ * @param {string} filters.status - Run status
+ * @param {Date} filters.since - Runs started at or after
+ * @param {Date} filters.until - Runs started at or before
+ * @param {number} filters.limit - Maximum number of runs (default 50)
+ * @returns {Promise<Array>} Collector runs
+ */
+export async function listCollectorRuns(filters = {}) {
+  const { dataset, status, since, until, limit = 50 } = filters;
+  const query = {};
+
+  if (dataset) query.dataset = dataset;
+  if (status) query.status = status;
+  if (since || until) {
+    query.started_at = {};
+    if (since) query.started_at.$gte = since;
+    if (until) query.started_at.$lte = until;
+  }
+
+  return await CollectorRun
+    .find(query)
+    .sort({ started_at: -1 })
+    .limit(limit)
+    .select({ failures: { $slice: 5 } })
+    .lean();
+}
+
+/**
+ * Get a single collector run including its failures
+ * @param {string} id - Run id
+ * @returns {Promise<Object|null>} Collector run or null
+ */
+export async function getCollectorRun(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return await CollectorRun.findById(id).lean();
+}
+
+export default {
+  COLLECTOR_RUN_STATUSES,
+  startCollectorRun,
+  listCollectorRuns,
+  getCollectorRun,
+  getCollectorCounters
+};
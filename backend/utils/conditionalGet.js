@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import {
+  getLatestCityFetchTime,
+  getLatestGridFetchTime,
+  getLatestPortTime,
+  getLatestMarineFetchTime
+} from './weatherRepository.js';
+import logger from './logger.js';
+
+/**
+ * Conditional GET - ETag / Last-Modified validators derived from the latest
+ * fetched_at of the datasets behind a route, so unchanged data is answered
+ * with 304 before the full collection is read
+ */
+
+const LATEST_FETCH_TIME = {
+  city: getLatestCityFetchTime,
+  grid: getLatestGridFetchTime,
+  port: getLatestPortTime,
+  marine: getLatestMarineFetchTime
+};
+
+/**
+ * Strip the weak prefix from an entity tag
+ * @param {string} tag - Entity tag
+ * @returns {string} Opaque tag
+ */
+function opaqueTag(tag) {
+  return tag.trim().replace(/^W\//, '');
+}
+
+/**
+ * Check an If-None-Match header against an ETag (weak comparison)
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client's copy is current
+ */
+function matchesIfNoneMatch(header, etag) {
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => opaqueTag(tag) === opaqueTag(etag));
+}
+
+/**
+ * Express middleware adding validators and answering 304 for unchanged data
+ * @param {Array<string>} datasets - Datasets the response is derived from
+ * @returns {Function} Express middleware
+ */
+export function conditionalGet(datasets) {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    try {
+      // A dataset without data counts as 0, so the tag changes once it is first saved
+      const times = (await Promise.all(datasets.map(dataset => LATEST_FETCH_TIME[dataset]())))
+        .map(time => (time ? new Date(time).getTime() : 0));
+      if (times.every(time => time === 0)) {
+        return next();
+      }
+
+      const lastModified = new Date(Math.max(...times));
+      const fingerprint = [
+        datasets.join('+'),
+        times.join(','),
+        req.originalUrl,
+        req.get('Accept') || ''
+      ].join('|');
+      const etag = `W/"${crypto.createHash('sha1').update(fingerprint).digest('base64url')}"`;
+
+      // Only successful responses get validators: a revalidated 404 or 500 would
+      // otherwise be answered with 304 and stay cached until the next collection
+      const send = res.send.bind(res);
+      res.send = (body) => {
+        if (res.statusCode === 200) {
+          res.set('ETag', etag);
+          res.set('Last-Modified', lastModified.toUTCString());
+        }
+        return send(body);
+      };
+
+      const ifNoneMatch = req.get('If-None-Match');
+      const ifModifiedSince = req.get('If-Modified-Since');
+
+      let notModified = false;
+      if (ifNoneMatch) {
+        notModified = matchesIfNoneMatch(ifNoneMatch, etag);
+      } else if (ifModifiedSince) {
+        const since = Date.parse(ifModifiedSince);
+        notModified = !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+      }
+
+      if (notModified) {
+        res.set('ETag', etag);
+        res.set('Last-Modified', lastModified.toUTCString());
+        return res.status(304).end();
+      }
+
+      next();
+    } catch (error) {
+      // Validators are an optimisation; serve the full response if they fail
+      logger.error('Error computing conditional GET validators', { error });
+      next();
+    }
+  };
+}
+
+export default {
+  conditionalGet
+};
@@ -0,0 +1,35 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import os from 'os';
+
+/**
+ * Data Events - in-process notifications about weather data writes
+ *
+ * Events:
+ * - 'saved' ({ dataset, count, fetched_at }) after a save function commits new data,
+ *   in this process or (via the data watcher) in another one
+ */
+
+const dataEvents = new EventEmitter();
+
+// Every SSE client adds a listener
+dataEvents.setMaxListeners(0);
+
+// Identifies this process in the data update log
+export const PROCESS_ORIGIN = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Announce that a dataset has been written
+ * @param {string} dataset - Dataset name (city, grid, port, marine)
+ * @param {number} count - Number of records written
+ * @param {Date|null} fetchedAt - Fetch time of the new data
+ */
+export function emitDataSaved(dataset, count, fetchedAt = new Date()) {
+  dataEvents.emit('saved', {
+    dataset,
+    count,
+    fetched_at: fetchedAt
+  });
+}
+
+export default dataEvents;
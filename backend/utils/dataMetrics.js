@@ -0,0 +1,146 @@
+import config from '../config/config.js';
+import { gauge, counter, registerCollector } from './metrics.js';
+import { isDatabaseConnected } from './database.js';
+import { getCollectorCounters } from './collectorRunLog.js';
+import {
+  getLatestCityFetchTime,
+  getLatestGridFetchTime,
+  getLatestPortTime,
+  getLatestMarineFetchTime,
+  getHistoryCollectionStats
+} from './weatherRepository.js';
+
+/**
+ * Data Metrics - values read from MongoDB each time /metrics is scraped:
+ * dataset age, history collection sizes and collector totals
+ *
+ * Collector totals are kept in collector_counters by every collector
+ * process, so they survive restarts and cover cron runs as well as the
+ * in-process scheduler.
+ */
+
+const LATEST_FETCH_TIME = {
+  city: getLatestCityFetchTime,
+  grid: getLatestGridFetchTime,
+  port: getLatestPortTime,
+  marine: getLatestMarineFetchTime
+};
+
+const mongoUp = gauge({
+  name: 'mongodb_up',
+  help: 'Whether the API server is connected to MongoDB (1) or not (0)'
+});
+
+const dataAge = gauge({
+  name: 'weather_data_age_seconds',
+  help: 'Seconds since the latest fetch of each dataset',
+  labelNames: ['dataset']
+});
+
+const freshnessThreshold = gauge({
+  name: 'weather_data_freshness_seconds',
+  help: 'Freshness threshold of each dataset; collectors refetch once the data is older',
+  labelNames: ['dataset']
+});
+
+const historyDocuments = gauge({
+  name: 'weather_history_documents',
+  help: 'Estimated number of documents in each history collection',
+  labelNames: ['dataset']
+});
+
+const historySize = gauge({
+  name: 'weather_history_size_bytes',
+  help: 'Uncompressed data size of each history collection',
+  labelNames: ['dataset']
+});
+
+const collectorRuns = counter({
+  name: 'collector_runs_total',
+  help: 'Finished collector runs by dataset and status',
+  labelNames: ['dataset', 'status']
+});
+
+const collectorBatches = counter({
+  name: 'collector_batches_total',
+  help: 'Collector request batches by dataset and outcome (ok, failed)',
+  labelNames: ['dataset', 'outcome']
+});
+
+const collectorItems = counter({
+  name: 'collector_items_total',
+  help: 'Cities, grid points or ports fetched by dataset and outcome (ok, failed)',
+  labelNames: ['dataset', 'outcome']
+});
+
+const collectorRetries = counter({
+  name: 'collector_retries_total',
+  help: 'Retried upstream requests by dataset',
+  labelNames: ['dataset']
+});
+
+const collectorUpstreamErrors = counter({
+  name: 'collector_upstream_errors_total',
+  help: 'Failed upstream requests (HTTP error, timeout, network error) by dataset',
+  labelNames: ['dataset']
+});
+
+/**
+ * Refresh dataset ages
+ */
+async function collectDataAge() {
+  dataAge.reset();
+  await Promise.all(Object.entries(LATEST_FETCH_TIME).map(async ([dataset, getLatest]) => {
+    const latest = await getLatest();
+    if (latest) {
+      dataAge.set({ dataset }, Math.round((Date.now() - new Date(latest).getTime()) / 1000));
+    }
+  }));
+}
+
+/**
+ * Refresh history collection sizes
+ */
+async function collectHistoryStats() {
+  const stats = await getHistoryCollectionStats();
+  for (const [dataset, { documents, size_bytes: sizeBytes }] of Object.entries(stats)) {
+    historyDocuments.set({ dataset }, documents);
+    if (sizeBytes !== null) historySize.set({ dataset }, sizeBytes);
+  }
+}
+
+/**
+ * Refresh collector totals
+ */
+async function collectCollectorCounters() {
+  for (const totals of await getCollectorCounters()) {
+    const dataset = totals._id;
+    for (const [status, count] of Object.entries(totals.runs || {})) {
+      collectorRuns.set({ dataset, status }, count);
+    }
+    collectorBatches.set({ dataset, outcome: 'ok' }, totals.batches_succeeded || 0);
+    collectorBatches.set({ dataset, outcome: 'failed' }, totals.batches_failed || 0);
+    collectorItems.set({ dataset, outcome: 'ok' }, totals.items_succeeded || 0);
+    collectorItems.set({ dataset, outcome: 'failed' }, totals.items_failed || 0);
+    collectorRetries.set({ dataset }, totals.retries || 0);
+    collectorUpstreamErrors.set({ dataset }, totals.upstream_errors || 0);
+  }
+}
+
+for (const [dataset, hours] of Object.entries(config.freshness)) {
+  freshnessThreshold.set({ dataset }, hours * 3600);
+}
+
+registerCollector(async () => {
+  const connected = isDatabaseConnected();
+  mongoUp.set({}, connected ? 1 : 0);
+
+  // Keep the last known values while the database is away
+  if (!connected) return;
+
+  await Promise.all([
+    collectDataAge(),
+    collectHistoryStats(),
+    collectCollectorCounters()
+  ]);
+});
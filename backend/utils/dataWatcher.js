@@ -0,0 +1,144 @@
+import DataUpdate from '../models/DataUpdate.js';
+import config from '../config/config.js';
+import { emitDataSaved, PROCESS_ORIGIN } from './dataEvents.js';
+import logger from './logger.js';
+
+/**
+ * Data Watcher - relays saves made by other processes (e.g. collectors run
+ * from cron) as in-process 'saved' data events. Follows the data update log
+ * with a MongoDB change stream, or polls it when change streams are not
+ * available (standalone server) or disabled.
+ */
+
+// Polling re-reads this much before the previous poll: ids and created_at
+// come from the writing processes, so a write can show up with an earlier
+// created_at than updates already seen (clock skew, slow inserts)
+const POLL_OVERLAP_MS = 60 * 1000;
+
+let changeStream = null;
+let pollTimer = null;
+let lastPolledAt = 0;
+// Ids of updates relayed within the overlap window -> created_at in ms
+const seenUpdates = new Map();
+
+/**
+ * Relay one data update document, skipping updates written by this process
+ * @param {Object} update - Data update document
+ */
+function relayUpdate(update) {
+  if (!update || update.origin === PROCESS_ORIGIN) return;
+  emitDataSaved(update.dataset, update.count, update.fetched_at || null);
+}
+
+/**
+ * Read updates logged within the overlap window and remember their ids
+ * @param {number} now - Poll time in ms
+ * @returns {Promise<Array>} Updates not seen before, oldest first
+ */
+async function readNewUpdates(now) {
+  const since = lastPolledAt - POLL_OVERLAP_MS;
+  const updates = await DataUpdate.find({ created_at: { $gte: new Date(since) } })
+    .sort({ created_at: 1, _id: 1 })
+    .lean();
+
+  const fresh = updates.filter(update => !seenUpdates.has(String(update._id)));
+  for (const update of fresh) {
+    seenUpdates.set(String(update._id), new Date(update.created_at).getTime());
+  }
+
+  // Ids before the window cannot be read again
+  for (const [id, createdAt] of seenUpdates) {
+    if (createdAt < since) seenUpdates.delete(id);
+  }
+  lastPolledAt = now;
+  return fresh;
+}
+
+/**
+ * Relay updates logged since the last poll
+ * Works for several writers as long as their clocks are within POLL_OVERLAP_MS
+ */
+async function pollUpdates() {
+  try {
+    const updates = await readNewUpdates(Date.now());
+    updates.forEach(relayUpdate);
+  } catch (error) {
+    logger.error('Error polling data updates', { error });
+  }
+}
+
+/**
+ * Start polling the data update log
+ */
+async function startPolling() {
+  if (pollTimer) return;
+
+  // Only updates logged from now on are relayed
+  seenUpdates.clear();
+  lastPolledAt = Date.now();
+  await readNewUpdates(lastPolledAt);
+
+  pollTimer = setInterval(pollUpdates, config.stream.pollIntervalMs);
+  pollTimer.unref();
+  logger.info('Watching data updates by polling', { interval_ms: config.stream.pollIntervalMs });
+}
+
+/**
+ * Start following the data update log with a change stream, falling back to polling
+ */
+function startChangeStream() {
+  changeStream = DataUpdate.watch([{ $match: { operationType: 'insert' } }]);
+
+  changeStream.on('change', (change) => relayUpdate(change.fullDocument));
+
+  changeStream.on('error', async (error) => {
+    logger.warn('Data update change stream unavailable, falling back to polling', { error: error.message });
+    const stream = changeStream;
+    changeStream = null;
+    await stream.close().catch(() => {});
+
+    try {
+      await startPolling();
+    } catch (pollError) {
+      logger.error('Error starting data update polling', { error: pollError });
+    }
+  });
+
+  logger.info('Watching data updates with a change stream');
+}
+
+/**
+ * Start relaying data updates from other processes
+ * Requires an open database connection
+ */
+export async function startDataWatcher() {
+  if (changeStream || pollTimer) return;
+
+  if (config.stream.useChangeStream) {
+    startChangeStream();
+  } else {
+    await startPolling();
+  }
+}
+
+/**
+ * Stop relaying data updates
+ */
+export async function stopDataWatcher() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    seenUpdates.clear();
+  }
+
+  if (changeStream) {
+    const stream = changeStream;
+    changeStream = null;
+    await stream.close();
+  }
+}
+
+export default {
+  start: startDataWatcher,
+  stop: stopDataWatcher
+};
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import config from '../config/config.js';
+import logger from './logger.js';
 
 let isConnected = false;
 
@@ -8,7 +9,7 @@ let isConnected = false;
  */
 export async function connectDatabase() {
   if (isConnected) {
-    console.log('📦 Using existing database connection');
+    logger.debug('Using existing database connection');
     return;
   }
 
@@ -23,28 +24,30 @@ export async function connectDatabase() {
     });
 
     isConnected = true;
-    console.log('✅ MongoDB connected successfully');
-    console.log(`   Database: ${config.mongodb.dbName}`);
-    console.log(`   URI: ${config.mongodb.uri}`);
+    logger.info('MongoDB connected', {
+      database: config.mongodb.dbName,
+      // Never log credentials embedded in the URI
+      uri: config.mongodb.uri.replace(/\/\/[^@/]*@/, '//***@')
+    });
 
     // Handle connection events
     mongoose.connection.on('error', (err) => {
-      console.error('❌ MongoDB connection error:', err);
+      logger.error('MongoDB connection error', { error: err });
       isConnected = false;
     });
 
     mongoose.connection.on('disconnected', () => {
-      console.warn('⚠️  MongoDB disconnected');
+      logger.warn('MongoDB disconnected');
       isConnected = false;
     });
 
     mongoose.connection.on('reconnected', () => {
-      console.log('✅ MongoDB reconnected');
+      logger.info('MongoDB reconnected');
       isConnected = true;
     });
 
   } catch (error) {
-    console.error('❌ MongoDB connection failed:', error.message);
+    logger.error('MongoDB connection failed', { error });
     throw error;
   }
 }
@@ -60,9 +63,9 @@ export async function disconnectDatabase() {
   try {
     await mongoose.disconnect();
     isConnected = false;
-    console.log('👋 MongoDB disconnected');
+    logger.info('MongoDB disconnected');
   } catch (error) {
-    console.error('❌ Error disconnecting from MongoDB:', error.message);
+    logger.error('Error disconnecting from MongoDB', { error });
     throw error;
   }
 }
@@ -0,0 +1,85 @@
+import config from '../config/config.js';
+import dataEvents from './dataEvents.js';
+
+/**
+ * Event Stream - Server-Sent Events announcing fresh weather data
+ *
+ * Events:
+ * - 'ready' ({ datasets }) once the stream is open
+ * - 'saved' ({ dataset, count, fetched_at }) whenever a dataset is saved
+ */
+
+// Suggested reconnect delay for EventSource clients
+const RETRY_MS = 10000;
+
+let nextEventId = 1;
+
+// Open streams, so they can be ended on shutdown
+const openStreams = new Set();
+
+/**
+ * Write one SSE message
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @param {number|null} id - Event id
+ */
+function writeEvent(res, event, data, id = null) {
+  if (id !== null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Turn a request into an SSE stream of 'saved' events until the client disconnects
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array<string>} datasets - Datasets the client is interested in
+ */
+export function openDataEventStream(req, res, datasets) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx) so events arrive immediately
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  writeEvent(res, 'ready', { datasets });
+
+  const onSaved = (payload) => {
+    if (!datasets.includes(payload.dataset)) return;
+    writeEvent(res, 'saved', payload, nextEventId++);
+  };
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), config.stream.heartbeatMs);
+
+  dataEvents.on('saved', onSaved);
+  openStreams.add(res);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    dataEvents.off('saved', onSaved);
+    openStreams.delete(res);
+  });
+}
+
+/**
+ * End every open stream; EventSource clients reconnect after the retry delay
+ * @returns {number} Number of streams ended
+ */
+export function closeDataEventStreams() {
+  const count = openStreams.size;
+  for (const res of openStreams) {
+    res.end();
+  }
+  return count;
+}
+
+export default {
+  openDataEventStream,
+  closeDataEventStreams
+};
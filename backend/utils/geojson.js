@@ -0,0 +1,155 @@
+import { BASE_GRID_STEP } from './gridSampling.js';
+
+/**
+ * GeoJSON - convert current weather documents into RFC 7946 FeatureCollections
+ */
+
+export const GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+// Datasets whose documents are grid cells and can be drawn as squares
+const CELL_TYPES = ['grid', 'marine'];
+
+/**
+ * Check whether a request asks for GeoJSON, via ?format=geojson or the Accept header
+ * @param {Object} req - Express request
+ * @returns {boolean} True if GeoJSON should be returned
+ */
+export function wantsGeoJSON(req) {
+  if (req.query.format) {
+    return String(req.query.format).toLowerCase() === 'geojson';
+  }
+  return req.accepts(['application/json', GEOJSON_CONTENT_TYPE]) === GEOJSON_CONTENT_TYPE;
+}
+
+/**
+ * Flatten nested plain objects into "parent_child" keys
+ * Arrays become JSON strings, since GIS tools only load scalar properties
+ * @param {Object} source - Object to flatten
+ * @param {string} prefix - Key prefix
+ * @param {Object} target - Accumulator
+ * @returns {Object} Flat object
+ */
+function flattenProperties(source, prefix = '', target = {}) {
+  for (const [key, value] of Object.entries(source || {})) {
+    const name = prefix ? `${prefix}_${key}` : key;
+
+    if (value instanceof Date) {
+      target[name] = value.toISOString();
+    } else if (Array.isArray(value)) {
+      target[name] = JSON.stringify(value);
+    } else if (value && typeof value === 'object') {
+      flattenProperties(value, name, target);
+    } else {
+      target[name] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Flatten port weather data: the bulletin times plus the first forecast slot,
+ * with the same keys as port history exports
+ * @param {Object|null} weatherData - Normalized port `weather_data`
+ * @returns {Object} Flat properties
+ */
+function flattenPortWeather(weatherData) {
+  const { forecast = [], ...bulletin } = weatherData || {};
+  const { time = null, ...slot } = forecast[0] || {};
+
+  return flattenProperties({ ...bulletin, forecast_time: time, ...slot });
+}
+
+/**
+ * Get the [lon, lat] position of a weather document
+ * @param {string} type - Dataset type (city, grid, port, marine)
+ * @param {Object} doc - Weather document
+ * @returns {Array<number>|null} Position, or null when the document has no coordinates
+ */
+function getPosition(type, doc) {
+  const position = type === 'port'
+    ? [doc.coordinates?.lon, doc.coordinates?.lat]
+    : [doc.lon, doc.lat];
+  return position.every(Number.isFinite) ? position : null;
+}
+
+/**
+ * Build the square cell polygon drawn for a grid point
+ * @param {Object} doc - Grid or marine weather document
+ * @returns {Object} Polygon geometry
+ */
+function buildCellPolygon(doc) {
+  const half = (doc.step || BASE_GRID_STEP) / 2;
+  const west = doc.lon - half;
+  const east = doc.lon + half;
+  const south = doc.lat - half;
+  const north = doc.lat + half;
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [west, south],
+      [east, south],
+      [east, north],
+      [west, north],
+      [west, south]
+    ]]
+  };
+}
+
+/**
+ * Convert a weather document into a GeoJSON Feature
+ * @param {string} type - Dataset type (city, grid, port, marine)
+ * @param {Object} doc - Weather document
+ * @param {Object} options - { cellGeometry: 'point' | 'polygon', dataset: boolean }
+ * @returns {Object} Feature
+ */
+export function toFeature(type, doc, options = {}) {
+  const { cellGeometry = 'point', dataset = false } = options;
+  const { weather_data: weatherData, coordinates, ...fields } = doc;
+
+  const properties = flattenProperties(fields);
+  if (type !== 'port' && coordinates) {
+    properties.elevation = coordinates.elevation ?? null;
+  }
+  Object.assign(properties, type === 'port' ? flattenPortWeather(weatherData) : flattenProperties(weatherData));
+  if (dataset) {
+    properties.dataset = type;
+  }
+
+  // RFC 7946 positions are numeric; a document without coordinates gets no geometry
+  const position = getPosition(type, doc);
+  let geometry = null;
+  if (position) {
+    geometry = CELL_TYPES.includes(type) && cellGeometry === 'polygon'
+      ? buildCellPolygon(doc)
+      : { type: 'Point', coordinates: position };
+  }
+
+  return {
+    type: 'Feature',
+    id: type === 'port' ? doc.slug : doc.name,
+    geometry,
+    properties
+  };
+}
+
+/**
+ * Convert weather documents into a FeatureCollection
+ * @param {string} type - Dataset type (city, grid, port, marine)
+ * @param {Array<Object>} docs - Weather documents
+ * @param {Object} options - Passed to toFeature
+ * @returns {Object} FeatureCollection
+ */
+export function toFeatureCollection(type, docs, options = {}) {
+  return {
+    type: 'FeatureCollection',
+    features: docs.map(doc => toFeature(type, doc, options))
+  };
+}
+
+export default {
+  GEOJSON_CONTENT_TYPE,
+  wantsGeoJSON,
+  toFeature,
+  toFeatureCollection
+};
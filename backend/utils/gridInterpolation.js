@@ -0,0 +1,214 @@
+import { haversineDistanceKm } from './helpers.js';
+import { BASE_GRID_STEP } from './gridSampling.js';
+
+/**
+ * Grid Interpolation - estimate the weather at an arbitrary point from the
+ * surrounding grid cells. Bilinear inside a complete grid square, inverse
+ * distance weighting near the edges where corners are missing. Wind is
+ * interpolated as u/v components, never as raw degrees.
+ */
+
+// Values that are not averaged as plain numbers
+const NON_INTERPOLATED = ['wind_direction_10m', 'wind_speed_10m', 'weather_code', 'utc_offset_seconds'];
+
+const IDW_POWER = 2;
+const IDW_MAX_CELLS = 4;
+
+// Closer than this, the cell's own values are used as-is
+const EXACT_MATCH_KM = 0.01;
+
+/**
+ * Build a lookup key for a grid position
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Key
+ */
+function positionKey(lat, lon) {
+  return `${lat.toFixed(4)},${lon.toFixed(4)}`;
+}
+
+/**
+ * Split a wind vector into meteorological u/v components (m/s or km/h, same as input)
+ * Direction is where the wind comes from, so a northerly wind has negative v
+ * @param {number} speed - Wind speed
+ * @param {number} direction - Direction in degrees
+ * @returns {{u: number, v: number}} Components
+ */
+export function windToComponents(speed, direction) {
+  const radians = direction * Math.PI / 180;
+  return {
+    u: -speed * Math.sin(radians),
+    v: -speed * Math.cos(radians)
+  };
+}
+
+/**
+ * Combine u/v components back into speed and meteorological direction
+ * @param {number} u - Eastward component
+ * @param {number} v - Northward component
+ * @returns {{speed: number, direction: number}} Wind
+ */
+export function componentsToWind(u, v) {
+  const speed = Math.sqrt(u * u + v * v);
+  const direction = (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360;
+  return { speed, direction };
+}
+
+/**
+ * Weights of the four corners of the grid square containing the point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Map<string, Object>} cellsByPosition - Cells keyed by position
+ * @param {number} step - Grid step in degrees
+ * @returns {Array<{cell: Object, weight: number}>|null} Weighted corners or null if incomplete
+ */
+function bilinearWeights(lat, lon, cellsByPosition, step) {
+  const lat0 = Math.floor(lat / step) * step;
+  const lon0 = Math.floor(lon / step) * step;
+  const ty = (lat - lat0) / step;
+  const tx = (lon - lon0) / step;
+
+  const corners = [
+    { lat: lat0, lon: lon0, weight: (1 - tx) * (1 - ty) },
+    { lat: lat0, lon: lon0 + step, weight: tx * (1 - ty) },
+    { lat: lat0 + step, lon: lon0, weight: (1 - tx) * ty },
+    { lat: lat0 + step, lon: lon0 + step, weight: tx * ty }
+  ];
+
+  const weighted = [];
+  for (const corner of corners) {
+    const cell = cellsByPosition.get(positionKey(corner.lat, corner.lon));
+    if (!cell || !cell.weather_data) return null;
+    weighted.push({ cell, weight: corner.weight });
+  }
+  return weighted;
+}
+
+/**
+ * Inverse distance weights of the nearest cells
+ * @param {Array<Object>} cells - Cells annotated with distance_km
+ * @returns {Array<{cell: Object, weight: number}>} Weighted cells
+ */
+function inverseDistanceWeights(cells) {
+  return cells
+    .filter(cell => cell.weather_data)
+    .sort((a, b) => a.distance_km - b.distance_km)
+    .slice(0, IDW_MAX_CELLS)
+    .map(cell => ({ cell, weight: 1 / Math.pow(cell.distance_km, IDW_POWER) }));
+}
+
+/**
+ * Weighted mean of a value over the cells that have it
+ * @param {Array<{cell: Object, weight: number}>} weighted - Weighted cells
+ * @param {Function} read - Reads a number (or undefined) from a cell
+ * @returns {number|null} Weighted mean or null
+ */
+function weightedMean(weighted, read) {
+  let sum = 0;
+  let totalWeight = 0;
+  for (const { cell, weight } of weighted) {
+    const value = read(cell);
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+    sum += value * weight;
+    totalWeight += weight;
+  }
+  return totalWeight > 0 ? sum / totalWeight : null;
+}
+
+/**
+ * Round to one decimal
+ * @param {number|null} value - Value
+ * @returns {number|null} Rounded value
+ */
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Interpolate the weather at a point from nearby grid cells
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array<Object>} cells - Grid weather documents around the point
+ * @param {number} step - Grid step in degrees
+ * @returns {Object|null} Interpolated weather with source cells, or null without usable cells
+ */
+export function interpolatePoint(lat, lon, cells, step = BASE_GRID_STEP) {
+  const annotated = cells.map(cell => ({
+    ...cell,
+    distance_km: haversineDistanceKm(lat, lon, cell.lat, cell.lon)
+  }));
+  if (annotated.length === 0) return null;
+
+  const cellsByPosition = new Map(annotated.map(cell => [positionKey(cell.lat, cell.lon), cell]));
+  const nearest = annotated.reduce((best, cell) => (cell.distance_km < best.distance_km ? cell : best));
+
+  let method;
+  let weighted;
+  if (nearest.distance_km < EXACT_MATCH_KM && nearest.weather_data) {
+    method = 'nearest';
+    weighted = [{ cell: nearest, weight: 1 }];
+  } else {
+    weighted = bilinearWeights(lat, lon, cellsByPosition, step);
+    method = 'bilinear';
+    if (!weighted) {
+      weighted = inverseDistanceWeights(annotated);
+      method = 'idw';
+    }
+  }
+  if (weighted.length === 0) return null;
+
+  const numericKeys = new Set();
+  for (const { cell } of weighted) {
+    for (const [key, value] of Object.entries(cell.weather_data)) {
+      if (typeof value === 'number' && !NON_INTERPOLATED.includes(key)) numericKeys.add(key);
+    }
+  }
+
+  const weatherData = {};
+  for (const key of numericKeys) {
+    weatherData[key] = round1(weightedMean(weighted, cell => cell.weather_data[key]));
+  }
+
+  const componentsOf = (cell) => {
+    const { wind_speed_10m: speed, wind_direction_10m: direction } = cell.weather_data;
+    if (typeof speed !== 'number' || typeof direction !== 'number') return null;
+    return windToComponents(speed, direction);
+  };
+  const u = weightedMean(weighted, cell => componentsOf(cell)?.u);
+  const v = weightedMean(weighted, cell => componentsOf(cell)?.v);
+  if (u !== null && v !== null) {
+    const wind = componentsToWind(u, v);
+    weatherData.wind_u = round1(u);
+    weatherData.wind_v = round1(v);
+    weatherData.wind_speed_10m = round1(wind.speed);
+    weatherData.wind_direction_10m = Math.round(wind.direction) % 360;
+  }
+
+  // Categorical / metadata values come from the nearest contributing cell
+  const closest = weighted.reduce((best, entry) => (entry.cell.distance_km < best.cell.distance_km ? entry : best)).cell;
+  weatherData.weather_code = closest.weather_data.weather_code ?? null;
+  weatherData.timestamp = closest.weather_data.timestamp ?? null;
+  weatherData.fetched_at = closest.weather_data.fetched_at ?? null;
+
+  const totalWeight = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+
+  return {
+    lat,
+    lon,
+    method,
+    weather_data: weatherData,
+    sources: weighted.map(({ cell, weight }) => ({
+      name: cell.name,
+      lat: cell.lat,
+      lon: cell.lon,
+      distance_km: Math.round(cell.distance_km * 10) / 10,
+      weight: Math.round((weight / totalWeight) * 1000) / 1000
+    }))
+  };
+}
+
+export default {
+  windToComponents,
+  componentsToWind,
+  interpolatePoint
+};
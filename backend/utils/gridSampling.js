@@ -0,0 +1,221 @@
+/**
+ * Grid Sampling - viewport filtering and zoom-based reduction of grid cells
+ * The collected grid has a 1-degree step; at low zoom levels cells can be
+ * thinned or averaged into coarser cells so the map draws fewer rectangles
+ */
+
+export const BASE_GRID_STEP = 1;
+
+export const GRID_REDUCE_MODES = ['none', 'thin', 'mean'];
+
+// Coarser steps for low zoom levels, checked in order
+const ZOOM_STEPS = [
+  { maxZoom: 3, step: 4 },
+  { maxZoom: 4, step: 2 }
+];
+
+/**
+ * Parse a "minLon,minLat,maxLon,maxLat" bounding box
+ * @param {string} value - Bounding box string
+ * @returns {{minLon: number, minLat: number, maxLon: number, maxLat: number}} Bounding box
+ */
+export function parseBoundingBox(value) {
+  const parts = String(value).split(',').map(part => parseFloat(part.trim()));
+
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new Error('bbox must be "minLon,minLat,maxLon,maxLat"');
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLon > maxLon || minLat > maxLat) {
+    throw new Error('bbox minimum must not exceed maximum');
+  }
+
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+/**
+ * Get the grid step to serve at a map zoom level
+ * @param {number} zoom - Leaflet zoom level
+ * @returns {number} Step in degrees
+ */
+export function getGridStepForZoom(zoom) {
+  if (!Number.isFinite(zoom)) return BASE_GRID_STEP;
+
+  const entry = ZOOM_STEPS.find(candidate => zoom <= candidate.maxZoom);
+  return entry ? entry.step : BASE_GRID_STEP;
+}
+
+/**
+ * Average wind direction via u/v components so 350° and 10° give 0°, not 180°
+ * @param {Array<Object>} samples - Weather data objects
+ * @returns {number|null} Mean direction in degrees
+ */
+function meanWindDirection(samples) {
+  let u = 0;
+  let v = 0;
+  let count = 0;
+
+  for (const sample of samples) {
+    const speed = sample.wind_speed_10m;
+    const direction = sample.wind_direction_10m;
+    if (typeof speed !== 'number' || typeof direction !== 'number') continue;
+
+    const radians = direction * Math.PI / 180;
+    u += speed * Math.sin(radians);
+    v += speed * Math.cos(radians);
+    count++;
+  }
+
+  if (count === 0) return null;
+
+  const degrees = Math.atan2(u, v) * 180 / Math.PI;
+  return Math.round(((degrees % 360) + 360) % 360);
+}
+
+/**
+ * Most frequent weather code, preferring the more severe (higher) code on ties
+ * @param {Array<Object>} samples - Weather data objects
+ * @returns {number|null} Weather code
+ */
+function modeWeatherCode(samples) {
+  const counts = new Map();
+  for (const sample of samples) {
+    if (typeof sample.weather_code !== 'number') continue;
+    counts.set(sample.weather_code, (counts.get(sample.weather_code) || 0) + 1);
+  }
+
+  let best = null;
+  for (const [code, count] of counts) {
+    if (best === null || count > counts.get(best) || (count === counts.get(best) && code > best)) {
+      best = code;
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge the weather_data of several cells into one
+ * Numeric variables are averaged, wind direction is vector-averaged,
+ * weather code uses the mode and fetched_at the most recent value
+ * @param {Array<Object>} samples - Weather data objects
+ * @returns {Object} Merged weather data
+ */
+function mergeWeatherData(samples) {
+  const merged = {};
+  const sums = {};
+  const counts = {};
+
+  for (const sample of samples) {
+    for (const [key, value] of Object.entries(sample)) {
+      if (key === 'wind_direction_10m' || key === 'weather_code') continue;
+
+      if (typeof value === 'number') {
+        sums[key] = (sums[key] || 0) + value;
+        counts[key] = (counts[key] || 0) + 1;
+      } else if (key === 'fetched_at') {
+        if (!merged.fetched_at || new Date(value) > new Date(merged.fetched_at)) {
+          merged.fetched_at = value;
+        }
+      } else if (!(key in merged)) {
+        merged[key] = value;
+      }
+    }
+  }
+
+  for (const key of Object.keys(sums)) {
+    merged[key] = Math.round((sums[key] / counts[key]) * 10) / 10;
+  }
+
+  merged.wind_direction_10m = meanWindDirection(samples);
+  merged.weather_code = modeWeatherCode(samples);
+
+  return merged;
+}
+
+/**
+ * Get the centre of the coarse block holding a coordinate
+ * Grid points are cell centres, so a block's points start at `floor(coord / step) * step`
+ * and its cells end half a base step past the last point
+ * @param {number} coord - Latitude or longitude
+ * @param {number} step - Block size in degrees
+ * @returns {number} Block centre
+ */
+function blockCenter(coord, step) {
+  return Math.floor(coord / step) * step + (step - BASE_GRID_STEP) / 2;
+}
+
+/**
+ * Reduce grid cells to a coarser step
+ * Reduced cells sit at their block's centre, so tiles of partial blocks at the
+ * bbox or grid edge still line up; they are named and located after the block,
+ * and `centroid` is the mean position of the members. A thinned cell keeps the
+ * weather of one member, named in `sampled_from`
+ * @param {Array<Object>} cells - Grid weather documents
+ * @param {number} step - Target step in degrees
+ * @param {string} mode - 'thin' keeps one cell per block, 'mean' averages the block
+ * @returns {Array<Object>} Reduced cells, each carrying its `step`
+ */
+export function reduceGridCells(cells, step, mode = 'thin') {
+  if (mode === 'none' || step <= BASE_GRID_STEP) {
+    return cells;
+  }
+
+  const blocks = new Map();
+  for (const cell of cells) {
+    const key = `${Math.floor(cell.lat / step)}:${Math.floor(cell.lon / step)}`;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(cell);
+  }
+
+  const reduced = [];
+  for (const members of blocks.values()) {
+    const lat = members.reduce((sum, cell) => sum + cell.lat, 0) / members.length;
+    const lon = members.reduce((sum, cell) => sum + cell.lon, 0) / members.length;
+    const centroid = { lat: Math.round(lat * 100) / 100, lon: Math.round(lon * 100) / 100 };
+    const centerLat = blockCenter(members[0].lat, step);
+    const centerLon = blockCenter(members[0].lon, step);
+    const blockName = `${centerLat.toFixed(1)}, ${centerLon.toFixed(1)}`;
+
+    if (mode === 'thin') {
+      const nearest = members.reduce((best, cell) => {
+        const distance = (cell.lat - lat) ** 2 + (cell.lon - lon) ** 2;
+        return distance < best.distance ? { cell, distance } : best;
+      }, { cell: members[0], distance: Infinity }).cell;
+
+      reduced.push({
+        ...nearest,
+        name: blockName,
+        lat: centerLat,
+        lon: centerLon,
+        coordinates: { latitude: centerLat, longitude: centerLon },
+        centroid,
+        sampled_from: { name: nearest.name, lat: nearest.lat, lon: nearest.lon },
+        step,
+        cell_count: members.length
+      });
+      continue;
+    }
+
+    reduced.push({
+      name: blockName,
+      lat: centerLat,
+      lon: centerLon,
+      coordinates: { latitude: centerLat, longitude: centerLon },
+      centroid,
+      step,
+      cell_count: members.length,
+      weather_data: mergeWeatherData(members.map(cell => cell.weather_data || {}))
+    });
+  }
+
+  return reduced;
+}
+
+export default {
+  BASE_GRID_STEP,
+  GRID_REDUCE_MODES,
+  parseBoundingBox,
+  getGridStepForZoom,
+  reduceGridCells
+};
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import { isDatabaseConnected } from './database.js';
+import { listCollectorRuns } from './collectorRunLog.js';
+import { isShuttingDown } from './shutdown.js';
+import {
+  getLatestCityFetchTime,
+  getLatestGridFetchTime,
+  getLatestPortTime,
+  getLatestMarineFetchTime
+} from './weatherRepository.js';
+
+/**
+ * Health Check - liveness (the process answers) and readiness (MongoDB is
+ * reachable and every dataset is recent enough to serve)
+ */
+
+const LATEST_FETCH_TIME = {
+  city: getLatestCityFetchTime,
+  grid: getLatestGridFetchTime,
+  port: getLatestPortTime,
+  marine: getLatestMarineFetchTime
+};
+
+// Datasets added after the first release: until their collector has run once,
+// a deployment without their data is still ready (reported as a warning)
+const OPTIONAL_DATASETS = ['marine'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reject a promise that does not settle in time
+ * @param {Promise} promise - Pending check
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise} Result of the check
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Round to one decimal
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Liveness report; never touches the database
+ * @returns {Object} { status, timestamp, uptime, environment }
+ */
+export function getLiveness() {
+  return {
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: config.server.nodeEnv
+  };
+}
+
+/**
+ * Ping MongoDB
+ * @returns {Promise<Object>} { connected, latency_ms, error }
+ */
+async function checkDatabase() {
+  if (!isDatabaseConnected()) {
+    return { connected: false, latency_ms: null, error: 'not connected' };
+  }
+
+  const started = process.hrtime.bigint();
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), config.health.checkTimeoutMs);
+    const latency = Number(process.hrtime.bigint() - started) / 1e6;
+    return { connected: true, latency_ms: round1(latency), error: null };
+  } catch (error) {
+    return { connected: false, latency_ms: null, error: error.message };
+  }
+}
+
+/**
+ * Compare the latest fetch of a dataset with its freshness threshold
+ * @param {string} dataset - Dataset name
+ * @returns {Promise<Object>} Dataset age report
+ */
+async function checkDataset(dataset) {
+  const freshnessHours = config.freshness[dataset];
+  const maxAgeHours = freshnessHours * config.health.staleMultiplier;
+  const report = {
+    latest: null,
+    age_hours: null,
+    freshness_hours: freshnessHours,
+    max_age_hours: maxAgeHours,
+    status: 'missing'
+  };
+
+  try {
+    const latest = await withTimeout(LATEST_FETCH_TIME[dataset](), config.health.checkTimeoutMs);
+    if (!latest) return report;
+
+    const ageHours = (Date.now() - new Date(latest).getTime()) / HOUR_MS;
+    report.latest = new Date(latest).toISOString();
+    report.age_hours = round1(ageHours);
+    if (ageHours <= freshnessHours) {
+      report.status = 'fresh';
+    } else if (ageHours <= maxAgeHours) {
+      report.status = 'stale';
+    } else {
+      report.status = 'expired';
+    }
+  } catch (error) {
+    report.status = 'error';
+    report.error = error.message;
+  }
+  return report;
+}
+
+/**
+ * Summarise the most recent collector run of a dataset
+ * @param {string} dataset - Dataset name
+ * @returns {Promise<Object|null>} Last run or null when none was recorded
+ */
+async function checkLastCollectorRun(dataset) {
+  try {
+    const [run] = await withTimeout(listCollectorRuns({ dataset, limit: 1 }), config.health.checkTimeoutMs);
+    if (!run) return null;
+
+    return {
+      status: run.status,
+      started_at: run.started_at,
+      finished_at: run.finished_at || null,
+      items_failed: run.items_failed || 0,
+      error: run.error || null
+    };
+  } catch (error) {
+    return { status: 'unknown', error: error.message };
+  }
+}
+
+/**
+ * Readiness report
+ * Ready when MongoDB answers a ping, no dataset is missing or older than
+ * freshness x HEALTH_STALE_MULTIPLIER, and the server is not shutting down.
+ * A missing optional dataset is only a warning. Collector results are informational.
+ * @returns {Promise<Object>} { ready, report }
+ */
+export async function getReadiness() {
+  const database = await checkDatabase();
+  const datasets = {};
+  const collectors = {};
+  const problems = [];
+  const warnings = [];
+
+  if (database.connected) {
+    const names = Object.keys(LATEST_FETCH_TIME);
+    const [ages, runs] = await Promise.all([
+      Promise.all(names.map(checkDataset)),
+      Promise.all(names.map(checkLastCollectorRun))
+    ]);
+
+    names.forEach((name, index) => {
+      datasets[name] = ages[index];
+      collectors[name] = runs[index];
+
+      const { status } = ages[index];
+      if (status === 'missing') {
+        (OPTIONAL_DATASETS.includes(name) ? warnings : problems).push(`${name} has no data`);
+      }
+      if (status === 'expired') problems.push(`${name} data is older than ${ages[index].max_age_hours}h`);
+      if (status === 'error') problems.push(`${name} age check failed: ${ages[index].error}`);
+    });
+  } else {
+    problems.push(`database unreachable: ${database.error}`);
+  }
+
+  // Let load balancers stop routing here while in-flight requests drain
+  if (isShuttingDown()) problems.push('shutting down');
+
+  const ready = problems.length === 0;
+
+  return {
+    ready,
+    report: {
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      problems,
+      warnings,
+      checks: {
+        database,
+        datasets,
+        collectors
+      }
+    }
+  };
+}
+
+export default {
+  getLiveness,
+  getReadiness
+};
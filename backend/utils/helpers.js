@@ -1,3 +1,5 @@
+import logger from './logger.js';
+
 /**
  * Utility helper functions
  */
@@ -79,6 +81,32 @@ export function batchArray(array, size) {
   return batches;
 }
 
+/**
+ * Separate the forecasts a collector fetched along with the current weather
+ * @param {Array} records - Records with name, lat, lon, weather_data and an optional forecast
+ * @returns {{current: Array, forecasts: Array}} Records without the forecast, and one
+ *   forecast document per record that had one
+ */
+export function splitForecasts(records) {
+  const current = [];
+  const forecasts = [];
+
+  for (const { forecast, ...record } of records) {
+    current.push(record);
+    if (forecast) {
+      forecasts.push({
+        name: record.name,
+        lat: record.lat,
+        lon: record.lon,
+        ...forecast,
+        fetched_at: record.weather_data?.fetched_at
+      });
+    }
+  }
+
+  return { current, forecasts };
+}
+
 /**
  * Retry a function with exponential backoff
  * @param {Function} fn - Function to retry
@@ -96,7 +124,7 @@ export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
       }
       
       const delay = baseDelay * Math.pow(2, attempt - 1);
-      console.log(`⏳ Retry attempt ${attempt}/${maxRetries} after ${delay}ms...`);
+      logger.warn('Retrying after error', { attempt, max_retries: maxRetries, delay_ms: delay, error: error.message });
       await sleep(delay);
     }
   }
@@ -121,19 +149,41 @@ export function formatBytes(bytes, decimals = 2) {
 }
 
 /**
- * Log with timestamp
+ * Great-circle distance between two coordinates (haversine)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+export function haversineDistanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Log a message through the structured logger
+ * Entries pick up the current log context (dataset and run_id inside a collector run)
  * @param {string} message - Message to log
- * @param {string} level - Log level (info, warn, error)
+ * @param {string} level - Log level (debug, info, warn, error)
+ * @param {Object} fields - Extra structured fields
  */
-export function logWithTimestamp(message, level = 'info') {
-  const timestamp = new Date().toISOString();
-  const prefix = {
-    info: '✓',
-    warn: '⚠',
-    error: '✗'
-  }[level] || 'ℹ';
-
-  console.log(`[${timestamp}] ${prefix} ${message}`);
+export function logWithTimestamp(message, level = 'info', fields = {}) {
+  (logger[level] || logger.info)(message, fields);
 }
 
 export default {
@@ -143,7 +193,10 @@ export default {
   hoursSince,
   isDataFresh,
   batchArray,
+  splitForecasts,
   retryWithBackoff,
   formatBytes,
+  haversineDistanceKm,
+  escapeRegExp,
   logWithTimestamp
 };
@@ -0,0 +1,184 @@
+import { getWeatherVariables } from './weatherVariables.js';
+import { getNormalizedPortWeather } from './portBulletin.js';
+
+/**
+ * History Export - serializers for streaming archived weather data
+ * Each format emits a prologue, one chunk per record and an epilogue so
+ * results can be written to the response without buffering them in memory
+ */
+
+// City and grid records: location columns, then one column per configured
+// weather variable (empty for records archived before a variable was added)
+const LOCATION_COLUMNS = [
+  'name',
+  'lat',
+  'lon',
+  'fetched_at',
+  'archived_at'
+];
+
+const PORT_COLUMNS = [
+  'port_name',
+  'slug',
+  'lat',
+  'lon',
+  'status',
+  'fetched_at',
+  'archived_at',
+  'forecast_time',
+  'weather',
+  'temperature_c',
+  'humidity_pct',
+  'wind_speed_min_knots',
+  'wind_speed_max_knots',
+  'wind_speed_knots',
+  'wind_speed_kmh',
+  'wind_direction_deg',
+  'wave_category',
+  'wave_height_min_m',
+  'wave_height_max_m',
+  'visibility_km'
+];
+
+/**
+ * Get the export columns of a dataset
+ * @param {string} type - Dataset type (city, grid, port)
+ * @returns {Array<string>} Column names
+ */
+function exportColumns(type) {
+  return type === 'port' ? PORT_COLUMNS : [...LOCATION_COLUMNS, ...getWeatherVariables()];
+}
+
+/**
+ * Convert a date-like value to an ISO string
+ * @param {Date|string|null} value - Date value
+ * @returns {string|null} ISO string or null
+ */
+function toISOString(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Flatten an archived history document into a single-level record
+ * @param {string} type - Dataset type (city, grid, port)
+ * @param {Object} doc - History document
+ * @returns {Object} Flat record keyed by export column
+ */
+export function flattenHistoryRecord(type, doc) {
+  const weather = doc.weather_data || {};
+
+  if (type === 'port') {
+    // First forecast slot; records archived before normalization carry the raw bulletin
+    const slot = getNormalizedPortWeather(doc)?.forecast[0] || {};
+    return {
+      port_name: doc.port_name,
+      slug: doc.slug,
+      lat: doc.coordinates?.lat ?? null,
+      lon: doc.coordinates?.lon ?? null,
+      status: doc.status,
+      fetched_at: toISOString(doc.fetched_at),
+      archived_at: toISOString(doc.archived_at),
+      forecast_time: toISOString(slot.time),
+      weather: slot.weather ?? null,
+      temperature_c: slot.temperature_c ?? null,
+      humidity_pct: slot.humidity_pct ?? null,
+      wind_speed_min_knots: slot.wind_speed_min_knots ?? null,
+      wind_speed_max_knots: slot.wind_speed_max_knots ?? null,
+      wind_speed_knots: slot.wind_speed_knots ?? null,
+      wind_speed_kmh: slot.wind_speed_kmh ?? null,
+      wind_direction_deg: slot.wind_direction_deg ?? null,
+      wave_category: slot.wave_category ?? null,
+      wave_height_min_m: slot.wave_height_min_m ?? null,
+      wave_height_max_m: slot.wave_height_max_m ?? null,
+      visibility_km: slot.visibility_km ?? null
+    };
+  }
+
+  const record = {
+    name: doc.name,
+    lat: doc.lat,
+    lon: doc.lon,
+    fetched_at: toISOString(weather.fetched_at),
+    archived_at: toISOString(doc.archived_at)
+  };
+  for (const variable of getWeatherVariables()) {
+    record[variable] = weather[variable] ?? null;
+  }
+  return record;
+}
+
+/**
+ * Escape a value for use in a CSV cell
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Strip Mongo-internal fields from a lean document
+ * @param {Object} doc - Lean document
+ * @returns {Object} Document without _id and __v
+ */
+function stripInternalFields(doc) {
+  const { _id, __v, ...rest } = doc;
+  return rest;
+}
+
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    open: (type) => exportColumns(type).join(',') + '\n',
+    record: (type, doc) => {
+      const flat = flattenHistoryRecord(type, doc);
+      return exportColumns(type).map(column => escapeCsvValue(flat[column])).join(',') + '\n';
+    },
+    close: () => ''
+  },
+
+  geojson: {
+    contentType: 'application/geo+json; charset=utf-8',
+    extension: 'geojson',
+    open: () => '{"type":"FeatureCollection","features":[\n',
+    record: (type, doc, index) => {
+      const properties = flattenHistoryRecord(type, doc);
+      const position = [properties.lon, properties.lat];
+      const feature = {
+        type: 'Feature',
+        geometry: position.every(Number.isFinite) ? { type: 'Point', coordinates: position } : null,
+        properties
+      };
+      return (index > 0 ? ',\n' : '') + JSON.stringify(feature);
+    },
+    close: () => '\n]}\n'
+  },
+
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    open: () => '',
+    record: (type, doc) => JSON.stringify(stripInternalFields(doc)) + '\n',
+    close: () => ''
+  }
+};
+
+/**
+ * Get the serializer for an export format
+ * @param {string} format - Format name (csv, geojson, ndjson)
+ * @returns {Object|null} Format serializer or null if unsupported
+ */
+export function getExportFormat(format) {
+  return EXPORT_FORMATS[String(format || '').toLowerCase()] || null;
+}
+
+export default {
+  EXPORT_FORMATS,
+  flattenHistoryRecord,
+  getExportFormat
+};
@@ -0,0 +1,67 @@
+import { counter, histogram } from './metrics.js';
+
+/**
+ * HTTP Metrics - request counts and latency per route
+ *
+ * Routes are labelled with their Express pattern (/api/weather/history/city/:cityName)
+ * rather than the raw URL, so path params do not create a series per value.
+ */
+
+const requestsTotal = counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const requestDuration = histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route',
+  labelNames: ['method', 'route']
+});
+
+/**
+ * Route label of a finished request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string} Route pattern, "unmatched" for 404s, "other" for static files
+ */
+function routeOf(req, res) {
+  // The SPA catch-all ('*') matches any path, so it does not name a route
+  if (req.route && req.route.path !== '*') {
+    const path = req.route.path === '/' ? '' : req.route.path;
+    return `${req.baseUrl}${path}` || '/';
+  }
+  return res.statusCode === 404 ? 'unmatched' : 'other';
+}
+
+/**
+ * Express middleware recording every request once its response is done
+ * Event streams are counted but left out of the latency histogram, since
+ * they stay open for as long as the client listens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function httpMetrics(req, res, next) {
+  const endTimer = requestDuration.startTimer({ method: req.method });
+  let recorded = false;
+
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+
+    const route = routeOf(req, res);
+    requestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    if (!String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) {
+      endTimer({ route });
+    }
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+}
+
+export default {
+  httpMetrics
+};
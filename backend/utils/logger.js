@@ -0,0 +1,137 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../config/config.js';
+
+/**
+ * Logger - leveled, structured logging
+ *
+ * `LOG_FORMAT=json` writes one JSON object per line for log pipelines;
+ * `pretty` writes readable lines for development. Fields bound with
+ * withLogContext() (request_id, dataset, run_id) are added to every entry
+ * logged inside that call, however deep, without passing a logger around.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const context = new AsyncLocalStorage();
+
+const PRETTY_LABELS = {
+  debug: 'DEBUG',
+  info: 'INFO ',
+  warn: 'WARN ',
+  error: 'ERROR'
+};
+
+/**
+ * Index of the configured minimum level (unknown values fall back to info)
+ * @returns {number} Level index
+ */
+function minimumLevel() {
+  const index = LOG_LEVELS.indexOf(config.logging.level);
+  return index === -1 ? LOG_LEVELS.indexOf('info') : index;
+}
+
+/**
+ * Turn Error values into plain objects so they survive JSON.stringify
+ * @param {Object} fields - Entry fields
+ * @returns {Object} Serialisable fields
+ */
+function serialiseFields(fields) {
+  const result = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      result[name] = { name: value.name, message: value.message, stack: value.stack };
+    } else if (value !== undefined) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Format an entry as a readable line
+ * @param {Object} entry - { time, level, msg, ...fields }
+ * @returns {string} Line (plus stack traces of logged errors)
+ */
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const stacks = [];
+  const pairs = Object.entries(fields).map(([name, value]) => {
+    if (value && typeof value === 'object' && value.stack) {
+      stacks.push(value.stack);
+      return `${name}="${value.message}"`;
+    }
+    return `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+  });
+
+  const line = `[${time}] ${PRETTY_LABELS[level]} ${msg}${pairs.length > 0 ? ` ${pairs.join(' ')}` : ''}`;
+  return [line, ...stacks].join('\n');
+}
+
+/**
+ * Write one log entry
+ * @param {string} level - Log level
+ * @param {Object} bound - Fields bound to the logger
+ * @param {string} msg - Message
+ * @param {Object} fields - Entry fields
+ */
+function write(level, bound, msg, fields) {
+  if (LOG_LEVELS.indexOf(level) < minimumLevel()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...serialiseFields({ ...context.getStore(), ...bound, ...fields })
+  };
+
+  const line = config.logging.format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+  // Everything goes to stdout so a log shipper sees one ordered stream
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Create a logger with fields added to each of its entries
+ * @param {Object} bound - Fields, e.g. { component: 'scheduler' }
+ * @returns {Object} Logger with debug/info/warn/error(msg, fields) and child(fields)
+ */
+export function createLogger(bound = {}) {
+  const log = {};
+  for (const level of LOG_LEVELS) {
+    log[level] = (msg, fields = {}) => write(level, bound, msg, fields);
+  }
+  log.child = fields => createLogger({ ...bound, ...fields });
+  return log;
+}
+
+/**
+ * Run a function with fields added to every entry logged inside it
+ * Nested calls inherit the outer fields
+ * @param {Object} fields - Context fields, e.g. { request_id }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Add fields to the current log context (no-op outside withLogContext)
+ * Used when a value, like a collector run id, is only known part way through
+ * @param {Object} fields - Fields to add
+ */
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Get the current log context
+ * @returns {Object} Context fields (empty outside withLogContext)
+ */
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+const logger = createLogger();
+
+export default logger;
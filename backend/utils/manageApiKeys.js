@@ -0,0 +1,138 @@
+import { connectDatabase, disconnectDatabase } from './database.js';
+import { API_KEY_ROLES, createApiKey, listApiKeys, revokeApiKey } from './apiKeys.js';
+import { logWithTimestamp } from './helpers.js';
+
+/**
+ * Manage API Keys
+ *
+ * Usage:
+ *   npm run apikey -- create <name> [reader|admin]   Create a key (default role: reader)
+ *   npm run apikey -- list [--all]                   List active (or all) keys
+ *   npm run apikey -- revoke <prefix>                Revoke a key by its listed prefix
+ */
+
+const USAGE = [
+  'Usage:',
+  '  npm run apikey -- create <name> [reader|admin]',
+  '  npm run apikey -- list [--all]',
+  '  npm run apikey -- revoke <prefix>'
+].join('\n');
+
+/**
+ * Create a key and print it once
+ * @param {string} name - Key name (who or what uses it)
+ * @param {string} role - Key role
+ * @returns {Promise<number>} Exit code
+ */
+async function createCommand(name, role = 'reader') {
+  if (!name) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (!API_KEY_ROLES.includes(role)) {
+    logWithTimestamp(`Role must be one of: ${API_KEY_ROLES.join(', ')}`, 'error');
+    return 1;
+  }
+
+  const { key, record } = await createApiKey({ name, role });
+  logWithTimestamp(`Created ${record.role} key "${record.name}" (${record.prefix})`, 'info');
+  console.log(`\n  ${key}\n`);
+  logWithTimestamp('Store this key now; it cannot be shown again.', 'warn');
+  return 0;
+}
+
+/**
+ * Print API keys
+ * @param {boolean} includeRevoked - Also list revoked keys
+ * @returns {Promise<number>} Exit code
+ */
+async function listCommand(includeRevoked) {
+  const keys = await listApiKeys({ includeRevoked });
+
+  if (keys.length === 0) {
+    logWithTimestamp('No API keys found', 'info');
+    return 0;
+  }
+
+  for (const key of keys) {
+    const lastUsed = key.last_used_at ? key.last_used_at.toISOString() : 'never';
+    const revoked = key.revoked_at ? ` | revoked ${key.revoked_at.toISOString()}` : '';
+    console.log(`${key.prefix}  ${key.role.padEnd(6)}  ${key.name} | last used ${lastUsed}${revoked}`);
+  }
+  return 0;
+}
+
+/**
+ * Revoke a key
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<number>} Exit code
+ */
+async function revokeCommand(prefix) {
+  if (!prefix) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const revoked = await revokeApiKey(prefix);
+  if (!revoked) {
+    logWithTimestamp(`No active key with prefix ${prefix}`, 'error');
+    return 1;
+  }
+
+  logWithTimestamp(`Revoked ${revoked.role} key "${revoked.name}" (${revoked.prefix})`, 'info');
+  return 0;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!['create', 'list', 'revoke'].includes(command)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  try {
+    await connectDatabase();
+
+    let exitCode;
+    switch (command) {
+      case 'create':
+        exitCode = await createCommand(args[0], args[1]);
+        break;
+      case 'list':
+        exitCode = await listCommand(args.includes('--all'));
+        break;
+      case 'revoke':
+        exitCode = await revokeCommand(args[0]);
+        break;
+    }
+
+    await disconnectDatabase();
+    return exitCode;
+
+  } catch (error) {
+    logWithTimestamp(`❌ ${error.message}`, 'error');
+
+    try {
+      await disconnectDatabase();
+    } catch (disconnectError) {
+      // Ignore disconnect errors
+    }
+
+    return 1;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(exitCode => {
+      process.exit(exitCode);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+export default main;
@@ -0,0 +1,272 @@
+import logger from './logger.js';
+
+/**
+ * Metrics - a small in-process Prometheus registry
+ *
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format (0.0.4). Values that live in MongoDB (data age,
+ * collection sizes, collector totals) are read by collect callbacks when
+ * /metrics is scraped rather than kept in memory.
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+const collectors = [];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string} Formatted labels, empty without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Value
+ * @returns {string} Prometheus number
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Pick the declared labels of a metric, in declaration order
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Given labels
+ * @returns {{key: string, labels: Object}} Series key and normalised labels
+ */
+function seriesOf(labelNames, labels = {}) {
+  const normalised = {};
+  for (const name of labelNames) {
+    normalised[name] = labels[name] ?? '';
+  }
+  return { key: JSON.stringify(labelNames.map(name => normalised[name])), labels: normalised };
+}
+
+/**
+ * Register a metric, or return the existing one with the same name
+ * @param {string} type - counter, gauge or histogram
+ * @param {Object} options - { name, help, labelNames, buckets }
+ * @returns {Object} Metric state
+ */
+function register(type, options) {
+  const { name, help, labelNames = [], buckets = DEFAULT_BUCKETS } = options;
+
+  if (registry.has(name)) {
+    const existing = registry.get(name);
+    if (existing.type !== type) {
+      throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+    }
+    return existing;
+  }
+
+  const metric = { type, name, help, labelNames, buckets: [...buckets].sort((a, b) => a - b), series: new Map() };
+  registry.set(name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter (monotonic total)
+ * @param {Object} options - { name, help, labelNames }
+ * @returns {{inc: Function, set: Function}} Counter
+ */
+export function counter(options) {
+  const metric = register('counter', options);
+
+  return {
+    /**
+     * Increase the counter
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount (default 1)
+     */
+    inc(labels = {}, value = 1) {
+      const { key, labels: normalised } = seriesOf(metric.labelNames, labels);
+      const series = metric.series.get(key) || { labels: normalised, value: 0 };
+      series.value += value;
+      metric.series.set(key, series);
+    },
+
+    /**
+     * Set the total kept elsewhere (e.g. in MongoDB), refreshed at scrape time
+     * @param {Object} labels - Label values
+     * @param {number} value - Current total
+     */
+    set(labels = {}, value) {
+      const { key, labels: normalised } = seriesOf(metric.labelNames, labels);
+      metric.series.set(key, { labels: normalised, value });
+    }
+  };
+}
+
+/**
+ * Create a gauge (value that can go up and down)
+ * @param {Object} options - { name, help, labelNames }
+ * @returns {{set: Function, inc: Function, reset: Function}} Gauge
+ */
+export function gauge(options) {
+  const metric = register('gauge', options);
+
+  const set = (labels = {}, value) => {
+    const { key, labels: normalised } = seriesOf(metric.labelNames, labels);
+    metric.series.set(key, { labels: normalised, value });
+  };
+
+  return {
+    set,
+
+    /**
+     * Change the gauge by an amount
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount (default 1, negative to decrease)
+     */
+    inc(labels = {}, value = 1) {
+      const { key } = seriesOf(metric.labelNames, labels);
+      set(labels, (metric.series.get(key)?.value || 0) + value);
+    },
+
+    /**
+     * Drop every series, e.g. before refilling the gauge at scrape time
+     */
+    reset() {
+      metric.series.clear();
+    }
+  };
+}
+
+/**
+ * Create a histogram (cumulative buckets, sum and count)
+ * @param {Object} options - { name, help, labelNames, buckets }
+ * @returns {{observe: Function, startTimer: Function}} Histogram
+ */
+export function histogram(options) {
+  const metric = register('histogram', options);
+
+  const observe = (labels = {}, value) => {
+    const { key, labels: normalised } = seriesOf(metric.labelNames, labels);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { labels: normalised, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+      metric.series.set(key, series);
+    }
+
+    metric.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  };
+
+  return {
+    observe,
+
+    /**
+     * Start timing an operation
+     * @param {Object} labels - Label values known at the start
+     * @returns {Function} end(extraLabels) - records the elapsed seconds and returns them
+     */
+    startTimer(labels = {}) {
+      const started = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    }
+  };
+}
+
+/**
+ * Register a callback that refreshes gauges right before each scrape
+ * @param {Function} collect - Async function; errors are logged, not thrown
+ */
+export function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * Render one metric in the exposition format
+ * @param {Object} metric - Metric state
+ * @returns {Array<string>} Lines
+ */
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+  for (const series of metric.series.values()) {
+    if (metric.type !== 'histogram') {
+      lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+      continue;
+    }
+
+    metric.buckets.forEach((bound, index) => {
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+  }
+
+  return lines;
+}
+
+// ---------- Process metrics ----------
+
+const processStartTime = gauge({ name: 'process_start_time_seconds', help: 'Start time of the process since unix epoch in seconds' });
+const residentMemory = gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes' });
+const heapUsed = gauge({ name: 'nodejs_heap_used_bytes', help: 'V8 heap used in bytes' });
+
+processStartTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+registerCollector(() => {
+  const memory = process.memoryUsage();
+  residentMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+});
+
+/**
+ * Run the collect callbacks and render every registered metric
+ * @returns {Promise<string>} Metrics in the Prometheus text format
+ */
+export async function renderMetrics() {
+  await Promise.all(collectors.map(async (collect) => {
+    try {
+      await collect();
+    } catch (error) {
+      logger.error('Error collecting metrics', { error });
+    }
+  }));
+
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(...renderMetric(metric));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export default {
+  METRICS_CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  counter,
+  gauge,
+  histogram,
+  registerCollector,
+  renderMetrics
+};
@@ -0,0 +1,227 @@
+/**
+ * Port Bulletin - normalize BMKG maritime port bulletins
+ *
+ * BMKG returns text for most values ("0.5 - 1.25 m", "10 km", wind from
+ * "Barat Laut", "2024-01-01 06:00 UTC"). The port collector converts every
+ * forecast slot into typed fields and keeps the bulletin as `raw_data`;
+ * documents saved before that still carry the bulletin in `weather_data`
+ * and are normalized when read.
+ */
+
+const KMH_PER_KNOT = 1.852;
+
+// BMKG compass points -> degrees the wind comes from
+const WIND_DIRECTION_DEGREES = {
+  'Utara': 0,
+  'Utara-Timur Laut': 22.5,
+  'Timur Laut': 45,
+  'Timur-Timur Laut': 67.5,
+  'Timur': 90,
+  'Tenggara-Timur': 112.5,
+  'Tenggara': 135,
+  'Selatan-Tenggara': 157.5,
+  'Selatan': 180,
+  'Selatan-Barat Daya': 202.5,
+  'Barat Daya': 225,
+  'Barat-Barat Daya': 247.5,
+  'Barat': 270,
+  'Barat-Barat Laut': 292.5,
+  'Barat Laut': 315,
+  'Utara-Barat Laut': 337.5
+};
+
+// Indonesian time zones used in bulletin times, as hours ahead of UTC
+const TIME_ZONE_OFFSETS = { UTC: 0, WIB: 7, WITA: 8, WIT: 9 };
+
+/**
+ * Read the first number in a value
+ * @param {number|string|null} value - Number or text such as "10 km"
+ * @returns {number|null} Number, or null when there is none
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value ?? '').replace(',', '.').match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Convert an ISO date string to a Date
+ * @param {string|null} value - Date text
+ * @returns {Date|null} Date, or null when missing or unparseable
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Round to two decimals
+ * @param {number|null} value - Value
+ * @returns {number|null} Rounded value
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert a BMKG wind direction to degrees
+ * @param {string} direction - Compass point, e.g. "Barat Laut"
+ * @returns {number|null} Degrees the wind comes from, or null when unknown
+ */
+export function windDirectionToDegrees(direction) {
+  const name = String(direction ?? '').trim().replace(/\s*-\s*/g, '-');
+  return WIND_DIRECTION_DEGREES[name] ?? null;
+}
+
+/**
+ * Parse a bulletin time such as "2024-01-01 06:00 UTC"
+ * Times without a zone are taken as UTC
+ * @param {string} value - Bulletin time
+ * @returns {Date|null} Time, or null when unparseable
+ */
+export function parseBulletinTime(value) {
+  const match = String(value ?? '').trim()
+    .match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?\s*(UTC|WIB|WITA|WIT)?$/i);
+  if (!match) return null;
+
+  const [, date, hours, minutes, seconds = '00', zone = 'UTC'] = match;
+  const time = new Date(`${date}T${hours}:${minutes}:${seconds}Z`);
+  if (isNaN(time.getTime())) return null;
+
+  return new Date(time.getTime() - TIME_ZONE_OFFSETS[zone.toUpperCase()] * 3600000);
+}
+
+/**
+ * Parse a range such as "0.5 - 1.25 m", "< 0.5 m", "> 6 m" or a single value
+ * @param {number|string} value - Range text or number
+ * @returns {{min: number|null, max: number|null}} Range
+ */
+function parseRange(value) {
+  const text = String(value ?? '').replace(/,/g, '.');
+  const numbers = (text.match(/\d+(\.\d+)?/g) || []).map(Number);
+  if (numbers.length === 0) return { min: null, max: null };
+
+  if (numbers.length >= 2) return { min: numbers[0], max: numbers[1] };
+  if (text.trim().startsWith('<')) return { min: 0, max: numbers[0] };
+  if (text.trim().startsWith('>')) return { min: numbers[0], max: null };
+  return { min: numbers[0], max: numbers[0] };
+}
+
+/**
+ * Parse a wave height range such as "0.5 - 1.25 m", "< 0.5 m" or "> 6 m"
+ * @param {number|string} value - Wave height text
+ * @returns {{min: number|null, max: number|null}} Range in m
+ */
+export function parseWaveHeight(value) {
+  return parseRange(value);
+}
+
+/**
+ * Parse a wind speed such as 12, "5 - 15" or "> 25"
+ * @param {number|string} value - Wind speed in knots
+ * @returns {{min: number|null, max: number|null}} Range in knots
+ */
+export function parseWindSpeed(value) {
+  return parseRange(value);
+}
+
+/**
+ * Normalize the tides of a slot
+ * @param {Array|string|null} tides - BMKG tides, a list of { time, height } or text
+ * @returns {Array<{time: string, height_m: number|null}>} Tides; text is kept as `tides_text`
+ */
+function normalizeTides(tides) {
+  if (!Array.isArray(tides)) return [];
+
+  return tides
+    .filter(tide => tide && tide.time)
+    .map(tide => ({
+      time: String(tide.time),
+      height_m: toNumber(tide.height)
+    }));
+}
+
+/**
+ * Normalize one BMKG forecast slot
+ * Wind speeds in BMKG bulletins are in knots, either one value or a range;
+ * the upper bound is reported as the wind speed
+ * @param {Object} slot - Forecast slot
+ * @returns {Object} Typed slot
+ */
+export function normalizePortSlot(slot) {
+  const windSpeed = parseWindSpeed(slot.wind_speed);
+  const windSpeedKnots = windSpeed.max ?? windSpeed.min;
+  const waveHeight = parseWaveHeight(slot.wave_height);
+
+  return {
+    time: parseBulletinTime(slot.time),
+    weather: slot.weather ?? null,
+    temperature_c: toNumber(slot.temp_avg),
+    humidity_pct: toNumber(slot.rh_avg),
+    wind_from: slot.wind_from ?? null,
+    wind_to: slot.wind_to ?? null,
+    wind_direction_deg: windDirectionToDegrees(slot.wind_from),
+    wind_speed_min_knots: windSpeed.min,
+    wind_speed_max_knots: windSpeed.max,
+    wind_speed_knots: windSpeedKnots,
+    wind_speed_kmh: windSpeedKnots === null ? null : round(windSpeedKnots * KMH_PER_KNOT),
+    wave_category: slot.wave_cat ?? null,
+    wave_height_min_m: waveHeight.min,
+    wave_height_max_m: waveHeight.max,
+    visibility_km: toNumber(slot.visibility),
+    tides: normalizeTides(slot.tides),
+    tides_text: typeof slot.tides === 'string' && slot.tides.trim() ? slot.tides.trim() : null
+  };
+}
+
+/**
+ * Normalize a BMKG port bulletin
+ * The slots of every `forecast_dayN` list are joined, day by day
+ * @param {Object} bulletin - BMKG bulletin
+ * @returns {Object|null} { issued, valid_from, valid_to, forecast }, or null without a bulletin
+ */
+export function normalizePortBulletin(bulletin) {
+  if (!bulletin || typeof bulletin !== 'object') return null;
+
+  const days = Object.keys(bulletin)
+    .filter(key => /^forecast_day\d+$/.test(key) && Array.isArray(bulletin[key]))
+    .sort((a, b) => Number(a.slice(12)) - Number(b.slice(12)));
+
+  return {
+    issued: parseBulletinTime(bulletin.issued) ?? toDate(bulletin.issued),
+    valid_from: parseBulletinTime(bulletin.valid_from) ?? toDate(bulletin.valid_from),
+    valid_to: parseBulletinTime(bulletin.valid_to) ?? toDate(bulletin.valid_to),
+    forecast: days.flatMap(day => bulletin[day].filter(Boolean).map(normalizePortSlot))
+  };
+}
+
+/**
+ * Check whether port weather data is already normalized
+ * @param {Object|null} weatherData - Port `weather_data`
+ * @returns {boolean} True when it has a typed `forecast` list
+ */
+export function isNormalizedPortWeather(weatherData) {
+  return Array.isArray(weatherData?.forecast);
+}
+
+/**
+ * Get the normalized weather data of a port document
+ * @param {Object} doc - Port weather document, current or archived
+ * @returns {Object|null} Normalized weather data
+ */
+export function getNormalizedPortWeather(doc) {
+  const weatherData = doc?.weather_data ?? null;
+  return isNormalizedPortWeather(weatherData) ? weatherData : normalizePortBulletin(weatherData);
+}
+
+export default {
+  windDirectionToDegrees,
+  parseBulletinTime,
+  parseWaveHeight,
+  parseWindSpeed,
+  normalizePortSlot,
+  normalizePortBulletin,
+  isNormalizedPortWeather,
+  getNormalizedPortWeather
+};
@@ -0,0 +1,202 @@
+import config from '../config/config.js';
+import RateLimitBucket from '../models/RateLimitBucket.js';
+import { sendError } from './apiErrors.js';
+import logger from './logger.js';
+
+/**
+ * Rate Limiter - token bucket per client (API key, or IP for anonymous
+ * requests). Every bucket holds `capacity` tokens and refills completely in
+ * `windowSeconds`; each route spends its own cost per request. Buckets live in
+ * memory, or in MongoDB when several server instances must share them.
+ */
+
+// Memory store buckets idle longer than this are full again and can be dropped
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Refill a bucket and try to take tokens from it
+ * @param {Object|null} bucket - { tokens, updatedAt } or null for a new (full) bucket
+ * @param {number} cost - Tokens to take
+ * @param {Object} limits - { capacity, refillPerMs }
+ * @param {number} now - Current time in ms
+ * @returns {{allowed: boolean, tokens: number}} Outcome and tokens left
+ */
+function takeTokens(bucket, cost, limits, now) {
+  const { capacity, refillPerMs } = limits;
+  const elapsed = bucket ? Math.max(now - bucket.updatedAt, 0) : 0;
+  const available = bucket ? Math.min(capacity, bucket.tokens + elapsed * refillPerMs) : capacity;
+  const allowed = available >= cost;
+
+  return {
+    allowed,
+    tokens: allowed ? available - cost : available
+  };
+}
+
+/**
+ * In-memory bucket store (single instance)
+ * @returns {Object} Store with consume(key, cost, limits) and close()
+ */
+function createMemoryStore() {
+  const buckets = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now >= bucket.fullAt) buckets.delete(key);
+    }
+  }, MEMORY_SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async consume(key, cost, limits) {
+      const now = Date.now();
+      const result = takeTokens(buckets.get(key) || null, cost, limits, now);
+
+      buckets.set(key, {
+        tokens: result.tokens,
+        updatedAt: now,
+        fullAt: now + (limits.capacity - result.tokens) / limits.refillPerMs
+      });
+      return result;
+    },
+
+    close() {
+      clearInterval(sweep);
+    }
+  };
+}
+
+/**
+ * MongoDB bucket store (shared between instances)
+ * Refill and take happen in one atomic pipeline update
+ * @returns {Object} Store with consume(key, cost, limits) and close()
+ */
+function createMongoStore() {
+  return {
+    async consume(key, cost, limits) {
+      const { capacity, refillPerMs } = limits;
+      const now = new Date();
+
+      const refilled = {
+        $min: [
+          capacity,
+          {
+            $add: [
+              { $ifNull: ['$tokens', capacity] },
+              { $multiply: [{ $max: [{ $subtract: [now, { $ifNull: ['$updated_at', now] }] }, 0] }, refillPerMs] }
+            ]
+          }
+        ]
+      };
+
+      const bucket = await RateLimitBucket.findOneAndUpdate(
+        { _id: key },
+        [
+          { $set: { tokens: refilled } },
+          { $set: { allowed: { $gte: ['$tokens', cost] } } },
+          {
+            $set: {
+              tokens: { $cond: ['$allowed', { $subtract: ['$tokens', cost] }, '$tokens'] },
+              updated_at: now
+            }
+          },
+          {
+            $set: {
+              expires_at: {
+                $add: [now, { $divide: [{ $subtract: [capacity, '$tokens'] }, refillPerMs] }]
+              }
+            }
+          }
+        ],
+        { upsert: true, new: true, lean: true }
+      );
+
+      return { allowed: bucket.allowed, tokens: bucket.tokens };
+    },
+
+    close() {}
+  };
+}
+
+let store = null;
+
+/**
+ * Get the configured bucket store, created on first use
+ * @returns {Object} Bucket store
+ */
+function getStore() {
+  if (!store) {
+    store = config.rateLimit.store === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Identify the client a request is charged to
+ * @param {Object} req - Express request
+ * @returns {{key: string, capacity: number}} Bucket key and size
+ */
+function identifyClient(req) {
+  if (req.apiKey) {
+    return { key: `key:${req.apiKey.prefix}`, capacity: config.rateLimit.keyCapacity };
+  }
+  return { key: `ip:${req.ip}`, capacity: config.rateLimit.capacity };
+}
+
+/**
+ * Express middleware charging a route's cost against the client's bucket
+ * Adds RateLimit-Limit / -Remaining / -Reset / -Policy headers and answers 429
+ * with Retry-After when the bucket is empty. Admin keys are not limited.
+ * @param {number} cost - Tokens per request (default 1)
+ * @returns {Function} Express middleware
+ */
+export function rateLimit(cost = 1) {
+  return async (req, res, next) => {
+    if (!config.rateLimit.enabled || req.apiKey?.role === 'admin') {
+      return next();
+    }
+
+    const { key, capacity } = identifyClient(req);
+    const { windowSeconds } = config.rateLimit;
+    const refillPerMs = capacity / (windowSeconds * 1000);
+    // A route costing more than a full bucket could never be called
+    const charged = Math.min(cost, capacity);
+
+    let result;
+    try {
+      result = await getStore().consume(key, charged, { capacity, refillPerMs });
+    } catch (error) {
+      // Fail open: a broken limiter store must not take the API down
+      logger.error('Rate limiter store error', { error });
+      return next();
+    }
+
+    const secondsUntil = (tokens) => Math.ceil(Math.max(tokens, 0) / refillPerMs / 1000);
+
+    res.set('RateLimit-Policy', `${capacity};w=${windowSeconds}`);
+    res.set('RateLimit-Limit', String(capacity));
+    res.set('RateLimit-Remaining', String(Math.floor(result.tokens)));
+    res.set('RateLimit-Reset', String(secondsUntil(capacity - result.tokens)));
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(secondsUntil(charged - result.tokens)));
+      return sendError(res, 429, 'Too many requests, please retry later');
+    }
+
+    next();
+  };
+}
+
+/**
+ * Stop the bucket store's background work; a new store is created on next use
+ */
+export function stopRateLimiter() {
+  store?.close();
+  store = null;
+}
+
+export default {
+  rateLimit,
+  stopRateLimiter
+};
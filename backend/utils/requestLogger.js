@@ -0,0 +1,67 @@
+import { randomUUID } from 'crypto';
+import logger, { withLogContext } from './logger.js';
+
+/**
+ * Request Logger - gives every request an id and logs it once it is done
+ *
+ * The id is taken from an incoming `X-Request-Id` header (so a proxy's id
+ * carries through) or generated, echoed in the response header and error
+ * bodies, and attached to every log entry written while handling the request.
+ */
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming ids are logged and echoed, so only accept short, plain tokens
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Hide API keys passed in the query string
+ * @param {string} url - Request URL
+ * @returns {string} URL safe to log
+ */
+export function redactUrl(url) {
+  return url.replace(/([?&]api_key=)[^&]*/, '$1***');
+}
+
+/**
+ * Express middleware assigning `req.id` and logging the finished request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requestLogger(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const started = process.hrtime.bigint();
+  let logged = false;
+
+  const log = () => {
+    if (logged) return;
+    logged = true;
+
+    const fields = {
+      request_id: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+      ip: req.ip
+    };
+    if (!res.writableFinished) fields.aborted = true;
+
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('request', fields);
+  };
+
+  res.on('finish', log);
+  res.on('close', log);
+  withLogContext({ request_id: req.id }, next);
+}
+
+export default {
+  REQUEST_ID_HEADER,
+  redactUrl,
+  requestLogger
+};
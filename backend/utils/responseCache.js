@@ -0,0 +1,141 @@
+import NodeCache from 'node-cache';
+import config from '../config/config.js';
+import dataEvents from './dataEvents.js';
+
+/**
+ * Response Cache - server-side cache for API responses backed by node-cache
+ * Entries are keyed by dataset tags, URL (including query) and Accept header,
+ * and are dropped whenever one of their datasets is saved
+ */
+
+const cache = new NodeCache({
+  useClones: false,
+  checkperiod: 600
+});
+
+const totals = { hits: 0, misses: 0 };
+const counters = {};
+
+// Representation headers replayed on a HIT; the rest (request id, rate limit
+// quota, validators, ...) is set again for every request
+const CACHED_HEADERS = ['content-type', 'vary', 'x-grid-step'];
+
+/**
+ * Increment the overall and per-dataset hit or miss counters
+ * @param {Array<string>} datasets - Dataset tags
+ * @param {string} outcome - 'hits' or 'misses'
+ */
+function count(datasets, outcome) {
+  totals[outcome]++;
+  for (const dataset of datasets) {
+    if (!counters[dataset]) {
+      counters[dataset] = { hits: 0, misses: 0 };
+    }
+    counters[dataset][outcome]++;
+  }
+}
+
+/**
+ * Build the cache key for a request
+ * @param {Array<string>} datasets - Dataset tags
+ * @param {Object} req - Express request
+ * @returns {string} Cache key
+ */
+function buildKey(datasets, req) {
+  return `${datasets.join('+')}|${req.originalUrl}|${req.get('Accept') || ''}`;
+}
+
+/**
+ * Express middleware caching successful responses of a route
+ * @param {Array<string>} datasets - Datasets the response is derived from
+ * @param {number} ttl - Time to live in seconds
+ * @returns {Function} Express middleware
+ */
+export function cacheResponse(datasets, ttl) {
+  return (req, res, next) => {
+    if (!config.cache.enabled || req.method !== 'GET') {
+      return next();
+    }
+
+    const key = buildKey(datasets, req);
+    const cached = cache.get(key);
+
+    if (cached) {
+      count(datasets, 'hits');
+      res.set(cached.headers);
+      res.set('X-Cache', 'HIT');
+      return res.status(cached.status).send(cached.body);
+    }
+
+    count(datasets, 'misses');
+    res.set('X-Cache', 'MISS');
+
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      if (res.statusCode === 200 && body !== undefined) {
+        const headers = {};
+        for (const [name, value] of Object.entries(res.getHeaders())) {
+          if (CACHED_HEADERS.includes(name)) headers[name] = value;
+        }
+        cache.set(key, { status: res.statusCode, headers, body }, ttl);
+      }
+      res.send = send;
+      return send(body);
+    };
+
+    next();
+  };
+}
+
+/**
+ * Drop every cached response derived from a dataset
+ * @param {string} dataset - Dataset name
+ * @returns {number} Number of entries removed
+ */
+export function invalidateDataset(dataset) {
+  const keys = cache.keys().filter(key => key.split('|')[0].split('+').includes(dataset));
+  return cache.del(keys);
+}
+
+/**
+ * Get cache hit/miss counters
+ * @returns {Object} Totals and per-dataset counters
+ */
+export function getCacheStats() {
+  const requests = totals.hits + totals.misses;
+
+  return {
+    enabled: config.cache.enabled,
+    keys: cache.keys().length,
+    hits: totals.hits,
+    misses: totals.misses,
+    hitRate: requests > 0 ? Math.round((totals.hits / requests) * 1000) / 10 : null,
+    datasets: counters
+  };
+}
+
+/**
+ * Remove all cached responses
+ */
+export function flushResponseCache() {
+  cache.flushAll();
+}
+
+/**
+ * Stop the cache's expiry check timer
+ */
+export function closeResponseCache() {
+  cache.close();
+}
+
+dataEvents.on('saved', ({ dataset }) => {
+  invalidateDataset(dataset);
+});
+
+export default {
+  cacheResponse,
+  invalidateDataset,
+  getCacheStats,
+  flushResponseCache,
+  closeResponseCache
+};
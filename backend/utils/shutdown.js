@@ -0,0 +1,65 @@
+import logger from './logger.js';
+
+/**
+ * Shutdown - helpers for stopping the API server without cutting off requests
+ */
+
+const IDLE_SWEEP_MS = 100;
+
+let shuttingDown = false;
+
+/**
+ * Flag the process as shutting down, so readiness reports it
+ */
+export function markShuttingDown() {
+  shuttingDown = true;
+}
+
+/**
+ * Whether a shutdown has started
+ * @returns {boolean} True once markShuttingDown() was called
+ */
+export function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Stop accepting connections and wait for in-flight requests to finish
+ * Keep-alive connections are closed as soon as they go idle; connections
+ * still busy when the timeout expires are destroyed.
+ * @param {Object} server - Node HTTP server
+ * @param {number} timeoutMs - Drain timeout in milliseconds
+ * @returns {Promise<boolean>} True when every request finished in time
+ */
+export function closeHttpServer(server, timeoutMs) {
+  return new Promise((resolve) => {
+    let drained = true;
+
+    // A connection becomes idle once its request finishes; close it then
+    const idleSweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+
+    const timer = setTimeout(() => {
+      drained = false;
+      logger.warn('Drain timeout reached, closing remaining connections', { timeout_ms: timeoutMs });
+      server.closeAllConnections();
+    }, timeoutMs);
+    timer.unref();
+
+    server.close((error) => {
+      clearTimeout(timer);
+      clearInterval(idleSweep);
+      if (error && error.code !== 'ERR_SERVER_NOT_RUNNING') {
+        logger.error('Error closing HTTP server', { error });
+        drained = false;
+      }
+      resolve(drained);
+    });
+    server.closeIdleConnections();
+  });
+}
+
+export default {
+  markShuttingDown,
+  isShuttingDown,
+  closeHttpServer
+};
@@ -0,0 +1,95 @@
+/**
+ * Upstream Errors - classify failed weather API requests
+ *
+ * Collectors decide from the class whether a request is worth retrying and
+ * how long to wait: a 429 carries its own wait in `Retry-After`, a 400 will
+ * fail the same way every time.
+ */
+
+export const UPSTREAM_ERROR_KINDS = ['rate_limited', 'server', 'timeout', 'network', 'client', 'invalid_response', 'unknown'];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number|null} value - Delay in seconds or an HTTP date
+ * @param {number} now - Current time in ms (for HTTP dates)
+ * @returns {number|null} Delay in ms, or null when missing or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return null;
+  return Math.max(date - now, 0);
+}
+
+/**
+ * Error for a response that arrived but cannot be used (wrong shape, no data)
+ */
+export class InvalidResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidResponseError';
+  }
+}
+
+/**
+ * Classify an error thrown by an axios request
+ * @param {Error} error - Request error
+ * @returns {{kind: string, retryable: boolean, status: number|null, retryAfterMs: number|null, message: string}}
+ *   Classification; `message` includes the reason given by the API, if any
+ */
+export function classifyUpstreamError(error) {
+  const status = error.response?.status ?? null;
+  const reason = error.response?.data?.reason;
+  const message = reason ? `${error.message}: ${reason}` : error.message;
+  const result = { status, retryAfterMs: null, message };
+
+  if (error instanceof InvalidResponseError) {
+    return { ...result, kind: 'invalid_response', retryable: true };
+  }
+
+  if (status === 429) {
+    return {
+      ...result,
+      kind: 'rate_limited',
+      retryable: true,
+      retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after'])
+    };
+  }
+
+  if (status !== null) {
+    if (status >= 500) {
+      return { ...result, kind: 'server', retryable: true, retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after']) };
+    }
+    // 408 Request Timeout is worth another try; other 4xx repeat themselves
+    return status === 408
+      ? { ...result, kind: 'timeout', retryable: true }
+      : { ...result, kind: 'client', retryable: false };
+  }
+
+  if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+    return { ...result, kind: 'timeout', retryable: true };
+  }
+
+  if (NETWORK_ERROR_CODES.includes(error.code) || error.request) {
+    return { ...result, kind: 'network', retryable: true };
+  }
+
+  // Not a request error at all (e.g. a bug while processing the response)
+  return { ...result, kind: 'unknown', retryable: false };
+}
+
+export default {
+  UPSTREAM_ERROR_KINDS,
+  InvalidResponseError,
+  parseRetryAfter,
+  classifyUpstreamError
+};
@@ -0,0 +1,196 @@
+import { sendError } from './apiErrors.js';
+
+/**
+ * Validation - schema-based checks for route params, query and body
+ *
+ * A schema lists fields per request location using a JSON-Schema-like
+ * vocabulary, e.g.
+ *   { query: { limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } } }
+ * Supported keywords: type (string|integer|number|boolean|array), required,
+ * default, enum, minimum, maximum, minLength, maxLength, format ('date-time'),
+ * items (for arrays, comma-separated in query strings), parse (custom parser
+ * that throws on invalid input) and description. A schema-level
+ * check(values) can add cross-field errors.
+ *
+ * Valid, coerced values are exposed as req.valid = { params, query, body }.
+ */
+
+// Query params accepted on every route (authentication, cache busting)
+const GLOBAL_QUERY_PARAMS = ['api_key', '_t'];
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Coerce and check one value against its rule
+ * @param {*} raw - Raw value
+ * @param {Object} rule - Field rule
+ * @param {boolean} fromString - Value comes from the URL or a form body and may need coercion
+ * @returns {{value: *}|{error: string}} Coerced value or error message
+ */
+function checkValue(raw, rule, fromString) {
+  let value = raw;
+
+  if (rule.parse) {
+    try {
+      return { value: rule.parse(value) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      if (fromString && typeof value === 'string' && value.trim() !== '') {
+        value = Number(value);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return { error: 'must be an integer' };
+      }
+      break;
+    }
+    case 'boolean': {
+      if (fromString && (value === 'true' || value === 'false')) {
+        value = value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        return { error: 'must be true or false' };
+      }
+      break;
+    }
+    case 'array': {
+      if (fromString && typeof value === 'string') {
+        value = value.split(',').map(item => item.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(value)) {
+        return { error: 'must be a list' };
+      }
+      if (rule.items) {
+        for (const item of value) {
+          const result = checkValue(item, rule.items, fromString);
+          if (result.error) return { error: `item "${item}" ${result.error}` };
+        }
+      }
+      return { value };
+    }
+    default: {
+      if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+      }
+      value = value.trim();
+
+      if (rule.format === 'date-time') {
+        const date = new Date(value);
+        if (!ISO_DATE.test(value) || isNaN(date.getTime())) {
+          return { error: 'must be an ISO 8601 date (e.g. 2024-01-31 or 2024-01-31T12:00:00Z)' };
+        }
+        return { value: date };
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { error: `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `must be one of: ${rule.enum.join(', ')}` };
+  }
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    return { error: rule.maximum !== undefined ? `must be between ${rule.minimum} and ${rule.maximum}` : `must be at least ${rule.minimum}` };
+  }
+  if (rule.maximum !== undefined && value > rule.maximum) {
+    return { error: rule.minimum !== undefined ? `must be between ${rule.minimum} and ${rule.maximum}` : `must be at most ${rule.maximum}` };
+  }
+
+  return { value };
+}
+
+/**
+ * Validate one request location against its field rules
+ * @param {Object} source - req.params, req.query or req.body
+ * @param {Object} fields - Field rules
+ * @param {string} location - 'params', 'query' or 'body'
+ * @param {Array} details - Collected errors
+ * @param {boolean} formBody - Body is urlencoded, so its values are strings
+ * @returns {Object} Coerced values
+ */
+function validateLocation(source, fields, location, details, formBody) {
+  const values = {};
+  const input = source || {};
+  const fromString = location !== 'body' || formBody;
+
+  for (const name of Object.keys(input)) {
+    const isGlobal = location === 'query' && GLOBAL_QUERY_PARAMS.includes(name);
+    if (!fields[name] && !isGlobal) {
+      details.push({ location, field: name, message: 'is not a recognised parameter' });
+    }
+  }
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const raw = input[name];
+
+    if (raw === undefined || raw === '') {
+      if (rule.required) {
+        details.push({ location, field: name, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        values[name] = rule.default;
+      }
+      continue;
+    }
+
+    if (location !== 'body' && Array.isArray(raw)) {
+      details.push({ location, field: name, message: 'must be given only once' });
+      continue;
+    }
+
+    const result = checkValue(raw, rule, fromString);
+    if (result.error) {
+      details.push({ location, field: name, message: result.error });
+    } else {
+      values[name] = result.value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Express middleware validating a request against a schema
+ * Responds 400 VALIDATION_ERROR listing every invalid field
+ * @param {Object} schema - { params, query, body, check }
+ * @returns {Function} Express middleware
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+    const valid = {};
+    const formBody = Boolean(req.is('application/x-www-form-urlencoded'));
+
+    for (const location of LOCATIONS) {
+      valid[location] = validateLocation(req[location], schema[location] || {}, location, details, formBody);
+    }
+
+    if (details.length === 0 && schema.check) {
+      details.push(...schema.check(valid));
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 400, 'Invalid request', { details });
+    }
+
+    req.valid = valid;
+    next();
+  };
+}
+
+export default {
+  validate
+};
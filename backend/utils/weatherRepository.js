@@ -1,16 +1,197 @@
 import CityWeather from '../models/CityWeather.js';
 import GridWeather from '../models/GridWeather.js';
 import PortWeather from '../models/PortWeather.js';
+import MarineWeather from '../models/MarineWeather.js';
 import { CityMetadata, GridMetadata, PortMetadata } from '../models/Metadata.js';
 import { CityWeatherHistory, GridWeatherHistory, PortWeatherHistory } from '../models/WeatherHistory.js';
-import { isDataFresh } from './helpers.js';
+import { CityForecast, GridForecast } from '../models/Forecast.js';
+import { isDataFresh, escapeRegExp, haversineDistanceKm } from './helpers.js';
+import DataUpdate from '../models/DataUpdate.js';
+import Snapshot from '../models/Snapshot.js';
+import mongoose from 'mongoose';
+import { emitDataSaved, PROCESS_ORIGIN } from './dataEvents.js';
 import config from '../config/config.js';
+import { histogram } from './metrics.js';
+import { getNormalizedPortWeather } from './portBulletin.js';
+import logger from './logger.js';
 
 /**
  * Weather Repository - MongoDB operations for weather data
  * Includes automatic archival of old data to history collections
  */
 
+const queryDuration = histogram({
+  name: 'mongodb_query_duration_seconds',
+  help: 'Duration of MongoDB operations issued by the weather repository',
+  labelNames: ['collection', 'operation', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+/**
+ * Run a MongoDB operation and record its duration
+ * @param {Object} model - Mongoose model the operation runs on
+ * @param {string} operation - Operation name (find, bulkWrite, aggregate, ...)
+ * @param {Function} execute - Starts the operation and returns its promise or query
+ * @returns {Promise<*>} Operation result
+ */
+async function timed(model, operation, execute) {
+  const end = queryDuration.startTimer({ collection: model.collection.collectionName, operation });
+  try {
+    const result = await execute();
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    throw error;
+  }
+}
+
+// ===================== SNAPSHOTS =====================
+
+// Collections replaced as a whole on every save; readers only see the active version
+export const SNAPSHOT_MODELS = {
+  grid_weather: GridWeather,
+  grid_metadata: GridMetadata,
+  marine_weather: MarineWeather
+};
+
+// Bookkeeping field kept out of API responses
+const HIDDEN_FIELDS = '-_id -snapshot';
+
+// Versions younger than this may belong to a concurrent write that has not
+// flipped the pointer yet (cron and the in-process scheduler, several instances)
+const SNAPSHOT_PRUNE_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Filter matching the documents of the active snapshot
+ * Before the first snapshot write, documents have no snapshot field and
+ * `snapshot: null` matches them, so existing data keeps being served
+ * @param {string} name - Snapshot name (key of SNAPSHOT_MODELS)
+ * @returns {Promise<Object>} MongoDB filter
+ */
+async function activeSnapshotFilter(name) {
+  const pointer = await timed(Snapshot, 'findOne', () => Snapshot.findById(name).select('active').lean());
+  return { snapshot: pointer?.active ?? null };
+}
+
+/**
+ * Filter matching the snapshot documents that can be deleted after a swap
+ * Versions are ObjectId hex strings, which sort by creation time, so versions
+ * created before the grace period are the ones below the cutoff id. Documents
+ * from before snapshots (no version) go too.
+ * @param {Array<string>} keep - Versions that must stay (the active and previous one)
+ * @param {Date} now - Current time
+ * @returns {Object} MongoDB filter
+ */
+export function snapshotPruneFilter(keep, now = new Date()) {
+  const cutoff = mongoose.Types.ObjectId
+    .createFromTime(Math.floor((now.getTime() - SNAPSHOT_PRUNE_GRACE_MS) / 1000))
+    .toString();
+
+  return {
+    $and: [
+      { snapshot: { $nin: keep } },
+      { $or: [{ snapshot: null }, { snapshot: { $lt: cutoff } }] }
+    ]
+  };
+}
+
+/**
+ * Replace a collection's contents by writing a new snapshot and flipping the pointer
+ *
+ * Documents are inserted under a new version first; readers switch over with
+ * a single atomic update of the pointer, so they see either the complete old
+ * data or the complete new data, never an empty or half-written collection.
+ * The snapshot that was active before is kept for rollbackSnapshot().
+ * @param {string} name - Snapshot name (key of SNAPSHOT_MODELS)
+ * @param {Array} documents - Documents to write
+ * @returns {Promise<string>} New snapshot version
+ */
+async function writeSnapshot(name, documents) {
+  const model = SNAPSHOT_MODELS[name];
+  const version = new mongoose.Types.ObjectId().toString();
+
+  try {
+    await timed(model, 'insertMany', () =>
+      model.insertMany(documents.map(doc => ({ ...doc, snapshot: version })))
+    );
+  } catch (error) {
+    // The pointer was never flipped; drop what was written of the new version
+    await timed(model, 'deleteMany', () => model.deleteMany({ snapshot: version })).catch(() => {});
+    throw error;
+  }
+
+  const activatedAt = new Date();
+  const before = await timed(Snapshot, 'findOneAndUpdate', () =>
+    Snapshot.findOneAndUpdate({ _id: name }, [{
+      $set: {
+        previous: '$active',
+        previous_count: '$count',
+        previous_activated_at: '$activated_at',
+        active: version,
+        count: documents.length,
+        activated_at: activatedAt
+      }
+    }], { upsert: true, new: false }).lean()
+  );
+
+  // Keep the new and the previous version; drop older ones, leftovers of
+  // failed writes and, on the first swap, documents from before snapshots.
+  // Recent versions stay: another writer may still be inserting one
+  const keep = [version, before?.active].filter(Boolean);
+  await timed(model, 'deleteMany', () => model.deleteMany(snapshotPruneFilter(keep)));
+
+  logger.debug('Activated snapshot', { snapshot: name, version, count: documents.length });
+  return version;
+}
+
+/**
+ * List the snapshot pointers
+ * @returns {Promise<Array>} Pointers with name, active and previous versions
+ */
+export async function listSnapshots() {
+  const pointers = await timed(Snapshot, 'find', () => Snapshot.find({}).sort({ _id: 1 }).lean());
+  return pointers.map(({ _id, ...pointer }) => ({ name: _id, ...pointer }));
+}
+
+/**
+ * Make the previous snapshot active again (and the active one previous)
+ * Rolling back twice returns to where it started.
+ * @param {string} name - Snapshot name (key of SNAPSHOT_MODELS)
+ * @returns {Promise<Object|null>} Updated pointer, or null without a previous snapshot
+ */
+export async function rollbackSnapshot(name) {
+  const pointer = await timed(Snapshot, 'findOne', () => Snapshot.findById(name).lean());
+  if (!pointer?.previous) return null;
+
+  // Matching on the active version makes a concurrent swap win instead of being undone
+  const updated = await timed(Snapshot, 'findOneAndUpdate', () =>
+    Snapshot.findOneAndUpdate({ _id: name, active: pointer.active }, [{
+      $set: {
+        active: '$previous',
+        count: '$previous_count',
+        activated_at: '$previous_activated_at',
+        previous: '$active',
+        previous_count: '$count',
+        previous_activated_at: '$activated_at'
+      }
+    }], { new: true }).lean()
+  );
+  if (!updated) return null;
+
+  logger.warn('Rolled back snapshot', { snapshot: name, active: updated.active, previous: updated.previous });
+
+  if (name === 'grid_weather') {
+    // Served grid data changed: refresh caches, ETags and live clients
+    await announceSave('grid', updated.count ?? 0, await getLatestGridFetchTime());
+  } else if (name === 'marine_weather') {
+    await announceSave('marine', updated.count ?? 0, await getLatestMarineFetchTime());
+  }
+
+  const { _id, ...rest } = updated;
+  return { name: _id, ...rest };
+}
+
 // ===================== METADATA OPERATIONS =====================
 
 /**
@@ -33,7 +214,7 @@ export async function saveCityMetadata(data) {
     }
   }));
 
-  await CityMetadata.bulkWrite(operations);
+  await timed(CityMetadata, 'bulkWrite', () => CityMetadata.bulkWrite(operations));
 }
 
 /**
@@ -43,16 +224,13 @@ export async function saveCityMetadata(data) {
 export async function saveGridMetadata(data) {
   if (!data || data.length === 0) return;
 
-  // Clear existing and insert new
-  await GridMetadata.deleteMany({});
-  
   const documents = data.map(point => ({
     ...point,
     name: point.name || `${point.lat.toFixed(1)}, ${point.lon.toFixed(1)}`,
     updated_at: new Date()
   }));
 
-  await GridMetadata.insertMany(documents);
+  await writeSnapshot('grid_metadata', documents);
 }
 
 /**
@@ -75,7 +253,7 @@ export async function savePortMetadata(data) {
     }
   }));
 
-  await PortMetadata.bulkWrite(operations);
+  await timed(PortMetadata, 'bulkWrite', () => PortMetadata.bulkWrite(operations));
 }
 
 /**
@@ -83,7 +261,7 @@ export async function savePortMetadata(data) {
  * @returns {Promise<Array>} Array of city metadata
  */
 export async function getCityMetadata() {
-  return await CityMetadata.find({}).select('-_id').lean();
+  return await timed(CityMetadata, 'find', () => CityMetadata.find({}).select('-_id').lean());
 }
 
 /**
@@ -91,7 +269,8 @@ export async function getCityMetadata() {
  * @returns {Promise<Array>} Array of grid metadata
  */
 export async function getGridMetadata() {
-  return await GridMetadata.find({}).select('-_id').lean();
+  const filter = await activeSnapshotFilter('grid_metadata');
+  return await timed(GridMetadata, 'find', () => GridMetadata.find(filter).select(HIDDEN_FIELDS).lean());
 }
 
 /**
@@ -99,11 +278,51 @@ export async function getGridMetadata() {
  * @returns {Promise<Array>} Array of port metadata
  */
 export async function getPortMetadata() {
-  return await PortMetadata.find({}).select('-_id').lean();
+  return await timed(PortMetadata, 'find', () => PortMetadata.find({}).select('-_id').lean());
 }
 
 // ===================== WEATHER DATA OPERATIONS =====================
 
+/**
+ * Get the most recent fetch time in a batch of records
+ * @param {Array} data - Records being saved
+ * @param {Function} getFetchedAt - Reads the fetch time of one record
+ * @returns {Date|null} Latest fetch time or null
+ */
+function latestFetchedAt(data, getFetchedAt) {
+  let latest = null;
+  for (const record of data) {
+    const value = getFetchedAt(record);
+    const date = value ? new Date(value) : null;
+    if (date && !isNaN(date.getTime()) && (!latest || date > latest)) {
+      latest = date;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Record a committed save in the data update log and announce it in-process
+ * A failed log write does not fail the save; other processes just miss the event
+ * @param {string} dataset - Dataset name (city, grid, port, marine)
+ * @param {number} count - Number of records written
+ * @param {Date|null} fetchedAt - Fetch time of the new data
+ */
+async function announceSave(dataset, count, fetchedAt) {
+  try {
+    await timed(DataUpdate, 'create', () => DataUpdate.create({
+      dataset,
+      count,
+      fetched_at: fetchedAt,
+      origin: PROCESS_ORIGIN
+    }));
+  } catch (error) {
+    logger.warn('Failed to record data update', { dataset, error: error.message });
+  }
+
+  emitDataSaved(dataset, count, fetchedAt);
+}
+
 /**
  * Save city weather data
  * Automatically archives old data before saving new data
@@ -116,7 +335,7 @@ export async function saveCityWeatherData(data) {
   const cityNames = data.map(city => city.name);
   const archivedCount = await archiveCityWeather(cityNames);
   if (archivedCount > 0) {
-    console.log(`📦 Archived ${archivedCount} old city weather records to history`);
+    logger.info('Archived old weather records to history', { dataset: 'city', count: archivedCount });
   }
 
   const operations = data.map(city => ({
@@ -132,8 +351,9 @@ export async function saveCityWeatherData(data) {
     }
   }));
 
-  await CityWeather.bulkWrite(operations);
-  console.log(`✅ Saved ${data.length} city weather records`);
+  await timed(CityWeather, 'bulkWrite', () => CityWeather.bulkWrite(operations));
+  logger.info('Saved weather records', { dataset: 'city', count: data.length });
+  await announceSave('city', data.length, latestFetchedAt(data, city => city.weather_data?.fetched_at));
 }
 
 /**
@@ -148,19 +368,18 @@ export async function saveGridWeatherData(data) {
   const gridPoints = data.map(point => ({ lat: point.lat, lon: point.lon }));
   const archivedCount = await archiveGridWeather(gridPoints);
   if (archivedCount > 0) {
-    console.log(`📦 Archived ${archivedCount} old grid weather records to history`);
+    logger.info('Archived old weather records to history', { dataset: 'grid', count: archivedCount });
   }
 
-  // Replace all grid data (snapshot approach)
-  await GridWeather.deleteMany({});
-  
+  // Replace all grid data as a new snapshot
   const documents = data.map(point => ({
     ...point,
     updated_at: new Date()
   }));
 
-  await GridWeather.insertMany(documents);
-  console.log(`✅ Saved ${data.length} grid weather records`);
+  await writeSnapshot('grid_weather', documents);
+  logger.info('Saved weather records', { dataset: 'grid', count: data.length });
+  await announceSave('grid', data.length, latestFetchedAt(data, point => point.weather_data?.fetched_at));
 }
 
 /**
@@ -175,7 +394,7 @@ export async function savePortWeatherData(data) {
   const portSlugs = data.map(port => port.slug);
   const archivedCount = await archivePortWeather(portSlugs);
   if (archivedCount > 0) {
-    console.log(`📦 Archived ${archivedCount} old port weather records to history`);
+    logger.info('Archived old weather records to history', { dataset: 'port', count: archivedCount });
   }
 
   const operations = data.map(port => ({
@@ -191,8 +410,27 @@ export async function savePortWeatherData(data) {
     }
   }));
 
-  await PortWeather.bulkWrite(operations);
-  console.log(`✅ Saved ${data.length} port weather records`);
+  await timed(PortWeather, 'bulkWrite', () => PortWeather.bulkWrite(operations));
+  logger.info('Saved weather records', { dataset: 'port', count: data.length });
+  await announceSave('port', data.length, latestFetchedAt(data, port => port.fetched_at));
+}
+
+/**
+ * Save marine weather data (sea cells only)
+ * Replaces every cell as a new snapshot; marine data is not archived
+ * @param {Array} data - Array of marine weather objects
+ */
+export async function saveMarineWeatherData(data) {
+  if (!data || data.length === 0) return;
+
+  const documents = data.map(cell => ({
+    ...cell,
+    updated_at: new Date()
+  }));
+
+  await writeSnapshot('marine_weather', documents);
+  logger.info('Saved weather records', { dataset: 'marine', count: data.length });
+  await announceSave('marine', data.length, latestFetchedAt(data, cell => cell.weather_data?.fetched_at));
 }
 
 /**
@@ -200,23 +438,167 @@ export async function savePortWeatherData(data) {
  * @returns {Promise<Array>} Array of city weather data
  */
 export async function getCityWeatherDocuments() {
-  return await CityWeather.find({}).select('-_id').lean();
+  return await timed(CityWeather, 'find', () => CityWeather.find({}).select('-_id').lean());
 }
 
 /**
  * Get grid weather documents
+ * @param {Object} options - Query options
+ * @param {Object} options.bbox - Optional {minLon, minLat, maxLon, maxLat} viewport filter
+ * @param {number} options.padding - Degrees added around the bbox so edge cells are kept
  * @returns {Promise<Array>} Array of grid weather data
  */
-export async function getGridWeatherDocuments() {
-  return await GridWeather.find({}).select('-_id').lean();
+export async function getGridWeatherDocuments(options = {}) {
+  const { bbox = null, padding = 0.5 } = options;
+  const query = await activeSnapshotFilter('grid_weather');
+
+  if (bbox) {
+    query.lat = { $gte: bbox.minLat - padding, $lte: bbox.maxLat + padding };
+    query.lon = { $gte: bbox.minLon - padding, $lte: bbox.maxLon + padding };
+  }
+
+  return await timed(GridWeather, 'find', () => GridWeather.find(query).select(HIDDEN_FIELDS).lean());
+}
+
+/**
+ * Serve a port document with normalized weather data
+ * Documents saved before normalization hold the BMKG bulletin in `weather_data`
+ * @param {Object} doc - Lean port weather document without `raw_data`
+ * @returns {Object} Document with typed `weather_data`
+ */
+function withNormalizedPortWeather(doc) {
+  return { ...doc, weather_data: getNormalizedPortWeather(doc) };
 }
 
 /**
  * Get port weather documents
- * @returns {Promise<Array>} Array of port weather data
+ * @returns {Promise<Array>} Array of port weather data, without the raw BMKG bulletins
  */
 export async function getPortWeatherDocuments() {
-  return await PortWeather.find({}).select('-_id').lean();
+  const docs = await timed(PortWeather, 'find', () => PortWeather.find({}).select('-_id -raw_data').lean());
+  return docs.map(withNormalizedPortWeather);
+}
+
+/**
+ * Get marine weather documents, optionally limited to a viewport
+ * @param {Object} options - Query options
+ * @param {Object} options.bbox - Optional {minLon, minLat, maxLon, maxLat} viewport filter
+ * @param {number} options.padding - Degrees added around the bbox so edge cells are kept
+ * @returns {Promise<Array>} Array of marine weather data
+ */
+export async function getMarineWeatherDocuments(options = {}) {
+  const { bbox = null, padding = 0.5 } = options;
+  const query = await activeSnapshotFilter('marine_weather');
+
+  if (bbox) {
+    query.lat = { $gte: bbox.minLat - padding, $lte: bbox.maxLat + padding };
+    query.lon = { $gte: bbox.minLon - padding, $lte: bbox.maxLon + padding };
+  }
+
+  return await timed(MarineWeather, 'find', () => MarineWeather.find(query).select(HIDDEN_FIELDS).lean());
+}
+
+/**
+ * Count current weather documents per dataset
+ * @returns {Promise<Object>} Counts for city, grid, port and marine
+ */
+export async function countWeatherDocuments() {
+  const [gridFilter, marineFilter] = await Promise.all([
+    activeSnapshotFilter('grid_weather'),
+    activeSnapshotFilter('marine_weather')
+  ]);
+  const [city, grid, port, marine] = await Promise.all([
+    timed(CityWeather, 'countDocuments', () => CityWeather.countDocuments({})),
+    timed(GridWeather, 'countDocuments', () => GridWeather.countDocuments(gridFilter)),
+    timed(PortWeather, 'countDocuments', () => PortWeather.countDocuments({})),
+    timed(MarineWeather, 'countDocuments', () => MarineWeather.countDocuments(marineFilter))
+  ]);
+
+  return { city, grid, port, marine };
+}
+
+// ===================== FORECAST OPERATIONS =====================
+
+/**
+ * Upsert forecast documents
+ * @param {Object} model - CityForecast or GridForecast
+ * @param {Array} data - Forecast records
+ * @param {Function} keyOf - Builds the filter identifying a record's document
+ */
+async function upsertForecasts(model, data, keyOf) {
+  const operations = data.map(forecast => ({
+    updateOne: {
+      filter: keyOf(forecast),
+      update: {
+        $set: {
+          ...forecast,
+          updated_at: new Date()
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  await timed(model, 'bulkWrite', () => model.bulkWrite(operations));
+}
+
+/**
+ * Save city forecasts (one document per city, replaced on every run)
+ * Forecasts are not archived; history keeps the observed weather only
+ * @param {Array} data - Array of { name, lat, lon, timezone, hourly, daily, fetched_at, ... }
+ */
+export async function saveCityForecasts(data) {
+  if (!data || data.length === 0) return;
+
+  await upsertForecasts(CityForecast, data, forecast => ({ name: forecast.name }));
+  logger.info('Saved forecasts', { dataset: 'city', count: data.length });
+}
+
+/**
+ * Save grid forecasts (one document per grid point, replaced on every run)
+ * @param {Array} data - Array of { lat, lon, timezone, hourly, daily, fetched_at, ... }
+ */
+export async function saveGridForecasts(data) {
+  if (!data || data.length === 0) return;
+
+  await upsertForecasts(GridForecast, data, forecast => ({ lat: forecast.lat, lon: forecast.lon }));
+  logger.info('Saved forecasts', { dataset: 'grid', count: data.length });
+}
+
+/**
+ * Get the forecast of a city
+ * @param {string} name - City name (case-insensitive)
+ * @returns {Promise<Object|null>} Forecast document or null
+ */
+export async function getCityForecast(name) {
+  const filter = { name: { $regex: `^${escapeRegExp(name)}$`, $options: 'i' } };
+  return await timed(CityForecast, 'findOne', () => CityForecast.findOne(filter).select('-_id').lean());
+}
+
+/**
+ * Get the forecast of the grid point nearest to a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radius - Search distance in degrees around the location
+ * @returns {Promise<Object|null>} Forecast document with distance_km, or null when no point is that close
+ */
+export async function getNearestGridForecast(lat, lon, radius) {
+  const forecasts = await timed(GridForecast, 'find', () =>
+    GridForecast.find({
+      lat: { $gte: lat - radius, $lte: lat + radius },
+      lon: { $gte: lon - radius, $lte: lon + radius }
+    }).select('-_id lat lon').lean()
+  );
+  if (forecasts.length === 0) return null;
+
+  const nearest = forecasts
+    .map(point => ({ ...point, distance_km: haversineDistanceKm(lat, lon, point.lat, point.lon) }))
+    .reduce((best, point) => (point.distance_km < best.distance_km ? point : best));
+
+  const forecast = await timed(GridForecast, 'findOne', () =>
+    GridForecast.findOne({ lat: nearest.lat, lon: nearest.lon }).select('-_id').lean()
+  );
+  return forecast && { ...forecast, distance_km: Math.round(nearest.distance_km * 10) / 10 };
 }
 
 // ===================== FRESHNESS CHECKS =====================
@@ -226,11 +608,13 @@ export async function getPortWeatherDocuments() {
  * @returns {Promise<Date|null>} Latest fetch time or null
  */
 export async function getLatestCityFetchTime() {
-  const doc = await CityWeather
-    .findOne({ 'weather_data.fetched_at': { $exists: true } })
-    .sort({ 'weather_data.fetched_at': -1 })
-    .select('weather_data.fetched_at')
-    .lean();
+  const doc = await timed(CityWeather, 'findOne', () =>
+    CityWeather
+      .findOne({ 'weather_data.fetched_at': { $exists: true } })
+      .sort({ 'weather_data.fetched_at': -1 })
+      .select('weather_data.fetched_at')
+      .lean()
+  );
 
   return doc?.weather_data?.fetched_at || null;
 }
@@ -240,11 +624,14 @@ export async function getLatestCityFetchTime() {
  * @returns {Promise<Date|null>} Latest fetch time or null
  */
 export async function getLatestGridFetchTime() {
-  const doc = await GridWeather
-    .findOne({ 'weather_data.fetched_at': { $exists: true } })
-    .sort({ 'weather_data.fetched_at': -1 })
-    .select('weather_data.fetched_at')
-    .lean();
+  const filter = await activeSnapshotFilter('grid_weather');
+  const doc = await timed(GridWeather, 'findOne', () =>
+    GridWeather
+      .findOne({ ...filter, 'weather_data.fetched_at': { $exists: true } })
+      .sort({ 'weather_data.fetched_at': -1 })
+      .select('weather_data.fetched_at')
+      .lean()
+  );
 
   return doc?.weather_data?.fetched_at || null;
 }
@@ -254,15 +641,34 @@ export async function getLatestGridFetchTime() {
  * @returns {Promise<Date|null>} Latest fetch time or null
  */
 export async function getLatestPortTime() {
-  const doc = await PortWeather
-    .findOne({ fetched_at: { $exists: true } })
-    .sort({ fetched_at: -1 })
-    .select('fetched_at')
-    .lean();
+  const doc = await timed(PortWeather, 'findOne', () =>
+    PortWeather
+      .findOne({ fetched_at: { $exists: true } })
+      .sort({ fetched_at: -1 })
+      .select('fetched_at')
+      .lean()
+  );
 
   return doc?.fetched_at || null;
 }
 
+/**
+ * Get latest marine fetch time
+ * @returns {Promise<Date|null>} Latest fetch time or null
+ */
+export async function getLatestMarineFetchTime() {
+  const filter = await activeSnapshotFilter('marine_weather');
+  const doc = await timed(MarineWeather, 'findOne', () =>
+    MarineWeather
+      .findOne({ ...filter, 'weather_data.fetched_at': { $exists: true } })
+      .sort({ 'weather_data.fetched_at': -1 })
+      .select('weather_data.fetched_at')
+      .lean()
+  );
+
+  return doc?.weather_data?.fetched_at || null;
+}
+
 /**
  * Check if city weather data is fresh
  * @param {number} maxAgeHours - Maximum age in hours (default from config)
@@ -293,7 +699,23 @@ export async function isPortWeatherFresh(maxAgeHours = config.freshness.port) {
   return isDataFresh(latest, maxAgeHours);
 }
 
+/**
+ * Check if marine weather data is fresh
+ * @param {number} maxAgeHours - Maximum age in hours (default from config)
+ * @returns {Promise<boolean>} True if data is fresh
+ */
+export async function isMarineWeatherFresh(maxAgeHours = config.freshness.marine) {
+  const latest = await getLatestMarineFetchTime();
+  return isDataFresh(latest, maxAgeHours);
+}
+
 export default {
+  // Snapshots
+  SNAPSHOT_MODELS,
+  listSnapshots,
+  snapshotPruneFilter,
+  rollbackSnapshot,
+
   // Metadata
   saveCityMetadata,
   saveGridMetadata,
@@ -306,17 +728,28 @@ export default {
   saveCityWeatherData,
   saveGridWeatherData,
   savePortWeatherData,
+  saveMarineWeatherData,
   getCityWeatherDocuments,
   getGridWeatherDocuments,
   getPortWeatherDocuments,
+  getMarineWeatherDocuments,
+  countWeatherDocuments,
+
+  // Forecasts
+  saveCityForecasts,
+  saveGridForecasts,
+  getCityForecast,
+  getNearestGridForecast,
   
   // Freshness
   getLatestCityFetchTime,
   getLatestGridFetchTime,
   getLatestPortTime,
+  getLatestMarineFetchTime,
   isCityWeatherFresh,
   isGridWeatherFresh,
   isPortWeatherFresh,
+  isMarineWeatherFresh,
   
   // Historical Data
   archiveCityWeather,
@@ -325,6 +758,8 @@ export default {
   getCityWeatherHistory,
   getGridWeatherHistory,
   getPortWeatherHistory,
+  getWeatherHistoryCursor,
+  aggregateWeatherHistory,
   cleanupOldHistory
 };
 
@@ -337,7 +772,7 @@ export default {
 export async function archiveCityWeather(cityNames) {
   const names = Array.isArray(cityNames) ? cityNames : [cityNames];
   
-  const currentData = await CityWeather.find({ name: { $in: names } }).lean();
+  const currentData = await timed(CityWeather, 'find', () => CityWeather.find({ name: { $in: names } }).lean());
   
   if (currentData.length === 0) return 0;
   
@@ -348,7 +783,7 @@ export async function archiveCityWeather(cityNames) {
     original_updated_at: doc.updated_at
   }));
   
-  await CityWeatherHistory.insertMany(historyDocs);
+  await timed(CityWeatherHistory, 'insertMany', () => CityWeatherHistory.insertMany(historyDocs));
   return historyDocs.length;
 }
 
@@ -359,9 +794,11 @@ export async function archiveCityWeather(cityNames) {
 export async function archiveGridWeather(gridPoints) {
   if (!gridPoints || gridPoints.length === 0) return 0;
   
-  const currentData = await GridWeather.find({
+  const filter = await activeSnapshotFilter('grid_weather');
+  const currentData = await timed(GridWeather, 'find', () => GridWeather.find({
+    ...filter,
     $or: gridPoints.map(point => ({ lat: point.lat, lon: point.lon }))
-  }).lean();
+  }).select('-snapshot').lean());
   
   if (currentData.length === 0) return 0;
   
@@ -372,7 +809,7 @@ export async function archiveGridWeather(gridPoints) {
     original_updated_at: doc.updated_at
   }));
   
-  await GridWeatherHistory.insertMany(historyDocs);
+  await timed(GridWeatherHistory, 'insertMany', () => GridWeatherHistory.insertMany(historyDocs));
   return historyDocs.length;
 }
 
@@ -383,7 +820,7 @@ export async function archiveGridWeather(gridPoints) {
 export async function archivePortWeather(portSlugs) {
   const slugs = Array.isArray(portSlugs) ? portSlugs : [portSlugs];
   
-  const currentData = await PortWeather.find({ slug: { $in: slugs } }).lean();
+  const currentData = await timed(PortWeather, 'find', () => PortWeather.find({ slug: { $in: slugs } }).lean());
   
   if (currentData.length === 0) return 0;
   
@@ -394,7 +831,7 @@ export async function archivePortWeather(portSlugs) {
     original_updated_at: doc.updated_at
   }));
   
-  await PortWeatherHistory.insertMany(historyDocs);
+  await timed(PortWeatherHistory, 'insertMany', () => PortWeatherHistory.insertMany(historyDocs));
   return historyDocs.length;
 }
 
@@ -420,10 +857,12 @@ export async function getCityWeatherHistory(cityName, options = {}) {
     if (endDate) query.archived_at.$lte = new Date(endDate);
   }
   
-  return await CityWeatherHistory.find(query)
-    .sort(sort)
-    .limit(limit)
-    .lean();
+  return await timed(CityWeatherHistory, 'find', () =>
+    CityWeatherHistory.find(query)
+      .sort(sort)
+      .limit(limit)
+      .lean()
+  );
 }
 
 /**
@@ -449,10 +888,12 @@ export async function getGridWeatherHistory(lat, lon, options = {}) {
     if (endDate) query.archived_at.$lte = new Date(endDate);
   }
   
-  return await GridWeatherHistory.find(query)
-    .sort(sort)
-    .limit(limit)
-    .lean();
+  return await timed(GridWeatherHistory, 'find', () =>
+    GridWeatherHistory.find(query)
+      .sort(sort)
+      .limit(limit)
+      .lean()
+  );
 }
 
 /**
@@ -477,10 +918,191 @@ export async function getPortWeatherHistory(portSlug, options = {}) {
     if (endDate) query.archived_at.$lte = new Date(endDate);
   }
   
-  return await PortWeatherHistory.find(query)
-    .sort(sort)
-    .limit(limit)
-    .lean();
+  const docs = await timed(PortWeatherHistory, 'find', () =>
+    PortWeatherHistory.find(query)
+      .select('-raw_data')
+      .sort(sort)
+      .limit(limit)
+      .lean()
+  );
+  return docs.map(withNormalizedPortWeather);
+}
+
+const HISTORY_MODELS = {
+  city: CityWeatherHistory,
+  grid: GridWeatherHistory,
+  port: PortWeatherHistory
+};
+
+/**
+ * Build the location filter for a history query
+ * City matches by name, grid by "lat,lon", port by slug or port name
+ * @param {String} type - Dataset type (city, grid, port)
+ * @param {String} location - Location identifier
+ * @returns {Object} MongoDB filter
+ */
+function buildHistoryLocationFilter(type, location) {
+  if (!location) return {};
+
+  if (type === 'grid') {
+    const [lat, lon] = String(location).split(',').map(value => parseFloat(value.trim()));
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      throw new Error(`Invalid grid location "${location}", expected "lat,lon"`);
+    }
+    return { lat, lon };
+  }
+
+  if (type === 'port') {
+    return {
+      $or: [
+        { slug: location },
+        { port_name: { $regex: escapeRegExp(location), $options: 'i' } }
+      ]
+    };
+  }
+
+  return { name: location };
+}
+
+/**
+ * Open a streaming cursor over archived weather history
+ * @param {String} type - Dataset type (city, grid, port)
+ * @param {Object} options - Query options (location, startDate, endDate, batchSize)
+ * @returns {QueryCursor} Cursor over lean history documents, oldest first
+ */
+export function getWeatherHistoryCursor(type, options = {}) {
+  const {
+    location = null,
+    startDate = null,
+    endDate = null,
+    batchSize = 500
+  } = options;
+
+  const model = HISTORY_MODELS[type];
+  if (!model) {
+    throw new Error(`Unknown history type "${type}"`);
+  }
+
+  const query = buildHistoryLocationFilter(type, location);
+
+  if (startDate || endDate) {
+    query.archived_at = {};
+    if (startDate) query.archived_at.$gte = new Date(startDate);
+    if (endDate) query.archived_at.$lte = new Date(endDate);
+  }
+
+  return model.find(query)
+    .sort({ archived_at: 1 })
+    .lean()
+    .cursor({ batchSize });
+}
+
+export const HISTORY_INTERVALS = ['hour', 'day', 'week'];
+
+// Observation time field and aggregated variables per history collection.
+// Port values come from the first BMKG forecast slot and are stored as strings.
+const HISTORY_AGGREGATE_FIELDS = {
+  city: {
+    timeField: 'weather_data.fetched_at',
+    variables: {
+      temperature: '$weather_data.temperature_2m',
+      humidity: '$weather_data.relative_humidity_2m',
+      wind_speed: '$weather_data.wind_speed_10m'
+    }
+  },
+  grid: {
+    timeField: 'weather_data.fetched_at',
+    variables: {
+      temperature: '$weather_data.temperature_2m',
+      humidity: '$weather_data.relative_humidity_2m',
+      wind_speed: '$weather_data.wind_speed_10m'
+    }
+  },
+  port: {
+    timeField: 'fetched_at',
+    // Typed slot fields, or the BMKG fields of records archived before normalization
+    variables: {
+      temperature: { $ifNull: ['$_slot.temperature_c', '$_slot.temp_avg'] },
+      humidity: { $ifNull: ['$_slot.humidity_pct', '$_slot.rh_avg'] },
+      wind_speed: { $ifNull: ['$_slot.wind_speed_knots', '$_slot.wind_speed'] }
+    }
+  }
+};
+
+/**
+ * Round a numeric aggregate for output
+ * @param {Number|null} value - Aggregated value
+ * @returns {Number|null} Value rounded to 2 decimals
+ */
+function roundAggregate(value) {
+  return typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Aggregate weather history into time buckets with min/avg/max per variable
+ * @param {String} type - Dataset type (city, grid, port)
+ * @param {String} location - Location identifier (city name, "lat,lon", port slug/name)
+ * @param {Object} options - Aggregation options (interval, startDate, endDate, timezone)
+ * @returns {Promise<Array>} Buckets sorted by date ascending
+ */
+export async function aggregateWeatherHistory(type, location, options = {}) {
+  const {
+    interval = 'day',
+    startDate = null,
+    endDate = null,
+    timezone = 'Asia/Jakarta'
+  } = options;
+
+  const model = HISTORY_MODELS[type];
+  const fields = HISTORY_AGGREGATE_FIELDS[type];
+  if (!model || !fields) {
+    throw new Error(`Unknown history type "${type}"`);
+  }
+  if (!HISTORY_INTERVALS.includes(interval)) {
+    throw new Error(`Unknown interval "${interval}"`);
+  }
+
+  const match = buildHistoryLocationFilter(type, location);
+  match[fields.timeField] = { $type: 'date' };
+  if (startDate) match[fields.timeField].$gte = new Date(startDate);
+  if (endDate) match[fields.timeField].$lte = new Date(endDate);
+
+  const dateTrunc = { date: `$${fields.timeField}`, unit: interval, timezone };
+  if (interval === 'week') dateTrunc.startOfWeek = 'monday';
+
+  const project = { bucket: { $dateTrunc: dateTrunc } };
+  const group = { _id: '$bucket', count: { $sum: 1 } };
+
+  for (const [name, path] of Object.entries(fields.variables)) {
+    project[name] = { $convert: { input: path, to: 'double', onError: null, onNull: null } };
+    group[`${name}_min`] = { $min: `$${name}` };
+    group[`${name}_avg`] = { $avg: `$${name}` };
+    group[`${name}_max`] = { $max: `$${name}` };
+  }
+
+  const pipeline = [{ $match: match }];
+  if (type === 'port') {
+    pipeline.push({
+      $addFields: {
+        _slot: { $arrayElemAt: [{ $ifNull: ['$weather_data.forecast', '$weather_data.forecast_day1'] }, 0] }
+      }
+    });
+  }
+  pipeline.push(
+    { $project: project },
+    { $group: group },
+    { $sort: { _id: 1 } }
+  );
+
+  const buckets = await timed(model, 'aggregate', () => model.aggregate(pipeline));
+
+  return buckets.map(({ _id, count, ...stats }) => {
+    const entry = { date: _id.toISOString(), count };
+    for (const [key, value] of Object.entries(stats)) {
+      entry[key] = roundAggregate(value);
+    }
+    return entry;
+  });
 }
 
 /**
@@ -493,9 +1115,9 @@ export async function cleanupOldHistory(daysToKeep = 90) {
   cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
   
   const [cityResult, gridResult, portResult] = await Promise.all([
-    CityWeatherHistory.deleteMany({ archived_at: { $lt: cutoffDate } }),
-    GridWeatherHistory.deleteMany({ archived_at: { $lt: cutoffDate } }),
-    PortWeatherHistory.deleteMany({ archived_at: { $lt: cutoffDate } })
+    timed(CityWeatherHistory, 'deleteMany', () => CityWeatherHistory.deleteMany({ archived_at: { $lt: cutoffDate } })),
+    timed(GridWeatherHistory, 'deleteMany', () => GridWeatherHistory.deleteMany({ archived_at: { $lt: cutoffDate } })),
+    timed(PortWeatherHistory, 'deleteMany', () => PortWeatherHistory.deleteMany({ archived_at: { $lt: cutoffDate } }))
   ]);
   
   return {
@@ -505,3 +1127,28 @@ export async function cleanupOldHistory(daysToKeep = 90) {
     total: cityResult.deletedCount + gridResult.deletedCount + portResult.deletedCount
   };
 }
+
+/**
+ * Get document counts and storage sizes of the history collections
+ * Counts come from collection metadata, so this stays cheap on large histories
+ * @returns {Promise<Object>} { city: { documents, size_bytes }, grid, port }
+ */
+export async function getHistoryCollectionStats() {
+  const entries = await Promise.all(Object.entries(HISTORY_MODELS).map(async ([type, model]) => {
+    const documents = await timed(model, 'estimatedDocumentCount', () => model.estimatedDocumentCount());
+
+    let sizeBytes = null;
+    try {
+      const [stats] = await timed(model, 'collStats', () =>
+        model.collection.aggregate([{ $collStats: { storageStats: {} } }]).toArray()
+      );
+      sizeBytes = stats?.storageStats?.size ?? null;
+    } catch (error) {
+      // $collStats needs the collStats privilege and an existing collection; sizes are optional
+    }
+
+    return [type, { documents, size_bytes: sizeBytes }];
+  }));
+
+  return Object.fromEntries(entries);
+}
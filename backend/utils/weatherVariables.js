@@ -0,0 +1,93 @@
+import config from '../config/config.js';
+
+/**
+ * Weather Variables - the current-weather variables stored in `weather_data`
+ *
+ * WEATHER_VARIABLES chooses which of these the city and grid collectors
+ * request; the marine collector always requests every MARINE_VARIABLES
+ * entry. `kind` tells clients how a value can be shown: `continuous`
+ * values fit a colour scale, `direction` values are angles and `category`
+ * values are codes.
+ */
+
+// OpenMeteo current-weather variables the collectors know how to request
+export const WEATHER_VARIABLES = {
+  temperature_2m: { unit: '°C', kind: 'continuous', description: 'Air temperature at 2 m' },
+  relative_humidity_2m: { unit: '%', kind: 'continuous', description: 'Relative humidity at 2 m' },
+  apparent_temperature: { unit: '°C', kind: 'continuous', description: 'Perceived temperature' },
+  dew_point_2m: { unit: '°C', kind: 'continuous', description: 'Dew point at 2 m' },
+  weather_code: { unit: 'WMO code', kind: 'category', description: 'Weather interpretation code' },
+  precipitation: { unit: 'mm', kind: 'continuous', description: 'Rain, showers and snow of the preceding hour' },
+  rain: { unit: 'mm', kind: 'continuous', description: 'Large-scale rain of the preceding hour' },
+  showers: { unit: 'mm', kind: 'continuous', description: 'Convective showers of the preceding hour' },
+  cloud_cover: { unit: '%', kind: 'continuous', description: 'Total cloud cover' },
+  surface_pressure: { unit: 'hPa', kind: 'continuous', description: 'Atmospheric pressure at the surface' },
+  pressure_msl: { unit: 'hPa', kind: 'continuous', description: 'Atmospheric pressure reduced to mean sea level' },
+  wind_speed_10m: { unit: 'km/h', kind: 'continuous', description: 'Wind speed at 10 m' },
+  wind_direction_10m: { unit: '°', kind: 'direction', description: 'Direction the wind comes from at 10 m' },
+  wind_gusts_10m: { unit: 'km/h', kind: 'continuous', description: 'Wind gusts at 10 m' },
+  uv_index: { unit: '', kind: 'continuous', description: 'UV index' },
+  visibility: { unit: 'm', kind: 'continuous', description: 'Viewing distance' }
+};
+
+// Open-Meteo Marine current variables of the marine collector
+export const MARINE_VARIABLES = {
+  wave_height: { unit: 'm', kind: 'continuous', description: 'Significant height of wind waves and swell' },
+  wave_direction: { unit: '°', kind: 'direction', description: 'Direction the waves come from' },
+  wave_period: { unit: 's', kind: 'continuous', description: 'Mean wave period' },
+  swell_wave_height: { unit: 'm', kind: 'continuous', description: 'Significant height of the swell' },
+  swell_wave_direction: { unit: '°', kind: 'direction', description: 'Direction the swell comes from' },
+  swell_wave_period: { unit: 's', kind: 'continuous', description: 'Mean swell period' },
+  sea_surface_temperature: { unit: '°C', kind: 'continuous', description: 'Sea surface temperature' }
+};
+
+// Always collected: markers, popups, tiles and history statistics rely on them
+export const REQUIRED_WEATHER_VARIABLES = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'weather_code',
+  'wind_speed_10m',
+  'wind_direction_10m'
+];
+
+export const DEFAULT_WEATHER_VARIABLES = [
+  ...REQUIRED_WEATHER_VARIABLES,
+  'precipitation',
+  'surface_pressure',
+  'cloud_cover',
+  'wind_gusts_10m',
+  'uv_index'
+];
+
+/**
+ * Get the configured weather variables
+ * The required variables come first, then the configured extras in their order
+ * @param {Array<string>} names - Variable names (default: WEATHER_VARIABLES, or DEFAULT_WEATHER_VARIABLES when unset)
+ * @returns {Array<string>} Variables to request
+ * @throws {Error} When a name is not a known variable
+ */
+export function getWeatherVariables(names = config.weather.variables ?? DEFAULT_WEATHER_VARIABLES) {
+  const unknown = names.filter(name => !WEATHER_VARIABLES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown weather variable(s) ${unknown.join(', ')}; expected any of: ${Object.keys(WEATHER_VARIABLES).join(', ')}`);
+  }
+
+  return [...new Set([...REQUIRED_WEATHER_VARIABLES, ...names])];
+}
+
+/**
+ * Describe the configured weather variables
+ * @returns {Array<{name: string, unit: string, kind: string, description: string}>} Variables
+ */
+export function describeWeatherVariables() {
+  return getWeatherVariables().map(name => ({ name, ...WEATHER_VARIABLES[name] }));
+}
+
+export default {
+  WEATHER_VARIABLES,
+  MARINE_VARIABLES,
+  REQUIRED_WEATHER_VARIABLES,
+  DEFAULT_WEATHER_VARIABLES,
+  getWeatherVariables,
+  describeWeatherVariables
+};
@@ -6,6 +6,7 @@
  * - Intelligent caching based on data type and age
  * - Background refresh for better UX
  * - Fallback to cached data if fresh fetch fails
+ * - Conditional revalidation (ETag / Last-Modified) of stale entries
  * - Memory and localStorage optimization
  */
 
@@ -13,6 +14,7 @@ class SmartCacheManager {
     constructor() {
         this.cache = new Map();
         this.baseApiUrl = (window.WEATHER_API_BASE || '').replace(/\/$/, '') || '';
+        this.apiKey = window.WEATHER_API_KEY || null;
         this.cacheConfig = {
             // Weather data: cache for shorter periods
             weather: {
@@ -82,6 +84,21 @@ class SmartCacheManager {
         return resource;
     }
 
+    /**
+     * Headers authenticating API requests (empty when no API key is configured)
+     */
+    authHeaders() {
+        return this.apiKey ? { 'X-API-Key': this.apiKey } : {};
+    }
+
+    /**
+     * Add the API key as a query param, for URLs that cannot send headers (EventSource, download links)
+     */
+    withApiKey(url) {
+        if (!this.apiKey) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}api_key=${encodeURIComponent(this.apiKey)}`;
+    }
+
     async getData(resource, type = 'weather', forceRefresh = false) {
         const url = this.buildUrl(resource);
         const cacheKey = this.generateCacheKey(url);
@@ -102,10 +119,17 @@ class SmartCacheManager {
             }
         }
         
-        // Fetch fresh data
+        // Fetch fresh data (revalidating the cached copy if we have one)
         try {
             console.log(`🔄 Fetching fresh ${type} data for: ${url}`);
-            const freshData = await this.fetchWithCacheBuster(url);
+            const result = await this.fetchWithRevalidation(url, forceRefresh ? null : cacheKey);
+            
+            if (result.notModified) {
+                console.log(`✅ Cached ${type} data still current (304) for: ${url}`);
+                return result.data;
+            }
+            
+            const freshData = result.data;
             
             // Check if data is too large for caching
             const dataSize = JSON.stringify(freshData).length;
@@ -117,7 +141,7 @@ class SmartCacheManager {
                 this.setCacheMetadata(cacheKey, freshData, type, dataSize);
             } else {
                 // Cache the fresh data normally
-                this.setCache(cacheKey, freshData, type);
+                this.setCache(cacheKey, freshData, type, result.validators);
             }
             
             return freshData;
@@ -141,8 +165,10 @@ class SmartCacheManager {
      */
     async backgroundRefresh(url, type, cacheKey) {
         try {
-            const freshData = await this.fetchWithCacheBuster(url);
-            this.setCache(cacheKey, freshData, type);
+            const result = await this.fetchWithRevalidation(url, cacheKey);
+            if (!result.notModified) {
+                this.setCache(cacheKey, result.data, type, result.validators);
+            }
             console.log(`🔄 Background refresh completed for: ${url}`);
         } catch (error) {
             console.warn(`❌ Background refresh failed for ${url}:`, error);
@@ -150,26 +176,44 @@ class SmartCacheManager {
     }
     
     /**
-     * Fetch data with cache-busting
+     * Fetch data, sending the cached entry's ETag / Last-Modified so the
+     * server can answer 304 when nothing changed
+     * @param {string} url - URL to fetch
+     * @param {string|null} cacheKey - Cache entry to revalidate (null for an unconditional fetch)
+     * @returns {Promise<{data: any, notModified: boolean, validators: Object}>}
      */
-    async fetchWithCacheBuster(url) {
-        const cacheBuster = `_t=${Date.now()}`;
-        const separator = url.includes('?') ? '&' : '?';
-        const fullUrl = `${url}${separator}${cacheBuster}`;
-        
-        const response = await fetch(fullUrl, {
-            cache: 'no-cache',
-            headers: {
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'Pragma': 'no-cache'
-            }
-        });
+    async fetchWithRevalidation(url, cacheKey) {
+        const cached = cacheKey ? this.cache.get(cacheKey) : null;
+        const canRevalidate = cached && !cached.isMetadata && cached.data !== null;
+        const headers = this.authHeaders();
+        
+        if (canRevalidate && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (canRevalidate && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+        
+        // Bypass the browser HTTP cache so 304 responses reach us directly
+        const response = await fetch(url, { cache: 'no-store', headers });
+        
+        if (response.status === 304 && canRevalidate) {
+            cached.timestamp = Date.now();
+            return { data: cached.data, notModified: true, validators: {} };
+        }
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        return await response.json();
+        return {
+            data: await response.json(),
+            notModified: false,
+            validators: {
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            }
+        };
     }
     
     /**
@@ -202,7 +246,7 @@ class SmartCacheManager {
     /**
      * Set data in cache with memory management
      */
-    setCache(cacheKey, data, type) {
+    setCache(cacheKey, data, type, validators = {}) {
         const config = this.cacheConfig[type] || this.cacheConfig.weather;
         
         // Check memory usage before adding new data
@@ -219,7 +263,9 @@ class SmartCacheManager {
             timestamp: Date.now(),
             type: type,
             priority: config.priority,
-            size: dataSize
+            size: dataSize,
+            etag: validators.etag || null,
+            lastModified: validators.lastModified || null
         });
         
         // Also save to localStorage for persistence
@@ -251,8 +297,12 @@ class SmartCacheManager {
      * Generate cache key from URL
      */
     generateCacheKey(url) {
-        // Remove cache-busting parameters
-        return url.split('?')[0].split('&')[0];
+        // Remove cache-busting parameters but keep the ones that select data (e.g. bbox)
+        const [path, query] = url.split('?');
+        if (!query) return path;
+
+        const params = query.split('&').filter(param => param && !param.startsWith('_t='));
+        return params.length > 0 ? `${path}?${params.join('&')}` : path;
     }
     
     /**
@@ -466,6 +516,28 @@ class SmartCacheManager {
         console.log('🗑️ Cache cleared');
     }
     
+    /**
+     * Drop cached entries of a resource, whatever their query string
+     * Used when the server announces that the underlying data has changed
+     */
+    invalidateResource(resource) {
+        const path = this.generateCacheKey(this.buildUrl(resource)).split('?')[0];
+        let removed = 0;
+        
+        for (const cacheKey of [...this.cache.keys()]) {
+            if (cacheKey.split('?')[0] === path) {
+                this.cache.delete(cacheKey);
+                removed++;
+            }
+        }
+        
+        if (removed > 0) {
+            this.saveToStorage();
+            console.log(`🗑️ Invalidated ${removed} cached entries for: ${path}`);
+        }
+        return removed;
+    }
+    
     /**
      * Clear localStorage and reset storage management
      */
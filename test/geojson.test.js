@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toFeature } from '../backend/utils/geojson.js';
+import { normalizePortBulletin } from '../backend/utils/portBulletin.js';
+
+const port = {
+  port_name: 'Tanjung Priok',
+  slug: 'tanjung-priok',
+  coordinates: { lat: -6.1, lon: 106.88 },
+  weather_data: normalizePortBulletin({
+    issued: '2024-01-01 10:30 UTC',
+    forecast_day1: [
+      {
+        time: '2024-01-01 12:00 UTC',
+        weather: 'Berawan',
+        wind_from: 'Selatan',
+        wind_speed: '10 - 15',
+        wave_height: '0.5 - 1.25 m',
+        tides: [{ time: '05:00 WIB', height: 1.8 }]
+      },
+      { time: '2024-01-01 18:00 UTC', weather: 'Hujan Ringan', wind_speed: 20 }
+    ]
+  }),
+  status: 'success'
+};
+
+test('toFeature flattens the first port forecast slot into scalar properties', () => {
+  const { geometry, properties } = toFeature('port', port);
+
+  assert.deepEqual(geometry, { type: 'Point', coordinates: [106.88, -6.1] });
+  assert.equal(properties.issued, '2024-01-01T10:30:00.000Z');
+  assert.equal(properties.forecast_time, '2024-01-01T12:00:00.000Z');
+  assert.equal(properties.weather, 'Berawan');
+  assert.equal(properties.wind_speed_knots, 15);
+  assert.equal(properties.wave_height_max_m, 1.25);
+  assert.equal(properties.forecast, undefined);
+
+  for (const [key, value] of Object.entries(properties)) {
+    assert.ok(value === null || typeof value !== 'object', `${key} is a scalar`);
+  }
+  assert.deepEqual(JSON.parse(properties.tides), [{ time: '05:00 WIB', height_m: 1.8 }]);
+});
+
+test('toFeature handles a port without weather data', () => {
+  const { properties } = toFeature('port', { ...port, weather_data: null });
+  assert.equal(properties.port_name, 'Tanjung Priok');
+  assert.equal(properties.forecast_time, null);
+});
+
+test('toFeature keeps nested grid objects as parent_child keys', () => {
+  const cell = {
+    name: '-6.5, 106.5',
+    lat: -6.5,
+    lon: 106.5,
+    step: 1,
+    sampled_from: { name: '-6.25, 106.75', lat: -6.25, lon: 106.75 },
+    weather_data: { temperature_2m: 27.1 }
+  };
+
+  const { geometry, properties } = toFeature('grid', cell, { cellGeometry: 'polygon' });
+  assert.equal(properties.sampled_from_name, '-6.25, 106.75');
+  assert.equal(properties.temperature_2m, 27.1);
+  assert.deepEqual(geometry.coordinates[0][0], [106, -7]);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reduceGridCells, parseBoundingBox, getGridStepForZoom } from '../backend/utils/gridSampling.js';
+
+/**
+ * 1-degree grid cells over a lat/lon range, inclusive
+ * @returns {Array<Object>} Grid weather documents
+ */
+function gridCells(minLat, maxLat, minLon, maxLon) {
+  const cells = [];
+  for (let lat = minLat; lat <= maxLat; lat++) {
+    for (let lon = minLon; lon <= maxLon; lon++) {
+      cells.push({
+        name: `${lat},${lon}`,
+        lat,
+        lon,
+        coordinates: { latitude: lat, longitude: lon, elevation: 10 },
+        weather_data: { temperature_2m: lat + lon, wind_speed_10m: 10, wind_direction_10m: 90, weather_code: 1 }
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Edges of the tile drawn for a cell
+ * @param {Object} cell - Reduced cell
+ * @returns {Array<number>} [south, north, west, east]
+ */
+function tileEdges(cell) {
+  const half = cell.step / 2;
+  return [cell.lat - half, cell.lat + half, cell.lon - half, cell.lon + half];
+}
+
+test('parseBoundingBox reads minLon,minLat,maxLon,maxLat', () => {
+  assert.deepEqual(parseBoundingBox('95, -11, 141, 6'), { minLon: 95, minLat: -11, maxLon: 141, maxLat: 6 });
+  assert.throws(() => parseBoundingBox('1,2,3'), /bbox must be/);
+  assert.throws(() => parseBoundingBox('5,0,1,1'), /must not exceed/);
+});
+
+test('getGridStepForZoom coarsens only at low zoom', () => {
+  assert.equal(getGridStepForZoom(3), 4);
+  assert.equal(getGridStepForZoom(4), 2);
+  assert.equal(getGridStepForZoom(7), 1);
+  assert.equal(getGridStepForZoom(undefined), 1);
+});
+
+test('reduceGridCells leaves cells alone without reduction', () => {
+  const cells = gridCells(-2, 0, 110, 112);
+  assert.equal(reduceGridCells(cells, 2, 'none'), cells);
+  assert.equal(reduceGridCells(cells, 1, 'mean'), cells);
+});
+
+for (const mode of ['thin', 'mean']) {
+  test(`reduceGridCells (${mode}) places partial blocks at their block centre without overlaps`, () => {
+    // 3x4 points: the last row and column of 2-degree blocks are partial
+    const reduced = reduceGridCells(gridCells(-7, -5, 105, 108), 2, mode);
+
+    assert.equal(reduced.reduce((sum, cell) => sum + cell.cell_count, 0), 12);
+    for (const cell of reduced) {
+      const [south, north, west, east] = tileEdges(cell);
+      // Tiles of 2-degree blocks start half a base step before an even grid point
+      assert.equal(Math.abs((south + 0.5) % 2), 0, `${cell.name} south edge ${south}`);
+      assert.equal(Math.abs((west + 0.5) % 2), 0, `${cell.name} west edge ${west}`);
+      assert.equal(north - south, 2);
+      assert.equal(east - west, 2);
+    }
+
+    const keys = reduced.map(cell => `${cell.lat}:${cell.lon}`);
+    assert.equal(new Set(keys).size, keys.length);
+  });
+
+  test(`reduceGridCells (${mode}) names and locates cells after their block`, () => {
+    const [cell] = reduceGridCells(gridCells(-2, -1, 110, 111), 2, mode);
+
+    assert.equal(cell.lat, -1.5);
+    assert.equal(cell.lon, 110.5);
+    assert.equal(cell.name, '-1.5, 110.5');
+    assert.deepEqual(cell.coordinates, { latitude: -1.5, longitude: 110.5 });
+    assert.deepEqual(cell.centroid, { lat: -1.5, lon: 110.5 });
+    assert.equal(cell.step, 2);
+    assert.equal(cell.cell_count, 4);
+  });
+}
+
+test('reduceGridCells (thin) names the grid point whose weather it shows', () => {
+  const [cell] = reduceGridCells(gridCells(-2, -1, 110, 111), 2, 'thin');
+  const sampled = gridCells(-2, -1, 110, 111).find(member => member.name === cell.sampled_from.name);
+
+  assert.deepEqual(cell.sampled_from, { name: sampled.name, lat: sampled.lat, lon: sampled.lon });
+  assert.deepEqual(cell.weather_data, sampled.weather_data);
+});
+
+test('reduceGridCells (mean) averages the block and vector-averages the wind direction', () => {
+  const cells = gridCells(-2, -1, 110, 110);
+  cells[0].weather_data.wind_direction_10m = 350;
+  cells[1].weather_data.wind_direction_10m = 10;
+  const [cell] = reduceGridCells(cells, 2, 'mean');
+
+  assert.equal(cell.weather_data.temperature_2m, 108.5);
+  assert.equal(cell.weather_data.wind_direction_10m, 0);
+  assert.equal(cell.sampled_from, undefined);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  parseBulletinTime,
+  parseWaveHeight,
+  parseWindSpeed,
+  normalizePortSlot,
+  normalizePortBulletin,
+  getNormalizedPortWeather,
+  windDirectionToDegrees
+} from '../backend/utils/portBulletin.js';
+
+const fixture = JSON.parse(readFileSync(new URL('../backend/providers/fixtures/bmkg-port.json', import.meta.url), 'utf8'));
+
+test('parseWindSpeed reads single values, ranges and open-ended ranges', () => {
+  assert.deepEqual(parseWindSpeed(12), { min: 12, max: 12 });
+  assert.deepEqual(parseWindSpeed('5 - 15'), { min: 5, max: 15 });
+  assert.deepEqual(parseWindSpeed('> 25'), { min: 25, max: null });
+  assert.deepEqual(parseWindSpeed(null), { min: null, max: null });
+});
+
+test('normalizePortSlot reports the upper bound of a wind speed range', () => {
+  const rangeSlot = fixture.slots.find(slot => typeof slot.wind_speed === 'string');
+  assert.ok(rangeSlot, 'fixture has a slot with a wind speed range');
+
+  const slot = normalizePortSlot(rangeSlot);
+  assert.equal(slot.wind_speed_min_knots, 10);
+  assert.equal(slot.wind_speed_max_knots, 20);
+  assert.equal(slot.wind_speed_knots, 20);
+  assert.equal(slot.wind_speed_kmh, 37.04);
+});
+
+test('normalizePortSlot keeps single wind speeds and an open-ended range', () => {
+  const single = normalizePortSlot({ wind_speed: 8 });
+  assert.equal(single.wind_speed_min_knots, 8);
+  assert.equal(single.wind_speed_max_knots, 8);
+  assert.equal(single.wind_speed_kmh, 14.82);
+
+  const open = normalizePortSlot({ wind_speed: '> 25' });
+  assert.equal(open.wind_speed_knots, 25);
+  assert.equal(open.wind_speed_max_knots, null);
+});
+
+test('parseWaveHeight reads ranges, upper and lower bounds', () => {
+  assert.deepEqual(parseWaveHeight('0.5 - 1.25 m'), { min: 0.5, max: 1.25 });
+  assert.deepEqual(parseWaveHeight('< 0.5 m'), { min: 0, max: 0.5 });
+  assert.deepEqual(parseWaveHeight('> 6 m'), { min: 6, max: null });
+  assert.deepEqual(parseWaveHeight('1,5 m'), { min: 1.5, max: 1.5 });
+});
+
+test('parseBulletinTime converts Indonesian time zones to UTC', () => {
+  assert.equal(parseBulletinTime('2024-01-01 06:00 UTC').toISOString(), '2024-01-01T06:00:00.000Z');
+  assert.equal(parseBulletinTime('2024-01-01 07:00 WIB').toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.equal(parseBulletinTime('2024-01-01 09:00 WIT').toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.equal(parseBulletinTime('2024-01-01 06:00').toISOString(), '2024-01-01T06:00:00.000Z');
+  assert.equal(parseBulletinTime('besok pagi'), null);
+});
+
+test('windDirectionToDegrees maps BMKG compass points', () => {
+  assert.equal(windDirectionToDegrees('Barat Laut'), 315);
+  assert.equal(windDirectionToDegrees('Utara - Timur Laut'), 22.5);
+  assert.equal(windDirectionToDegrees('Variabel'), null);
+});
+
+test('normalizePortSlot keeps text tides as tides_text', () => {
+  const slot = normalizePortSlot({ tides: ' Pasang 05:00 WIB ' });
+  assert.deepEqual(slot.tides, []);
+  assert.equal(slot.tides_text, 'Pasang 05:00 WIB');
+
+  const listed = normalizePortSlot({ tides: fixture.tides });
+  assert.deepEqual(listed.tides[0], { time: '05:00 WIB', height_m: 1.8 });
+  assert.equal(listed.tides_text, null);
+});
+
+test('getNormalizedPortWeather normalizes documents saved with the raw bulletin', () => {
+  const bulletin = {
+    issued: '2024-01-01 10:30 UTC',
+    forecast_day2: [{ time: '2024-01-02 00:00 UTC', wind_speed: 10 }],
+    forecast_day1: [{ time: '2024-01-01 12:00 UTC', wind_speed: '5 - 15' }]
+  };
+
+  const weather = getNormalizedPortWeather({ weather_data: bulletin });
+  assert.equal(weather.issued.toISOString(), '2024-01-01T10:30:00.000Z');
+  assert.deepEqual(weather.forecast.map(slot => slot.wind_speed_knots), [15, 10]);
+
+  // Already normalized data is returned as-is
+  const normalized = normalizePortBulletin(bulletin);
+  assert.equal(getNormalizedPortWeather({ weather_data: normalized }), normalized);
+});
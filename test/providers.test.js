@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../backend/config/config.js';
+import { getProvider, PROVIDERS } from '../backend/providers/index.js';
+import {
+  fetchBatch,
+  fetchForecast,
+  fetchMarineBatch,
+  fetchPortBulletin,
+  createMockProvider
+} from '../backend/providers/mockProvider.js';
+import { getWeatherVariables } from '../backend/utils/weatherVariables.js';
+
+const JAKARTA = { name: 'Jakarta', lat: -6.2, lon: 106.8 };
+const SURABAYA = { name: 'Surabaya', lat: -7.25, lon: 112.75 };
+
+/**
+ * Run a function with some provider settings, restoring them afterwards
+ * @param {Object} providers - Provider names per dataset
+ * @param {Function} run - Test body
+ */
+function withProviders(providers, run) {
+  const saved = { ...config.providers };
+  Object.assign(config.providers, providers);
+  try {
+    return run();
+  } finally {
+    Object.assign(config.providers, saved);
+  }
+}
+
+test('mock fetchBatch answers every location in order with the configured variables', async () => {
+  const results = await fetchBatch([JAKARTA, SURABAYA]);
+
+  assert.equal(results.length, 2);
+  assert.deepEqual(results.map(result => result.coordinates.latitude), [JAKARTA.lat, SURABAYA.lat]);
+  for (const variable of getWeatherVariables()) {
+    assert.ok(variable in results[0].weather_data, `missing ${variable}`);
+  }
+  assert.equal(results[0].forecast, undefined);
+});
+
+test('mock fetchBatch is deterministic per location', async () => {
+  const [first] = await fetchBatch([JAKARTA]);
+  const [second] = await fetchBatch([JAKARTA]);
+
+  const { fetched_at: _a, ...firstValues } = first.weather_data;
+  const { fetched_at: _b, ...secondValues } = second.weather_data;
+  assert.deepEqual(firstValues, secondValues);
+});
+
+test('mock fetchBatch adds the forecast when asked', async () => {
+  const [result] = await fetchBatch([JAKARTA], { forecastDays: 2 });
+
+  assert.equal(result.forecast.hourly.length, 48);
+  assert.equal(result.forecast.daily.length, 2);
+});
+
+test('mock fetchForecast builds hourly and daily entries from local midnight', async () => {
+  const [forecast] = await fetchForecast([JAKARTA], { days: 3 });
+
+  assert.equal(forecast.hourly.length, 72);
+  assert.equal(forecast.daily.length, 3);
+  assert.match(forecast.hourly[0].time, /T00:00$/);
+  assert.equal(forecast.hourly[0].time.slice(0, 10), forecast.daily[0].date);
+});
+
+test('mock marine batch gives land cells null values', async () => {
+  // Central Borneo lies inside a land box of the fixture, the Java Sea does not
+  const [land, sea] = await fetchMarineBatch([{ lat: 0, lon: 113 }, { lat: -5, lon: 110 }]);
+
+  assert.equal(land.weather_data.wave_height, null);
+  assert.equal(typeof sea.weather_data.wave_height, 'number');
+});
+
+test('mock port bulletin has one slot per fixture period', async () => {
+  const { weather_data: bulletin } = await fetchPortBulletin({ name: 'Pelabuhan Benoa', slug: 'pelabuhan-benoa' });
+
+  assert.equal(bulletin.slug, 'pelabuhan-benoa');
+  assert.equal(bulletin.forecast_day1.length, 4);
+  assert.match(bulletin.forecast_day1[0].time, / 00:00 UTC$/);
+});
+
+test('createMockProvider offers the same calls for every dataset', () => {
+  for (const dataset of ['city', 'grid', 'port', 'marine']) {
+    const provider = createMockProvider(dataset);
+    assert.equal(provider.name, 'mock');
+    for (const call of ['fetchCurrent', 'fetchBatch', 'fetchForecast']) {
+      assert.equal(typeof provider[call], 'function', `${dataset} ${call}`);
+    }
+  }
+});
+
+test('getProvider returns the configured provider of a dataset', () => {
+  withProviders({ city: 'mock', port: 'bmkg', marine: 'openmeteo-marine' }, () => {
+    assert.equal(getProvider('city').name, 'mock');
+    assert.equal(getProvider('port').name, 'bmkg');
+    assert.equal(getProvider('marine').name, 'openmeteo-marine');
+  });
+});
+
+test('getProvider rejects unknown providers and providers that cannot serve the dataset', () => {
+  withProviders({ city: 'nope', port: 'openmeteo' }, () => {
+    assert.throws(() => getProvider('city'), /Unknown weather provider "nope"/);
+    assert.throws(() => getProvider('port'), /cannot serve port data/);
+  });
+});
+
+test('every registered provider creates the common interface', () => {
+  for (const [name, { create, datasets }] of Object.entries(PROVIDERS)) {
+    const provider = create(datasets[0]);
+    assert.equal(provider.name, name);
+    assert.equal(typeof provider.fetchBatch, 'function');
+  }
+});
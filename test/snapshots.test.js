@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { snapshotPruneFilter } from '../backend/utils/weatherRepository.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Snapshot version created at a time, like writeSnapshot() creates them
+ * @param {number} time - Epoch ms
+ * @returns {string} Version
+ */
+function versionAt(time) {
+  return mongoose.Types.ObjectId.createFromTime(Math.floor(time / 1000)).toString();
+}
+
+/**
+ * Evaluate the prune filter against a document's snapshot version
+ * @param {Object} filter - snapshotPruneFilter() result
+ * @param {string|null} snapshot - Document version
+ * @returns {boolean} True when the document would be deleted
+ */
+function prunes(filter, snapshot) {
+  const [{ snapshot: { $nin: keep } }, { $or: [, { snapshot: { $lt: cutoff } }] }] = filter.$and;
+  if (keep.includes(snapshot)) return false;
+  return snapshot === null || snapshot < cutoff;
+}
+
+test('snapshotPruneFilter never deletes the kept versions', () => {
+  const now = new Date();
+  const old = versionAt(now.getTime() - 5 * HOUR_MS);
+  const filter = snapshotPruneFilter([old], now);
+
+  assert.equal(prunes(filter, old), false);
+});
+
+test('snapshotPruneFilter deletes old versions and documents from before snapshots', () => {
+  const now = new Date();
+  const filter = snapshotPruneFilter([versionAt(now.getTime())], now);
+
+  assert.equal(prunes(filter, versionAt(now.getTime() - 2 * HOUR_MS)), true);
+  assert.equal(prunes(filter, null), true);
+});
+
+test('snapshotPruneFilter keeps a concurrent writer\'s recent version', () => {
+  const now = new Date();
+  const own = versionAt(now.getTime());
+  const concurrent = versionAt(now.getTime() - 60 * 1000);
+  const filter = snapshotPruneFilter([own], now);
+
+  assert.equal(prunes(filter, concurrent), false);
+});
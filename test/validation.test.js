@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../backend/utils/validation.js';
+
+const schema = {
+  body: {
+    daysToKeep: { type: 'integer', minimum: 1, maximum: 3650, default: 90 }
+  }
+};
+
+/**
+ * Run the validate() middleware on a fake request
+ * @param {Object} body - Parsed body
+ * @param {string} contentType - Request content type
+ * @returns {{valid: Object|undefined, status: number|undefined, payload: Object|undefined}} Outcome
+ */
+function run(body, contentType) {
+  const req = {
+    params: {},
+    query: {},
+    body,
+    is: type => (type === contentType ? type : false)
+  };
+  const outcome = {};
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(payload) {
+      outcome.payload = payload;
+      return this;
+    }
+  };
+
+  validate(schema)(req, res, () => {
+    outcome.valid = req.valid;
+  });
+  return outcome;
+}
+
+test('validate coerces numbers in form-encoded bodies', () => {
+  const { valid } = run({ daysToKeep: '30' }, 'application/x-www-form-urlencoded');
+  assert.equal(valid.body.daysToKeep, 30);
+});
+
+test('validate keeps JSON bodies strict', () => {
+  assert.equal(run({ daysToKeep: 30 }, 'application/json').valid.body.daysToKeep, 30);
+
+  const { status } = run({ daysToKeep: '30' }, 'application/json');
+  assert.equal(status, 400);
+});
+
+test('validate checks ranges on coerced form values', () => {
+  const { status, payload } = run({ daysToKeep: '0' }, 'application/x-www-form-urlencoded');
+  assert.equal(status, 400);
+  assert.equal(payload.error.details[0].field, 'daysToKeep');
+});